@@ -0,0 +1,153 @@
+// --- 地図オーバーレイページ ---
+// 操作画面 (index.html) の情報表示バーに表示中の地震の震度分布図を、背景透明・固定の解像度で描画する。
+// 地震の選択やプレイリスト再生で表示中の地震が変わると、地図も切り替わる。
+// EEWテロップ・津波情報テロップの表示中と、地震を表示していない間は何も表示しない。
+// 情報表示バーが空の間（再生の終了後や地震を選択した直後など）も地図を隠し、次のページが表示されたら地図を戻す。
+//
+// 使い方:
+//   OBSの「ブラウザ」ソースに map-overlay.html を指定し、幅・高さを地図の解像度（デフォルト 960x720）に合わせる
+//   - 地図データ (data/map/) を読み込むため、overlay.html と同じく http で配信したURLを指定する
+//   - 操作画面を別のブラウザで開く場合は、overlay.html と同じく中継サーバーを使う（?relay=ws://localhost:8788）
+//
+//   URLパラメータ:
+//   width / height  地図の解像度 (デフォルト: 960 / 720)
+//   zoom            auto: 震度を観測した範囲に拡大する、japan: 常に日本全体を表示する (デフォルト: auto)
+//   relay           中継サーバーの接続先 (例: ws://localhost:8788)
+
+const MAP_OVERLAY_CONFIG = {
+    // 地図の解像度（OBSのブラウザソースの幅・高さと合わせる）
+    WIDTH: 960,
+    HEIGHT: 720,
+
+    // 震度を観測した範囲に自動で拡大するか
+    AUTO_ZOOM: true,
+
+    // 中継サーバーの接続先。空の場合は BroadcastChannel のみで受信する
+    RELAY_URL: '',
+
+    // 中継サーバーとの接続が切れた場合に再接続するまでの時間（ミリ秒）
+    RELAY_RECONNECT_MS: 5 * 1000
+};
+
+let mapOverlayChannel = null; // 操作画面からの BroadcastChannel
+let mapOverlayRelaySocket = null; // 中継サーバーへの接続
+let latestMapFrame = null; // 最後に受信した地図の内容（地図データの読み込み中に次の地震が届いた場合の判定用）
+let isTelopCleared = false; // 情報表示バーが空になっているか（空の間は地図を隠す）
+
+/**
+ * 操作画面から受信した震度分布図を描画する
+ * @param {object} frame - 地図の内容 (script.js の publishQuakeMapFrame を参照)
+ */
+const renderMapOverlay = async (frame) => {
+    latestMapFrame = frame;
+    const card = document.getElementById('map-card');
+    if (!frame.model || isTelopCleared) {
+        card.classList.add('hidden');
+        return;
+    }
+
+    const mapData = await loadMapData();
+    if (latestMapFrame !== frame) return;
+
+    const { title, detail, shindo, shindoClass } = frame.caption;
+    const shindoBadge = document.getElementById('map-card-shindo');
+    shindoBadge.className = `shindo-badge telop-badge h-14 flex items-center justify-center flex-shrink-0 ${shindoClass}`;
+    shindoBadge.textContent = shindo;
+    document.getElementById('map-card-title').textContent = title;
+    document.getElementById('map-card-detail').textContent = detail;
+
+    // 見出しを除いた高さいっぱいに、都道府県ごとに最大の震度で塗った地図を描画する
+    card.classList.remove('hidden');
+    const mapContainer = document.getElementById('map-card-map');
+    const mapHeight = MAP_OVERLAY_CONFIG.HEIGHT - document.getElementById('map-card-caption').offsetHeight;
+    renderQuakeMap(mapContainer, mapData, frame.model, {
+        width: MAP_OVERLAY_CONFIG.WIDTH,
+        height: mapHeight > 0 ? mapHeight : MAP_OVERLAY_CONFIG.HEIGHT,
+        autoZoom: MAP_OVERLAY_CONFIG.AUTO_ZOOM,
+        fill: 'prefectures'
+    });
+};
+
+/**
+ * 操作画面から受信した内容のうち、地図と配色、情報表示バーが空になったかどうかを反映する
+ * @param {object} frame - 表示内容 (script.js の publishTelopFrame を参照)
+ */
+const handleMapFrame = (frame) => {
+    switch (frame?.type) {
+        case 'map':
+            renderMapOverlay(frame);
+            break;
+        case 'clear':
+            // 情報表示バーが空になったら地図も隠す（地図の内容は次のページの表示まで保持する）
+            isTelopCleared = true;
+            document.getElementById('map-card').classList.add('hidden');
+            break;
+        case 'view':
+        case 'ticker':
+            if (isTelopCleared) {
+                isTelopCleared = false;
+                if (latestMapFrame) renderMapOverlay(latestMapFrame);
+            }
+            break;
+        case 'colors':
+            applyColorSchemeVariables(frame.colors);
+            break;
+    }
+};
+
+/**
+ * 操作画面に現在の表示内容を要求する（オーバーレイを後から開いた場合や再接続時）
+ */
+const requestMapState = () => {
+    const message = { type: 'request-state' };
+    mapOverlayChannel?.postMessage(message);
+    if (mapOverlayRelaySocket && mapOverlayRelaySocket.readyState === WebSocket.OPEN) {
+        mapOverlayRelaySocket.send(JSON.stringify(message));
+    }
+};
+
+/**
+ * 中継サーバーに接続する（切断された場合は一定時間後に再接続する）
+ */
+const connectMapOverlayRelay = () => {
+    try {
+        mapOverlayRelaySocket = new WebSocket(MAP_OVERLAY_CONFIG.RELAY_URL);
+    } catch (error) {
+        // URLの形式が不正な場合は再接続しても失敗するため、BroadcastChannelのみで動作する
+        console.error(`中継サーバーに接続できませんでした: ${MAP_OVERLAY_CONFIG.RELAY_URL}`, error);
+        mapOverlayRelaySocket = null;
+        return;
+    }
+    mapOverlayRelaySocket.addEventListener('open', requestMapState);
+    mapOverlayRelaySocket.addEventListener('message', (event) => {
+        try {
+            handleMapFrame(JSON.parse(event.data));
+        } catch (error) {
+            console.error('中継サーバーから不正なメッセージを受信しました:', error);
+        }
+    });
+    mapOverlayRelaySocket.addEventListener('close', () => {
+        mapOverlayRelaySocket = null;
+        setTimeout(connectMapOverlayRelay, MAP_OVERLAY_CONFIG.RELAY_RECONNECT_MS);
+    });
+};
+
+window.onload = () => {
+    const params = new URLSearchParams(window.location.search);
+    MAP_OVERLAY_CONFIG.WIDTH = parseInt(params.get('width'), 10) || MAP_OVERLAY_CONFIG.WIDTH;
+    MAP_OVERLAY_CONFIG.HEIGHT = parseInt(params.get('height'), 10) || MAP_OVERLAY_CONFIG.HEIGHT;
+    MAP_OVERLAY_CONFIG.AUTO_ZOOM = params.get('zoom') !== 'japan';
+    MAP_OVERLAY_CONFIG.RELAY_URL = params.get('relay') || MAP_OVERLAY_CONFIG.RELAY_URL;
+
+    document.body.style.width = `${MAP_OVERLAY_CONFIG.WIDTH}px`;
+    document.body.style.height = `${MAP_OVERLAY_CONFIG.HEIGHT}px`;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        mapOverlayChannel = new BroadcastChannel(TELOP_CHANNEL_NAME);
+        mapOverlayChannel.addEventListener('message', (event) => handleMapFrame(event.data));
+    }
+    if (MAP_OVERLAY_CONFIG.RELAY_URL) {
+        connectMapOverlayRelay();
+    }
+    requestMapState();
+};
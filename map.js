@@ -0,0 +1,227 @@
+// --- 震度分布図の描画 ---
+// 操作画面 (index.html) の詳細パネルと地図オーバーレイ (map-overlay.html) の両方で読み込み、同梱の GeoJSON から震度分布図を SVG で描画する。
+// 地図データは外部の地図サービスを使わず data/map/ から読み込むため、オフラインでも表示できる。
+// 地図データの作成方法は ReadMe.md の「地図データの準備」を参照。
+
+// 地図データのファイル（GeoJSON の FeatureCollection、座標は経度・緯度）
+const MAP_DATA_FILES = {
+    prefectures: 'data/map/prefectures.geojson', // 都道府県 (properties.name: 都道府県名)
+    municipalities: 'data/map/municipalities.geojson', // 市区町村 (properties.pref: 都道府県名, properties.name: 市区町村名)
+    tsunamiAreas: 'data/map/tsunami-areas.geojson' // 津波予報区の沿岸 (properties.name: 予報区名)
+};
+
+// 日本全体を表示する範囲 [西端の経度, 南端の緯度, 東端の経度, 北端の緯度]
+const MAP_JAPAN_BOUNDS = [122.5, 24, 149, 45.7];
+// 自動ズームで表示する範囲の最小の幅（度）。狭い範囲の地震で拡大しすぎないようにする
+const MAP_MIN_SPAN = 2.5;
+
+let mapDataPromise = null; // 地図データの読み込み（一度だけ読み込んで使い回す）
+const mapFeatureBounds = new WeakMap(); // 地物ごとの範囲のキャッシュ
+
+/**
+ * 地図データを読み込む。読み込めなかったレイヤーは null になる
+ * @returns {Promise<object>} { prefectures, municipalities, tsunamiAreas }
+ */
+const loadMapData = () => {
+    if (!mapDataPromise) {
+        const loadLayer = async ([key, url]) => {
+            try {
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return [key, await response.json()];
+            } catch (error) {
+                console.warn(`地図データを読み込めませんでした (${url}):`, error);
+                return [key, null];
+            }
+        };
+        mapDataPromise = Promise.all(Object.entries(MAP_DATA_FILES).map(loadLayer)).then(Object.fromEntries);
+    }
+    return mapDataPromise;
+};
+
+/**
+ * 市区町村の照合用のキーを作る。郡名の有無（「空知郡南幌町」と「南幌町」）の違いを吸収する
+ * @param {string} pref - 都道府県名
+ * @param {string} name - 市区町村名
+ * @returns {string} "都道府県名_市区町村名" の形式の文字列
+ */
+const toMapMunicipalityKey = (pref, name) => `${pref}_${(name || '').replace(/^[^郡]+郡(?=.+[町村]$)/, '')}`;
+
+/**
+ * ジオメトリの外周のリング（経度・緯度の配列）を列挙する
+ * @param {object} geometry - GeoJSON のジオメトリ
+ * @returns {Array} リングの配列
+ */
+const getGeometryRings = (geometry) => {
+    switch (geometry?.type) {
+        case 'Polygon': return geometry.coordinates;
+        case 'MultiPolygon': return geometry.coordinates.flat();
+        case 'LineString': return [geometry.coordinates];
+        case 'MultiLineString': return geometry.coordinates;
+        default: return [];
+    }
+};
+
+/**
+ * 地物の範囲を取得する
+ * @param {object} feature - GeoJSON の地物
+ * @returns {Array} [西端, 南端, 東端, 北端]
+ */
+const getFeatureBounds = (feature) => {
+    if (!mapFeatureBounds.has(feature)) {
+        const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+        getGeometryRings(feature.geometry).forEach(ring => ring.forEach(([lon, lat]) => {
+            bounds[0] = Math.min(bounds[0], lon);
+            bounds[1] = Math.min(bounds[1], lat);
+            bounds[2] = Math.max(bounds[2], lon);
+            bounds[3] = Math.max(bounds[3], lat);
+        }));
+        mapFeatureBounds.set(feature, bounds);
+    }
+    return mapFeatureBounds.get(feature);
+};
+
+/**
+ * 範囲を広げて、指定の範囲も含むようにする
+ */
+const extendMapBounds = (bounds, other) => bounds
+    ? [Math.min(bounds[0], other[0]), Math.min(bounds[1], other[1]), Math.max(bounds[2], other[2]), Math.max(bounds[3], other[3])]
+    : [...other];
+
+/**
+ * 表示範囲を描画サイズに収める投影を作る（緯度に応じて経度方向を縮める正距円筒図法）
+ * @param {Array} bounds - 表示範囲 [西端, 南端, 東端, 北端]
+ * @param {number} width - 描画の幅
+ * @param {number} height - 描画の高さ
+ * @param {number} padding - 余白（px）
+ * @returns {Function} (lon, lat) => [x, y]
+ */
+const createMapProjection = (bounds, width, height, padding) => {
+    const [west, south, east, north] = bounds;
+    const lonScale = Math.cos(((south + north) / 2) * Math.PI / 180);
+    const scale = Math.min((width - padding * 2) / ((east - west) * lonScale), (height - padding * 2) / (north - south));
+    // 余った幅・高さは左右・上下に均等に振り分けて中央に配置する
+    const offsetX = (width - (east - west) * lonScale * scale) / 2;
+    const offsetY = (height - (north - south) * scale) / 2;
+    return (lon, lat) => [offsetX + (lon - west) * lonScale * scale, offsetY + (north - lat) * scale];
+};
+
+/**
+ * ジオメトリを SVG のパスに変換する
+ * @param {object} geometry - GeoJSON のジオメトリ
+ * @param {Function} project - 投影
+ * @returns {string} path 要素の d 属性
+ */
+const geometryToPath = (geometry, project) => {
+    const isLine = geometry?.type === 'LineString' || geometry?.type === 'MultiLineString';
+    return getGeometryRings(geometry).map(ring => {
+        const points = ring.map(([lon, lat]) => project(lon, lat).map(value => value.toFixed(1)).join(' '));
+        return `M${points.join('L')}${isLine ? '' : 'Z'}`;
+    }).join('');
+};
+
+/**
+ * 地物が表示範囲にかかっているか
+ */
+const isFeatureInView = (feature, bounds) => {
+    const [west, south, east, north] = getFeatureBounds(feature);
+    return east >= bounds[0] && west <= bounds[2] && north >= bounds[1] && south <= bounds[3];
+};
+
+/**
+ * 震度分布図を描画する
+ * @param {HTMLElement} container - 描画先の要素
+ * @param {object} mapData - loadMapData で読み込んだ地図データ
+ * @param {object} model - 描画する内容 (script.js の buildQuakeMapModel を参照)
+ *   { epicenter: {latitude, longitude} | null, municipalities: {"都道府県名_市区町村名": 震度クラス},
+ *     prefectures: {都道府県名: 震度クラス}, tsunamiAreas: {予報区名: 津波の等級のクラス}, legend: [{label, shindoClass}] }
+ * @param {object} options - { width, height, autoZoom: 震度・津波のある範囲に拡大するか, legend: 凡例を表示するか,
+ *   fill: 'municipalities'（市区町村ごとに塗る）| 'prefectures'（都道府県ごとに塗る） }
+ */
+const renderQuakeMap = (container, mapData, model, options = {}) => {
+    const { width = 640, height = 480, autoZoom = true, legend = true, fill = 'municipalities' } = options;
+    if (!mapData?.prefectures) {
+        container.innerHTML = `<p class="quake-map-message">地図データ (${MAP_DATA_FILES.prefectures}) が見つかりません。ReadMe.md の「地図データの準備」を参照してください。</p>`;
+        return;
+    }
+
+    // 市区町村の地図データがない場合や、震度速報の地域単位の観測点しかない場合は都道府県単位で塗り分ける
+    const hasMunicipalityFills = fill === 'municipalities' && !!mapData.municipalities && Object.keys(model.municipalities).length > 0;
+    const fillFeatures = [];
+    if (hasMunicipalityFills) {
+        mapData.municipalities.features.forEach(feature => {
+            const shindoClass = model.municipalities[toMapMunicipalityKey(feature.properties.pref, feature.properties.name)];
+            if (shindoClass) fillFeatures.push({ feature, shindoClass });
+        });
+    } else {
+        mapData.prefectures.features.forEach(feature => {
+            const shindoClass = model.prefectures[feature.properties.name];
+            if (shindoClass) fillFeatures.push({ feature, shindoClass });
+        });
+    }
+    const coastFeatures = (mapData.tsunamiAreas?.features || [])
+        .filter(feature => model.tsunamiAreas[feature.properties.name])
+        .map(feature => ({ feature, gradeClass: model.tsunamiAreas[feature.properties.name] }));
+
+    // 表示範囲: 震度を観測した地域・津波予報区・震源をすべて含む範囲（なければ日本全体）
+    let bounds = null;
+    if (autoZoom) {
+        [...fillFeatures, ...coastFeatures].forEach(({ feature }) => {
+            bounds = extendMapBounds(bounds, getFeatureBounds(feature));
+        });
+        if (model.epicenter) {
+            const { latitude, longitude } = model.epicenter;
+            bounds = extendMapBounds(bounds, [longitude, latitude, longitude, latitude]);
+        }
+    }
+    if (bounds) {
+        // 最小の幅に満たない場合は中心を保ったまま広げ、周囲にも少し余白を取る
+        const margin = Math.max(MAP_MIN_SPAN - (bounds[2] - bounds[0]), MAP_MIN_SPAN - (bounds[3] - bounds[1]), 0) / 2 + 0.3;
+        bounds = [bounds[0] - margin, bounds[1] - margin, bounds[2] + margin, bounds[3] + margin];
+    } else {
+        bounds = MAP_JAPAN_BOUNDS;
+    }
+    const project = createMapProjection(bounds, width, height, 8);
+    const toPath = (feature) => geometryToPath(feature.geometry, project);
+    const visiblePrefectures = mapData.prefectures.features.filter(feature => isFeatureInView(feature, bounds));
+
+    const landPaths = visiblePrefectures.map(feature => `<path d="${toPath(feature)}"/>`).join('');
+    const fillPaths = fillFeatures
+        .filter(({ feature }) => isFeatureInView(feature, bounds))
+        .map(({ feature, shindoClass }) => `<path d="${toPath(feature)}" style="fill: var(--${shindoClass}-bg)"/>`).join('');
+    const coastPaths = coastFeatures
+        .map(({ feature, gradeClass }) => `<path d="${toPath(feature)}" style="stroke: var(--${gradeClass}-bg)"/>`).join('');
+
+    let epicenterMark = '';
+    if (model.epicenter) {
+        const [x, y] = project(model.epicenter.longitude, model.epicenter.latitude).map(Math.round);
+        const size = 10;
+        const cross = `M${x - size} ${y - size}L${x + size} ${y + size}M${x - size} ${y + size}L${x + size} ${y - size}`;
+        epicenterMark = `<g class="quake-map-epicenter"><path class="quake-map-epicenter-outline" d="${cross}"/><path d="${cross}"/></g>`;
+    }
+
+    // 凡例は地図の右下に、観測された震度のみを強い順に並べる
+    let legendItems = '';
+    if (legend && model.legend.length > 0) {
+        const rowHeight = 22;
+        const top = height - 12 - model.legend.length * rowHeight;
+        legendItems = model.legend.map((item, index) => `
+            <g transform="translate(${width - 112} ${top + index * rowHeight})">
+                <rect width="18" height="18" rx="3" style="fill: var(--${item.shindoClass}-bg)"/>
+                <text x="26" y="14">${item.label}</text>
+            </g>
+        `).join('');
+        legendItems = `<g class="quake-map-legend">${legendItems}</g>`;
+    }
+
+    container.innerHTML = `
+        <svg class="quake-map-svg" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="震度分布図">
+            <g class="quake-map-land">${landPaths}</g>
+            <g class="quake-map-fills">${fillPaths}</g>
+            <g class="quake-map-borders">${landPaths}</g>
+            <g class="quake-map-coasts">${coastPaths}</g>
+            ${epicenterMark}
+            ${legendItems}
+        </svg>
+    `;
+};
@@ -0,0 +1,147 @@
+// --- OBS用オーバーレイページ ---
+// 操作画面 (index.html) から送られた表示内容を、背景透明のまま配信解像度で描画する。
+//
+// 使い方:
+//   OBSの「ブラウザ」ソースに overlay.html を指定し、幅・高さを配信解像度（デフォルト 1920x1080）に合わせる
+//   - 操作画面を同じブラウザ（OBSのカスタムブラウザドックなど）で開く場合: そのまま BroadcastChannel で受信する
+//   - 操作画面を別のブラウザで開く場合: node tools/telop-relay-server.js を起動し、
+//     index.html?relay=ws://localhost:8788 と overlay.html?relay=ws://localhost:8788 の両方を開く
+//
+//   URLパラメータ:
+//   width / height  配信解像度 (デフォルト: 1920 / 1080)
+//   relay           中継サーバーの接続先 (例: ws://localhost:8788)
+
+const OVERLAY_CONFIG = {
+    // 配信解像度（OBSのブラウザソースの幅・高さと合わせる）
+    WIDTH: 1920,
+    HEIGHT: 1080,
+
+    // 中継サーバーの接続先。空の場合は BroadcastChannel のみで受信する
+    RELAY_URL: '',
+
+    // 中継サーバーとの接続が切れた場合に再接続するまでの時間（ミリ秒）
+    RELAY_RECONNECT_MS: 5 * 1000
+};
+
+// 表示内容を受信するまでのコンテンツ表示エリアの大きさ（操作画面の一般的な大きさ）
+let overlayLayout = { width: 1400, height: 112 };
+let overlayChannel = null; // 操作画面からの BroadcastChannel
+let overlayRelaySocket = null; // 中継サーバーへの接続
+
+/**
+ * コンテンツ表示エリアの要素を取得する
+ * @returns {object} { line1, line2, label }
+ */
+const getOverlayContentElements = () => ({
+    line1: document.getElementById('content-line-1'),
+    line2: document.getElementById('content-line-2'),
+    label: document.getElementById('current-shindo-label')
+});
+
+/**
+ * 操作画面と同じ大きさで描画し、配信解像度の幅いっぱいに拡大して画面下端に配置する
+ * @param {object} layout - 操作画面のコンテンツ表示エリアの大きさ { width, height }
+ */
+const applyOverlayLayout = (layout) => {
+    if (layout?.width > 0 && layout?.height > 0) {
+        overlayLayout = layout;
+    }
+    const stage = document.getElementById('overlay-stage');
+    const scale = OVERLAY_CONFIG.WIDTH / overlayLayout.width;
+    stage.style.width = `${overlayLayout.width}px`;
+    stage.style.height = `${overlayLayout.height}px`;
+    stage.style.transform = `scale(${scale})`;
+};
+
+/**
+ * 操作画面から受信した表示内容を反映する
+ * @param {object} frame - 表示内容 (script.js の publishTelopFrame を参照)
+ */
+const handleTelopFrame = (frame) => {
+    switch (frame?.type) {
+        case 'view':
+            applyOverlayLayout(frame.layout);
+            playTelopTransition(
+                getTelopTransitionTargets(getOverlayContentElements()),
+                frame.transition,
+                frame.direction,
+                frame.view,
+                () => renderTelopView(frame.view, getOverlayContentElements())
+            );
+            break;
+        case 'ticker':
+            applyOverlayLayout(frame.layout);
+            renderTelopTicker(frame.views, getOverlayContentElements());
+            playTelopTicker(document.getElementById('content-line-1'), frame.speed);
+            break;
+        case 'clear':
+            clearTelopView(getOverlayContentElements());
+            break;
+        case 'indicator':
+            renderCorrectionIndicator(document.getElementById('correction-indicator'), frame.kind);
+            break;
+        case 'colors':
+            applyColorSchemeVariables(frame.colors);
+            break;
+        case 'theme':
+            applyTelopTheme(frame.theme, document.getElementById('content-wrapper'));
+            break;
+    }
+};
+
+/**
+ * 操作画面に現在の表示内容を要求する（オーバーレイを後から開いた場合や再接続時）
+ */
+const requestTelopState = () => {
+    const message = { type: 'request-state' };
+    overlayChannel?.postMessage(message);
+    if (overlayRelaySocket && overlayRelaySocket.readyState === WebSocket.OPEN) {
+        overlayRelaySocket.send(JSON.stringify(message));
+    }
+};
+
+/**
+ * 中継サーバーに接続する（切断された場合は一定時間後に再接続する）
+ */
+const connectOverlayRelay = () => {
+    try {
+        overlayRelaySocket = new WebSocket(OVERLAY_CONFIG.RELAY_URL);
+    } catch (error) {
+        // URLの形式が不正な場合は再接続しても失敗するため、BroadcastChannelのみで動作する
+        console.error(`中継サーバーに接続できませんでした: ${OVERLAY_CONFIG.RELAY_URL}`, error);
+        overlayRelaySocket = null;
+        return;
+    }
+    overlayRelaySocket.addEventListener('open', requestTelopState);
+    overlayRelaySocket.addEventListener('message', (event) => {
+        try {
+            handleTelopFrame(JSON.parse(event.data));
+        } catch (error) {
+            console.error('中継サーバーから不正なメッセージを受信しました:', error);
+        }
+    });
+    overlayRelaySocket.addEventListener('close', () => {
+        overlayRelaySocket = null;
+        setTimeout(connectOverlayRelay, OVERLAY_CONFIG.RELAY_RECONNECT_MS);
+    });
+};
+
+window.onload = () => {
+    const params = new URLSearchParams(window.location.search);
+    OVERLAY_CONFIG.WIDTH = parseInt(params.get('width'), 10) || OVERLAY_CONFIG.WIDTH;
+    OVERLAY_CONFIG.HEIGHT = parseInt(params.get('height'), 10) || OVERLAY_CONFIG.HEIGHT;
+    OVERLAY_CONFIG.RELAY_URL = params.get('relay') || OVERLAY_CONFIG.RELAY_URL;
+
+    document.body.style.width = `${OVERLAY_CONFIG.WIDTH}px`;
+    document.body.style.height = `${OVERLAY_CONFIG.HEIGHT}px`;
+    applyOverlayLayout(null);
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        overlayChannel = new BroadcastChannel(TELOP_CHANNEL_NAME);
+        overlayChannel.addEventListener('message', (event) => handleTelopFrame(event.data));
+    }
+    if (OVERLAY_CONFIG.RELAY_URL) {
+        connectOverlayRelay();
+    }
+    requestTelopState();
+};
@@ -36,6 +36,7 @@ const buildKanaDictionary = async () => {
         });
 
         KANA_DICT = newDict;
+        sortedKanaKeys = null; // 市区町村名の前方一致に使う並べ替え済みのキーを作り直す
         console.log('読み仮名辞書の生成が完了しました。', `(${Object.keys(KANA_DICT).length}件)`);
 
     } catch (error) {
@@ -43,10 +44,60 @@ const buildKanaDictionary = async () => {
     }
 };
 
+// --- 震度観測点表 (data/jma-stations.json。リポジトリには同梱していないため、各自で作成して置く) ---
+// 観測点 ("都道府県名_観測点名") → { code, city, cityCode, cityKana, region }。読み込めなかった場合は空のまま
+let STATION_TABLE = new Map();
+// 市区町村 ("都道府県名_市区町村名") → 読み仮名（震度観測点表から作る）
+let STATION_CITY_KANA = new Map();
+// 市区町村 ("都道府県名_市区町村名") → 地域（震度速報の地域。震度観測点表から作る）
+let STATION_CITY_REGION = new Map();
+// 震度観測点表にないため観測点名から市区町村を推定した観測点・地域を特定できなかった観測点（同じ観測点のログを繰り返さないため）
+const loggedFallbackStations = new Set();
+
+/**
+ * 観測点名を照合用に整える（地方公共団体の観測点を示す末尾の「＊」を除く）
+ * @param {string} name - 観測点名
+ * @returns {string} 照合用の観測点名
+ */
+const normalizeStationName = (name) => (name || '').replace(/[＊*]$/, '');
+
+/**
+ * 震度観測点表 (data/jma-stations.json) を読み込む
+ * 観測点表の作成方法は ReadMe.md の「震度観測点表の準備」を参照
+ */
+const loadStationTable = async () => {
+    try {
+        const response = await fetch(CONFIG.STATION_TABLE_URL);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${CONFIG.STATION_TABLE_URL}: ${response.status}`);
+        }
+        const data = await response.json();
+        const table = new Map();
+        const cityKana = new Map();
+        const cityRegion = new Map();
+
+        data.stations.forEach(station => {
+            table.set(`${station.pref}_${normalizeStationName(station.name)}`, station);
+            if (station.cityKana) cityKana.set(`${station.pref}_${station.city}`, station.cityKana);
+            if (station.region) cityRegion.set(`${station.pref}_${station.city}`, station.region);
+        });
+
+        STATION_TABLE = table;
+        STATION_CITY_KANA = cityKana;
+        STATION_CITY_REGION = cityRegion;
+        console.log('震度観測点表の読み込みが完了しました。', `(${STATION_TABLE.size}件)`);
+
+    } catch (error) {
+        console.warn('震度観測点表を読み込めませんでした。すべての観測点の市区町村を観測点名から推定します（観測点ごとの推定結果は記録しません）:', error);
+    }
+};
+
 // 処理された地震データを保持する変数
 let PROCESSED_EARTHQUAKES = [];
-// グローバルな表示モード: 'point' (観測点別) または 'municipality' (市区町村別/デフォルト)
+// グローバルな表示モード: 'region' (地域別)、'prefecture' (都道府県別)、'municipality' (市区町村別/デフォルト) または 'point' (観測点別)
 let DISPLAY_MODE = 'municipality'; // 初期値を市区町村別に変更
+// 表示モードの表示名
+const DISPLAY_MODE_LABELS = { region: '地域別', prefecture: '都道府県別', municipality: '市区町村別', point: '観測点別' };
 // 追加: 最後にデータを取得した日時を保持
 let LAST_FETCH_TIME = null;
 // 訓練モードの状態を管理するグローバル変数
@@ -54,14 +105,39 @@ let USE_DUMMY_DATA = false;
 
 // --- 固定バー用のグローバル変数 ---
 // 概況ビュー(インデックス0) + 震度別地域ビュー の全てのビューを格納
+// ビューの category はループ再生の表示時間の区分: 'tsunami'（津波） | 'intensity'（震度別の地域）。省略時は概況などのページ
 let FIXED_BAR_VIEWS = []; 
 let CURRENT_SHINDO_INDEX = 0; // 現在フッターに表示されているビューのインデックス
+let fixedBarEarthquake = null; // 固定バーに表示中の地震情報（訂正・取消の表示判定用）
+let onAirCorrectionNotice = null; // ループ再生中に受信した、放送中の地震の訂正・取消 ('correction' | 'cancel')
+// 放送原稿を開いている地震 (地震ID → { window, eventId })。訂正・取消を受信したら原稿に表示する
+const BROADCAST_SCRIPT_WINDOWS = new Map();
+// OBS用オーバーレイ (overlay.html) への送信
+let telopChannel = null; // 同じブラウザ内のオーバーレイへ送る BroadcastChannel（非対応の環境ではnull）
+let telopRelaySocket = null; // 別のブラウザ（OBSのブラウザソース）へ中継するWebSocket（?relay= 指定時のみ）
+let telopRelayReconnectTimerId = null; // 中継サーバーへの再接続待ちのタイマーID
+const LAST_TELOP_FRAMES = { view: null, indicator: null, colors: null, theme: null, map: null }; // 後から開いたオーバーレイに送る直近の表示内容
+let quakeMapFrameEq = null; // 地図オーバーレイへ最後に送った地震情報（同じ地震の地図を送り直さないため）
+// 固定バーの表示内容: 'earthquake' (選択中の地震)、'eew' (緊急地震速報テロップ) または 'tsunami' (津波情報テロップ)
+let FIXED_BAR_MODE = 'earthquake';
+let telopModeReturnEq = null; // EEWテロップ・津波情報テロップの終了後に固定バーへ戻す地震情報
+// 発表中の津波予報と観測情報。地震の選択とは関係なく、最新の津波予報(552)から作る（津波予報がなければnull）
+let TSUNAMI_BULLETIN = null;
+let tsunamiBulletinExpiryTimerId = null; // 発表中の津波予報が有効時間を過ぎたときに、津波情報を作り直すタイマーID
+let loopsBeforeTsunamiTelop = null; // 津波情報テロップの終了後に戻すループ回数の設定
 // ---------------------------------
 
 // --- 自動ページ送り用のグローバル変数 ---
-let autoplayIntervalId = null;
+let autoplayTimerId = null; // 次のページへ進むタイマーID
 let isAutoplaying = false;
 let autoplayLoopCounter = 0;
+let tickerPassTimerId = null; // 横流し再生で、1周流し終わるまでのタイマーID
+let isTickerPlaying = false; // 横流し再生中かどうか
+// ------------------------------------
+
+// --- プレイリスト用のグローバル変数 ---
+let playlistEarthquakeIds = []; // プレイリストに追加した地震のID（放送する順）
+let playlistOnAirRanges = []; // プレイリスト再生中の、地震ごとのページ範囲 [{ eq, start, end }]（再生中以外は空）
 let refreshIntervalId = null; // 自動更新のタイマーIDを保持
 // 新しい地震を検知し、自動再生を待機している状態を示すフラグ
 let isWaitingForAutoplay = false; 
@@ -78,15 +154,75 @@ let shortcutSetting = {
 
 // --- ループ再生設定用のグローバル変数 ---
 let loopPlaybackMinScale = 30; // デフォルトは震度3以上
+let telopDisplayMode = 'municipality'; // 情報表示バー・放送原稿の地域の表示単位（DISPLAY_MODE と同じ値。詳細パネルとは別に設定する）
+// 1ページあたりの表示時間の決め方
+// mode: 'fixed'（一律: 情報表示バーの秒数） | 'type'（ページの種類ごとの秒数） | 'reading'（文字数と読み上げ速度から計算）
+let pageDurationSetting = {
+    mode: 'fixed',
+    summary: 8, // 概況・震源などのページ（秒）
+    tsunami: 10, // 津波のページ（秒）
+    intensity: 10, // 震度別の地域のページ（秒）
+    charsPerSecond: 6, // 読み上げ速度（1秒あたりの文字数）
+    minSeconds: 4, // 文字数から計算する場合の最短の表示時間（秒）
+    maxSeconds: 20 // 文字数から計算する場合の最長の表示時間（秒）
+};
+// ページの切り替え効果の時間と緩急（効果の種類は情報表示バーの選択欄で選ぶ）
+const TELOP_TRANSITION_MAX_DURATION = 3000; // 切り替え効果の時間の上限（ミリ秒）。ページの表示時間を超えないようにする
+let telopTransitionSetting = {
+    duration: 250, // 消す・表示するそれぞれの時間（ミリ秒）。タイプライターは全ての文字を表示し終えるまでの時間
+    easing: 'ease-out' // CSS の animation-timing-function
+};
+// ループ再生中に受信した情報で、再生を中断して割り込む条件（条件を満たさない更新は再生終了後に反映する）
+let interruptPolicy = {
+    minScale: 45, // 最大震度がこの値以上になった地震で割り込む（0で割り込まない）
+    tsunamiGrade: 'Warning', // この種別以上の津波予報が発表された地震で割り込む（'none'で割り込まない）
+    eewWarning: true // 緊急地震速報（警報）の受信でEEWテロップに割り込む
+};
+// ------------------------------------
+// --- 配色設定用のグローバル変数 ---
+let colorScheme = null; // 保存済みの配色 { preset, colors }（起動時に loadColorScheme で読み込む）
+// ------------------------------------
+// --- テロップのテーマ用のグローバル変数 ---
+let customTelopThemes = []; // 読み込んだテーマ（組み込みのテーマ以外）
+let activeTelopTheme = null; // 情報表示バーに適用中のテーマ（起動時に loadTelopThemes で読み込む）
 // ------------------------------------
 // --- EEW通知音設定用のグローバル変数 ---
 let playEewSound = true; // デフォルトはON
 let eewAudioObject = null; // プリロード用のAudioオブジェクト
+let eewWarningAudioObject = null; // 警報用の音声ファイル（CONFIG.EEW_WARNING_SOUND_URL 設定時のみ）
+let eewAudioContext = null; // 警報チャイム生成用のAudioContext
+// 緊急地震速報の種別（警報/予報）ごとに、警告バーの表示・通知音の再生・情報表示バーのEEWテロップへの自動切り替えを設定する
+let eewClassSettings = {
+    warning: { alert: true, sound: true, telop: true },
+    forecast: { alert: true, sound: true, telop: false }
+};
 // --- 連続EEW対応用のグローバル変数 ---
 let eewQueue = []; // 表示すべきEEW情報を保持するキュー
 let eewDisplayIntervalId = null; // EEWを10秒ごとに切り替えるためのタイマーID
 let eewClearTimeoutId = null; // 60秒後にEEW表示をすべてクリアするためのタイマーID
 let currentEewIndex = 0; // 現在表示しているEEWのインデックス
+let eewAreaPages = []; // 警告バーに表示中のEEWの対象地域ページ
+let eewAreaPageIndex = 0; // 警告バーに表示中の対象地域ページのインデックス
+let eewAreaPageIntervalId = null; // 対象地域ページを切り替えるタイマーID
+// イベントIDごとに処理済みの最新の報数を記録し、古い報や取消済みのEEWを再表示しないようにする
+// 記録は CONFIG.EEW_SEEN_RETENTION_MS を過ぎると、次にEEWを処理するときに削除する
+const EEW_SEEN_SERIALS = new Map();
+// --- リアルタイム受信(WebSocket)用のグローバル変数 ---
+let wsConnection = null; // 接続中のWebSocketオブジェクト
+let wsReconnectAttempts = 0; // 連続して接続に失敗した回数（バックオフ計算用）
+let wsReconnectTimerId = null; // 再接続待ちのタイマーID
+let isStreamConnected = false; // WebSocketで受信できている状態か
+let hasPendingStreamUpdate = false; // ループ再生中に受信し、反映を保留している更新があるか
+let isRefreshingFromCache = false; // 受信キャッシュからの再集約を実行中か（同時に実行しないため）
+let hasQueuedCacheRefresh = false; // 再集約の実行中に受信し、終了後にもう一度集約する必要があるか
+let spreadsheetLogTimerId = null; // スプレッドシートへの記録を待っているタイマーID（続けて受信した場合はまとめて1回送る）
+let queuedEarthquakeUpdates = []; // ループ再生中に受信し、再生終了後に反映する地震の更新 [{ id, text }]
+// APIとWebSocketから受信した生の情報を保持するキャッシュ（キー: 情報ID）
+const RAW_REPORT_CACHE = new Map();
+let historyDbPromise = null; // 地震履歴 (IndexedDB) への接続。初回の利用時に開く
+const HISTORY_SAVED_REPORT_IDS = new Set(); // このセッションで履歴に保存済みの情報ID（重複書き込み防止）
+const HISTORY_RECORDS = new Map(); // 保存済みの地震履歴（キー: 地震ID）。初回の同期時に読み込み、以降はメモリ上で更新する
+let historyRecordsLoadPromise = null; // 保存済みの地震履歴の読み込み。初回の同期時に1回だけ行う
 
 
 /**
@@ -120,6 +256,11 @@ const getKana = (kanji) => {
         return MANUAL_KANA_DICT[kanji];
     }
 
+    // 2. 震度観測点表の市区町村の読み仮名
+    if (STATION_CITY_KANA.has(kanji)) {
+        return katakanaToHiragana(STATION_CITY_KANA.get(kanji));
+    }
+
     // "都道府県名_市区町村名" の形式を想定
     const parts = kanji.split('_');
     const municipality = parts.length > 1 ? parts[1] : parts[0];
@@ -138,15 +279,71 @@ const CONFIG = {
     // 地震一覧に表示する地震の「最大」震度の最低ライン (30: 震度3)
     MIN_LIST_SCALE: 30,
     
+    // 地震一覧に表示する遠地地震の最低マグニチュード（日本に津波予報が出ている場合は規模に関わらず表示）
+    MIN_FOREIGN_MAGNITUDE: 6.0,
+
     // 詳細パネルの震度別観測地点に表示する「観測点」の最低震度ライン (10: 震度1)
     MIN_DETAIL_SCALE: 10,
 
     // 固定バーの1ページあたりに表示する市区町村の最大数
     CITIES_PER_PAGE: 15,
 
+    // 津波情報テロップの対象とする津波予報の有効時間（最後の発表から。解除を受信できなかった警報・注意報を流し続けないため）
+    TSUNAMI_BULLETIN_MAX_AGE_MS: 24 * 60 * 60 * 1000,
+
     // APIを自動更新する間隔（ミリ秒）。2分 = 120000ms
+    // WebSocketに接続している間は停止し、切断中のみポーリングする
     REFRESH_INTERVAL_MS: 2 * 60 * 1000,
 
+    // P2P地震情報 WebSocket API のエンドポイント (URLパラメータ ?ws= で上書き可能)
+    WS_URL: 'wss://api.p2pquake.net/v2/ws',
+
+    // WebSocket再接続までの待機時間（ミリ秒）。失敗するたびに倍増し、最大値で頭打ちにする
+    WS_RECONNECT_BASE_MS: 1000,
+    WS_RECONNECT_MAX_MS: 60 * 1000,
+
+    // APIとWebSocketから受信した情報を保持する最大件数
+    RAW_REPORT_CACHE_LIMIT: 500,
+
+    // 地震履歴 (IndexedDB) のデータベース名
+    HISTORY_DB_NAME: 'earthquake-history',
+
+    // 地震履歴を保存する日数（地震の発生日時が基準）。0の場合は無期限に保存する
+    HISTORY_RETENTION_DAYS: 30,
+
+    // 保存期間を過ぎた履歴を削除する間隔（起動時にも1回削除する）
+    HISTORY_PURGE_INTERVAL_MS: 60 * 60 * 1000,
+
+    // 1つの地震について保存する更新履歴（版）の最大数
+    HISTORY_MAX_REVISIONS: 20,
+
+    // 履歴の検索結果に表示する最大件数
+    HISTORY_SEARCH_LIMIT: 200,
+
+    // 観測点を市区町村に振り分ける震度観測点表 (tools/build-station-table.js で作成)
+    STATION_TABLE_URL: 'data/jma-stations.json',
+
+    // 緊急地震速報（警報）専用の通知音ファイルのURL。空の場合はチャイムを生成して音声の前に再生する
+    EEW_WARNING_SOUND_URL: '',
+
+    // 警告バーで緊急地震速報の対象地域ページを切り替える間隔（ミリ秒）
+    EEW_AREA_PAGE_MS: 4 * 1000,
+
+    // 緊急地震速報の取消を表示し続ける時間（ミリ秒）
+    EEW_CANCEL_DISPLAY_MS: 15 * 1000,
+
+    // 処理済みの緊急地震速報の報数を記録しておく時間（ミリ秒）。APIの履歴からは、これより古い緊急地震速報を処理しない
+    EEW_SEEN_RETENTION_MS: 10 * 60 * 1000,
+
+    // OBS用オーバーレイへ表示内容を中継するWebSocketサーバー (tools/telop-relay-server.js)。空の場合は BroadcastChannel のみで送信する
+    TELOP_RELAY_URL: '',
+
+    // 中継サーバーとの接続が切れた場合に再接続するまでの時間（ミリ秒）
+    TELOP_RELAY_RECONNECT_MS: 5 * 1000,
+
+    // 受信してからスプレッドシートに記録するまでの待ち時間（ミリ秒）。この間に続けて受信した情報はまとめて記録する
+    SPREADSHEET_LOG_DELAY_MS: 10 * 1000,
+
     // 【要設定】Google Apps ScriptのウェブアプリURL
     GAS_WEB_APP_URL: 'https://script.google.com/macros/s/AKfycbycK2ARMIU1L3mKQYcvsDzCXYRpnOAbAvZmknDzk4cp3_H6gh7IoBkYJTVM3da5nWTi/exec', // ← 地震情報記録用
 
@@ -185,6 +382,34 @@ const doesTextFitInTwoLines = (htmlContent, targetElement) => {
     return contentHeight <= (lineHeight * 2 + 2); // 誤差を考慮して少し余裕を持たせる
 };
 
+/**
+ * テキストが情報表示バーのテロップ1ページ分に収まるか測定するヘルパー関数
+ * 適用中のテロップのテーマ（フォント・文字の大きさ・行数）で測定する
+ * @param {string} htmlContent - 測定するHTMLコンテンツ
+ * @returns {boolean} テーマの行数に収まる場合はtrue、収まらない場合はfalse
+ */
+const doesTextFitInTelopLines = (htmlContent) => {
+    const contentLine1 = document.getElementById('content-line-1');
+
+    // テーマのCSS変数を引き継ぐよう、測定用の要素はコンテンツ表示エリアの中に置く
+    const measureDiv = document.createElement('div');
+    measureDiv.className = 'text-edge telop-line';
+    measureDiv.style.position = 'absolute';
+    measureDiv.style.left = '0';
+    measureDiv.style.top = '0';
+    measureDiv.style.visibility = 'hidden';
+    measureDiv.style.width = `${contentLine1.clientWidth}px`;
+    measureDiv.style.wordBreak = 'keep-all'; // 分割判定のスタイルを合わせる
+
+    measureDiv.innerHTML = htmlContent;
+    contentLine1.parentElement.appendChild(measureDiv);
+    const contentHeight = measureDiv.scrollHeight;
+    const lineHeight = parseFloat(window.getComputedStyle(measureDiv).lineHeight);
+    measureDiv.remove();
+
+    return contentHeight <= (lineHeight * activeTelopTheme.lines + 2); // 誤差を考慮して少し余裕を持たせる
+};
+
 
 // 震度階級の数値コードを文字列に変換し、バッジの色クラスを返す
 const scaleToShindo = (scale) => {
@@ -262,6 +487,21 @@ const formatTimeForTelop = (timeString) => {
     return `${ampm} ${displayHour}時 ${minute}分`;
 };
 
+/**
+ * 震源の緯度・経度を「北緯X度 東経Y度」形式に変換する
+ * @param {number} latitude - 緯度（南緯は負の値、不明の場合は -200）
+ * @param {number} longitude - 経度（西経は負の値、不明の場合は -200）
+ * @returns {string} フォーマットされた位置。不明の場合は空文字
+ */
+const formatHypocenterPosition = (latitude, longitude) => {
+    if (typeof latitude !== 'number' || typeof longitude !== 'number' || latitude <= -200 || longitude <= -200) {
+        return '';
+    }
+    const latText = `${latitude < 0 ? '南緯' : '北緯'}${Math.abs(latitude).toFixed(1)}度`;
+    const lonText = `${longitude < 0 ? '西経' : '東経'}${Math.abs(longitude).toFixed(1)}度`;
+    return `${latText} ${lonText}`;
+};
+
 
 /**
  * 文字列からMD5ハッシュを生成する非同期関数
@@ -279,7 +519,8 @@ const digestMessage = async (message) => {
 
 
 /**
- * 観測点名から市町村名（政令指定都市の区まで含む）を抽出する
+ * 観測点の市町村名（政令指定都市の区まで含む）を取得する
+ * 震度観測点表にある観測点は表の市区町村を、ない観測点は観測点名から推定した市区町村を返す
  * @param {string} addr - 観測点名 (point.addr)
  * @param {string} pref - 都道府県名 (point.pref)
  * @returns {string} "都道府県名_市区町村名" の形式の文字列
@@ -287,6 +528,52 @@ const digestMessage = async (message) => {
 const getMunicipality = (addr, pref) => {
     if (!addr || !pref) return `${pref || '不明'}_${addr || '観測点名不明'}`;
 
+    const station = STATION_TABLE.get(`${pref}_${normalizeStationName(addr)}`);
+    if (station) return `${pref}_${station.city}`;
+
+    const municipality = guessMunicipalityFromAddr(addr, pref);
+    // 観測点表にない観測点は、推定した結果を確認できるよう観測点ごとに1回だけ記録する
+    // （観測点表がない場合はすべての観測点が推定になるため、読み込み時の1回の記録のみとする）
+    if (STATION_TABLE.size > 0 && !loggedFallbackStations.has(`${pref}_${addr}`)) {
+        loggedFallbackStations.add(`${pref}_${addr}`);
+        console.warn(`震度観測点表にない観測点です。観測点名から市区町村を推定しました: ${pref}_${addr} → ${municipality}`);
+    }
+    return municipality;
+};
+
+/**
+ * 観測点の地域（震度速報の地域。例: 宮城県北部）を取得する
+ * 震度観測点表にない観測点は、同じ市区町村の観測点の地域を使う。それも分からない場合は都道府県名を返す
+ * @param {string} addr - 観測点名 (point.addr)
+ * @param {string} pref - 都道府県名 (point.pref)
+ * @returns {string} "都道府県名_地域名" の形式の文字列（地域が分からない場合は都道府県名のみ）
+ */
+const getRegion = (addr, pref) => {
+    if (!addr || !pref) return pref || '不明';
+
+    const station = STATION_TABLE.get(`${pref}_${normalizeStationName(addr)}`);
+    if (station?.region) return `${pref}_${station.region}`;
+
+    const region = STATION_CITY_REGION.get(getMunicipality(addr, pref));
+    if (region) return `${pref}_${region}`;
+
+    if (STATION_TABLE.size > 0 && !loggedFallbackStations.has(`地域:${pref}_${addr}`)) {
+        loggedFallbackStations.add(`地域:${pref}_${addr}`);
+        console.warn(`震度観測点表から地域を特定できない観測点です。都道府県にまとめます: ${pref}_${addr}`);
+    }
+    return pref;
+};
+
+// 市区町村名の前方一致に使う、読み仮名辞書のキーを文字数の長い順に並べたもの（辞書の生成後に一度だけ作る）
+let sortedKanaKeys = null;
+
+/**
+ * 観測点名から市町村名を推定する（震度観測点表にない観測点のみに使う）
+ * @param {string} addr - 観測点名 (point.addr)
+ * @param {string} pref - 都道府県名 (point.pref)
+ * @returns {string} "都道府県名_市区町村名" の形式の文字列
+ */
+const guessMunicipalityFromAddr = (addr, pref) => {
     // 北海道の支庁名などに対応するため、都道府県名除去前のフルアドレスでまず検索
     // 例: 「北海道釧路市」-> 辞書に「釧路市」があればそれを使う
     const directMatch = Object.keys(KANA_DICT).find(key => addr.includes(key) && (addr.endsWith(key) || addr.includes(key + ' ')));
@@ -322,8 +609,10 @@ const getMunicipality = (addr, pref) => {
 
     // ★★★ 修正: パターン3の前に、辞書との前方一致を試す ★★★
     // これにより「伊達市梁川町」->「伊達市」のように、辞書にある市区町村名を優先的に抽出する
-    // 最も長い一致を見つけるために、辞書のキーを文字数の長い順にソート
-    const sortedKanaKeys = Object.keys(KANA_DICT).sort((a, b) => b.length - a.length);
+    // 最も長い一致を見つけるために、辞書のキーを文字数の長い順にソート（辞書の生成後の初回のみ）
+    if (!sortedKanaKeys) {
+        sortedKanaKeys = Object.keys(KANA_DICT).sort((a, b) => b.length - a.length);
+    }
     const forwardMatch = sortedKanaKeys.find(key => remainingAddr.startsWith(key));
 
     if (forwardMatch) return `${pref}_${forwardMatch}`;
@@ -338,97 +627,436 @@ const getMunicipality = (addr, pref) => {
 };
 
 /**
- * 緊急地震速報(EEW)を処理し、アラートを表示する
+ * EEWの情報からイベントID・報数・取消/最終報の状態を取り出す
  * @param {object} eewData - APIから取得したEEWのデータ (code: 554)
+ * @returns {object} { eventId, serial, isCancelled, isFinal }
  */
-const handleEew = (eewData) => {
-    // エラー防止: 必要なDOM要素と、eewDataにearthquakeオブジェクトが存在することを確認
-    if (!eewData.earthquake) return;
+const parseEewStatus = (eewData) => {
+    const issue = eewData.issue || {};
+    const eventId = String(issue.eventId || issue.event_id || issue.eventid || eewData.id || '');
+    const serial = parseInt(issue.serial ?? eewData.serial, 10) || 0;
+    return {
+        eventId,
+        serial,
+        isCancelled: eewData.cancelled === true,
+        isFinal: eewData.isFinal === true || issue.isFinal === true
+    };
+};
+
+/**
+ * EEWを警報と予報に分類する
+ * 明示的な区分がない場合は、気象庁の発表基準（予想最大震度5弱以上で警報）に従って判定する
+ * @param {object} eewData - APIから取得したEEWのデータ (code: 554)
+ * @returns {string} 'warning' (警報) または 'forecast' (予報)
+ */
+const classifyEew = (eewData) => {
+    if (typeof eewData.isWarning === 'boolean') {
+        return eewData.isWarning ? 'warning' : 'forecast';
+    }
+    const maxScale = eewData.earthquake?.maxScale;
+    return typeof maxScale === 'number' && maxScale >= 45 ? 'warning' : 'forecast';
+};
+
+/**
+ * EEWキューの1件分から、アラートバーに表示する文言を生成する
+ * @param {object} entry - eewQueueの要素
+ * @returns {string} 表示する文言
+ */
+const buildEewAlertText = (entry) => {
+    const eewData = entry.data;
+    const hypocenter = entry.hypocenterName || '震源情報なし';
+    const serialText = entry.serial > 0 ? `第${entry.serial}報` : '';
+
+    if (entry.isCancelled) {
+        return `【緊急地震速報 取消】 先ほどの${hypocenter}の緊急地震速報は取り消されました`;
+    }
 
     // エラー防止: maxScale, hypocenter, magnitude が存在しない場合に備える
-    const maxScaleValue = eewData.earthquake.maxScale;
+    const maxScaleValue = eewData.earthquake?.maxScale;
     const maxScale = (maxScaleValue !== undefined && maxScaleValue !== null) ? scaleToShindo(maxScaleValue).label : '不明';
+    const magnitude = eewData.earthquake?.hypocenter?.magnitude ?? eewData.earthquake?.magnitude;
 
-    const hypocenter = eewData.earthquake.hypocenter?.name || '震源情報なし';
-    const magnitude = eewData.earthquake.magnitude;
-
-    let alertText = `【緊急地震速報】 ${hypocenter}で地震発生`;
-    if (maxScale !== '震度不明') {
+    const classLabel = entry.eewClass === 'warning' ? '警報' : '予報';
+    let alertText = `【緊急地震速報（${classLabel}）${entry.isFinal ? '・最終報' : ''}】 ${hypocenter}で地震発生`;
+    if (entry.eewClass === 'warning') {
+        alertText += ' 強い揺れに警戒';
+    }
+    if (maxScale !== '震度不明' && maxScale !== '不明') {
         alertText += ` 予想最大震度 ${maxScale}`;
     }
     if (magnitude > 0) {
         alertText += ` M${magnitude}`;
     }
+    if (serialText) {
+        alertText += ` (${serialText})`;
+    }
+    return alertText;
+};
+
+/**
+ * 音声を指定回数だけ続けて再生する
+ * @param {HTMLAudioElement} audio - 再生するAudioオブジェクト
+ * @param {number} maxPlayCount - 再生回数
+ */
+const playAudioRepeatedly = (audio, maxPlayCount) => {
+    if (!audio) return;
 
-    // 設定が有効な場合、通知音を再生
-    if (playEewSound && eewAudioObject) {
-        let playCount = 0;
-        const maxPlayCount = 2; // 再生回数を2回に設定
+    let playCount = 0;
 
-        const playSound = () => {
-            eewAudioObject.currentTime = 0; // 再生位置を最初に戻す
-            eewAudioObject.play().catch(error => {
-                console.warn(`EEW通知音の再生に失敗しました (${playCount + 1}回目):`, error);
-            });
-        };
+    const playSound = () => {
+        audio.currentTime = 0; // 再生位置を最初に戻す
+        audio.play().catch(error => {
+            console.warn(`EEW通知音の再生に失敗しました (${playCount + 1}回目):`, error);
+        });
+    };
+
+    const onSoundEnded = () => {
+        playCount++;
+        if (playCount < maxPlayCount) {
+            playSound(); // 次の再生を実行
+        } else {
+            audio.removeEventListener('ended', onSoundEnded); // 指定回数の再生が終わったらリスナーを削除
+        }
+    };
+
+    audio.removeEventListener('ended', onSoundEnded); // 念のため既存のリスナーを削除
+    audio.addEventListener('ended', onSoundEnded);
+    playSound(); // 1回目の再生を開始
+};
+
+/**
+ * 警報用のチャイム（高低2音の繰り返し）をWeb Audio APIで生成して再生する
+ * @returns {Promise<void>} チャイムの再生が終わると解決するPromise
+ */
+const playEewWarningChime = () => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return Promise.resolve();
+
+    try {
+        if (!eewAudioContext) eewAudioContext = new AudioContextClass();
+        if (eewAudioContext.state === 'suspended') eewAudioContext.resume();
+
+        const toneLength = 0.22; // 1音の長さ（秒）
+        const tones = [988, 740, 988, 740, 988, 740]; // 高低を3回繰り返す
+        const startTime = eewAudioContext.currentTime + 0.05;
+
+        tones.forEach((frequency, index) => {
+            const oscillator = eewAudioContext.createOscillator();
+            const gain = eewAudioContext.createGain();
+            const toneStart = startTime + index * toneLength;
+            oscillator.type = 'square';
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.15, toneStart);
+            gain.gain.exponentialRampToValueAtTime(0.001, toneStart + toneLength * 0.95);
+            oscillator.connect(gain).connect(eewAudioContext.destination);
+            oscillator.start(toneStart);
+            oscillator.stop(toneStart + toneLength);
+        });
+
+        const totalMs = (tones.length * toneLength + 0.1) * 1000;
+        return new Promise(resolve => setTimeout(resolve, totalMs));
+    } catch (error) {
+        console.warn('警報チャイムの再生に失敗しました:', error);
+        return Promise.resolve();
+    }
+};
+
+/**
+ * 緊急地震速報(EEW)の通知音を種別に応じて再生する
+ * 警報はチャイムの後に音声を流し（専用の音声ファイルが設定されていればそれを使用）、予報は音声のみを流す
+ * @param {string} eewClass - 'warning' (警報) または 'forecast' (予報)
+ */
+const playEewAlertSound = (eewClass) => {
+    if (!playEewSound || !eewClassSettings[eewClass]?.sound) return;
+
+    if (eewClass === 'warning') {
+        if (eewWarningAudioObject) {
+            playAudioRepeatedly(eewWarningAudioObject, 2);
+        } else {
+            playEewWarningChime().then(() => playAudioRepeatedly(eewAudioObject, 2));
+        }
+        return;
+    }
+    playAudioRepeatedly(eewAudioObject, 2); // 再生回数を2回に設定
+};
+
+/**
+ * EEWの対象地域1件の予想震度を表示用の文字列にする
+ * scaleTo が 99 の場合は「〜程度以上」を意味するため「以上」を付ける
+ * @param {object} area - EEWの areas 配列の要素
+ * @returns {string} 予想震度 (例: '震度5弱以上', '震度4〜5弱')
+ */
+const formatEewAreaScale = (area) => {
+    const fromLabel = scaleToShindo(area.scaleFrom).label;
+    if (area.scaleTo === 99) return `${fromLabel}以上`;
+    if (typeof area.scaleTo === 'number' && area.scaleTo > area.scaleFrom) {
+        return `${fromLabel}〜${scaleToShindo(area.scaleTo).label.replace('震度', '')}`;
+    }
+    return fromLabel;
+};
 
-        const onSoundEnded = () => {
-            playCount++;
-            if (playCount < maxPlayCount) {
-                playSound(); // 次の再生を実行
+/**
+ * EEWの対象地域を予想震度ごとにグループ化する（予想震度の大きい順）
+ * @param {Array} areas - EEWの areas 配列
+ * @returns {Array} [{ shindo, shindoClass, areas: [{ name, isArrived }] }]
+ */
+const groupEewAreasByScale = (areas) => {
+    if (!Array.isArray(areas)) return [];
+
+    const groups = new Map();
+    areas
+        .filter(area => area && area.name && typeof area.scaleFrom === 'number')
+        .sort((a, b) => (b.scaleFrom - a.scaleFrom) || ((b.scaleTo || 0) - (a.scaleTo || 0)))
+        .forEach(area => {
+            const label = formatEewAreaScale(area);
+            if (!groups.has(label)) {
+                groups.set(label, { shindo: label, shindoClass: scaleToShindo(area.scaleFrom).class, areas: [] });
+            }
+            // kindCode '11' は「既に主要動到達と推測」
+            groups.get(label).areas.push({ name: area.name, isArrived: area.kindCode === '11' });
+        });
+    return Array.from(groups.values());
+};
+
+/**
+ * EEWの対象地域を、予想震度ごとに1ページに収まるよう分割する
+ * updateFixedShindoBar の市区町村のページ分割と同じ方法で分割する
+ * @param {Array} areas - EEWの areas 配列
+ * @param {Function} fitsInPage - HTMLが1ページに収まるか判定する関数
+ * @returns {Array} [{ shindo, shindoClass, html }]
+ */
+const buildEewAreaPages = (areas, fitsInPage) => {
+    const pages = [];
+    const toHtml = (items) => items.map(item => {
+        const arrivedTag = item.isArrived ? '<span class="eew-arrived-tag">到達</span>' : '';
+        return `<span class="inline-block">${item.name}${arrivedTag}</span>`;
+    }).join('　');
+
+    groupEewAreasByScale(areas).forEach(group => {
+        let pageItems = [];
+        group.areas.forEach(item => {
+            const testItems = [...pageItems, item];
+            if (!fitsInPage(toHtml(testItems)) && pageItems.length > 0) {
+                pages.push({ shindo: group.shindo, shindoClass: group.shindoClass, html: toHtml(pageItems) });
+                pageItems = [item];
             } else {
-                eewAudioObject.removeEventListener('ended', onSoundEnded); // 2回再生が終わったらリスナーを削除
+                pageItems.push(item);
             }
-        };
+        });
+        if (pageItems.length > 0) {
+            pages.push({ shindo: group.shindo, shindoClass: group.shindoClass, html: toHtml(pageItems) });
+        }
+    });
+    return pages;
+};
+
+/**
+ * 処理済みのEEWの記録のうち、最後の処理から一定時間が過ぎたものを削除する（表示中のEEWは残す）
+ * @param {number} now - 現在時刻（エポックミリ秒）
+ */
+const pruneEewSeenSerials = (now) => {
+    EEW_SEEN_SERIALS.forEach((seen, eventId) => {
+        if (now - seen.handledAt > CONFIG.EEW_SEEN_RETENTION_MS && !eewQueue.some(e => e.id === eventId)) {
+            EEW_SEEN_SERIALS.delete(eventId);
+        }
+    });
+};
+
+/**
+ * 緊急地震速報(EEW)を処理し、アラートを表示する
+ * イベントIDごとに最新の報だけを保持し、続報は同じ位置で置き換える
+ * @param {object} eewData - APIから取得したEEWのデータ (code: 554)
+ */
+const handleEew = (eewData) => {
+    if (!eewData) return;
+
+    const { eventId, serial, isCancelled, isFinal } = parseEewStatus(eewData);
+    const now = Date.now();
+    pruneEewSeenSerials(now);
+
+    // 既に処理した報と同じか古い報は無視する（取消は同じ報数でも反映する）
+    const seen = EEW_SEEN_SERIALS.get(eventId);
+    if (seen) {
+        if (seen.isCancelled) return;
+        if (serial < seen.serial || (serial === seen.serial && !isCancelled)) return;
+    }
+
+    // エラー防止: 取消以外で、eewDataにearthquakeオブジェクトが存在することを確認
+    if (!isCancelled && !eewData.earthquake) return;
+
+    const existingIndex = eewQueue.findIndex(e => e.id === eventId);
+    const existingEntry = existingIndex !== -1 ? eewQueue[existingIndex] : null;
+
+    // 取消報には予想震度が含まれないため、直前の報の種別を引き継ぐ
+    const eewClass = isCancelled ? (seen?.eewClass || 'forecast') : classifyEew(eewData);
+    EEW_SEEN_SERIALS.set(eventId, { serial, isCancelled, eewClass, handledAt: now });
+
+    // 新しいイベント、または予報から警報に切り替わったときのみ通知音を再生する（続報のたびには鳴らさない）
+    if (!isCancelled && (!seen || (seen.eewClass !== 'warning' && eewClass === 'warning'))) {
+        playEewAlertSound(eewClass);
+    }
+
+    // 表示していないEEWの取消は、知らせる対象がないため表示しない
+    if (isCancelled && !existingEntry) return;
+
+    // 設定で警告バーの表示を無効にしている種別は表示しない（続報で種別が変わった場合は取り除く）
+    if (!isCancelled && !eewClassSettings[eewClass]?.alert) {
+        if (existingEntry) removeEewFromQueue(eventId);
+        return;
+    }
+
+    const entry = {
+        id: eventId,
+        serial,
+        isCancelled,
+        isFinal,
+        eewClass,
+        // 取消報には震源情報が含まれないことがあるため、直前の報の震源名を引き継ぐ
+        hypocenterName: eewData.earthquake?.hypocenter?.name || existingEntry?.hypocenterName || '',
+        data: eewData
+    };
+    entry.text = buildEewAlertText(entry);
+
+    if (existingEntry) {
+        // 続報・取消は同じ位置で置き換える
+        eewQueue[existingIndex] = entry;
+        console.log(`EEWを更新しました: ${eventId} ${isCancelled ? '取消' : `第${serial}報`}${isFinal ? ' (最終報)' : ''}`);
+    } else {
+        eewQueue.push(entry);
+    }
+
+    // 取消は一定時間だけ表示してからキューから取り除く
+    if (isCancelled) {
+        setTimeout(() => removeEewFromQueue(eventId), CONFIG.EEW_CANCEL_DISPLAY_MS);
+    }
+
+    // キューが更新されるたびに表示サイクルを開始（またはタイマーをリセット）する
+    startEewDisplayCycle(existingEntry ? existingIndex : eewQueue.length - 1);
+
+    // 固定バーでEEWテロップを表示中の場合は、続報・取消の内容に差し替える
+    if (FIXED_BAR_MODE === 'eew') {
+        updateFixedEewBar();
+    }
+
+    // ループ再生中に警報を受信した場合（予報から警報への切り替えを含む）は、設定に従って割り込む
+    if (!isCancelled && eewClass === 'warning' && seen?.eewClass !== 'warning') {
+        interruptAutoplayWithEew();
+    }
+
+    // 再生中でなければ、設定に従って情報表示バー（OBS用オーバーレイ）をEEWテロップに切り替える
+    // 新しいイベントと種別が変わったときのみ切り替え、手動で地震情報に戻した後の続報では切り替えない
+    if (!isCancelled && !isAutoplaying && !isWaitingForAutoplay && eewClassSettings[eewClass]?.telop && seen?.eewClass !== eewClass) {
+        enterEewTelopMode();
+    }
+};
+
+/**
+ * 指定したイベントIDのEEWをキューから取り除く
+ * @param {string} eventId - EEWのイベントID
+ */
+const removeEewFromQueue = (eventId) => {
+    const index = eewQueue.findIndex(e => e.id === eventId);
+    if (index === -1) return;
+
+    eewQueue.splice(index, 1);
+    if (eewQueue.length === 0) {
+        stopEewDisplayCycle();
+        return;
+    }
+    currentEewIndex = Math.min(currentEewIndex, eewQueue.length - 1);
+    renderEewAlert(eewQueue[currentEewIndex]);
 
-        eewAudioObject.removeEventListener('ended', onSoundEnded); // 念のため既存のリスナーを削除
-        eewAudioObject.addEventListener('ended', onSoundEnded);
-        playSound(); // 1回目の再生を開始
+    if (FIXED_BAR_MODE === 'eew') {
+        updateFixedEewBar();
     }
+};
+
+/**
+ * EEWアラートバーに1件分の情報を描画する
+ * @param {object} entry - eewQueueの要素
+ */
+const renderEewAlert = (entry) => {
+    const container = document.getElementById('eew-alert-container');
+    const alertTextElement = document.getElementById('eew-alert-text');
+    if (!container || !alertTextElement || !entry) return;
+
+    alertTextElement.textContent = entry.text;
+    // 警報は赤の点滅、予報はオレンジ、取消はグレーの表示にして、状態を明確にする
+    container.classList.toggle('eew-warning', !entry.isCancelled && entry.eewClass === 'warning');
+    container.classList.toggle('eew-forecast', !entry.isCancelled && entry.eewClass !== 'warning');
+    container.classList.toggle('eew-cancelled', entry.isCancelled);
+
+    renderEewAreaPages(entry);
+};
+
+/**
+ * 警告バーの2段目に、EEWの対象地域を予想震度ごとのページで切り替えながら表示する
+ * @param {object} entry - eewQueueの要素
+ */
+const renderEewAreaPages = (entry) => {
+    const areasElement = document.getElementById('eew-alert-areas');
+    if (!areasElement) return;
+
+    clearInterval(eewAreaPageIntervalId);
+    eewAreaPageIntervalId = null;
 
-    // --- 連続EEW対応: キューに情報を追加 ---
-    // 既に同じIDのEEWがキューにあれば追加しない
-    if (eewQueue.some(e => e.id === eewData.id)) {
+    eewAreaPages = entry.isCancelled ? [] : buildEewAreaPages(entry.data.areas, (html) => doesTextFitInTwoLines(html, areasElement));
+    eewAreaPageIndex = 0;
+
+    if (eewAreaPages.length === 0) {
+        areasElement.innerHTML = '';
+        areasElement.classList.add('hidden');
         return;
     }
 
-    eewQueue.push({ id: eewData.id, text: alertText, data: eewData });
-    // 新しいEEWが追加されるたびに表示サイクルを開始（またはタイマーをリセット）する
-    startEewDisplayCycle();
+    const showPage = () => {
+        const page = eewAreaPages[eewAreaPageIndex];
+        areasElement.innerHTML = `<span class="shindo-badge eew-area-badge ${page.shindoClass}">${page.shindo}</span> ${page.html}`;
+    };
+    areasElement.classList.remove('hidden');
+    showPage();
+
+    if (eewAreaPages.length > 1) {
+        eewAreaPageIntervalId = setInterval(() => {
+            eewAreaPageIndex = (eewAreaPageIndex + 1) % eewAreaPages.length;
+            showPage();
+        }, CONFIG.EEW_AREA_PAGE_MS);
+    }
 };
 
 /**
  * EEWアラートの表示サイクルを開始・管理する
+ * @param {number} [displayIndex=0] - 最初に表示するキュー内のインデックス
  */
-const startEewDisplayCycle = () => {
+const startEewDisplayCycle = (displayIndex = 0) => {
     const container = document.getElementById('eew-alert-container');
     const alertTextElement = document.getElementById('eew-alert-text');
     if (!container || !alertTextElement) return;
 
-    // 既存のタイマーをクリア（表示切り替えタイマーは、キューが1つの場合はリセットしない）
-    if (eewQueue.length > 1 && eewDisplayIntervalId) clearInterval(eewDisplayIntervalId);
+    // 既存のタイマーをクリア
     if (eewClearTimeoutId) clearTimeout(eewClearTimeoutId);
 
-    currentEewIndex = 0;
+    currentEewIndex = Math.min(displayIndex, Math.max(eewQueue.length - 1, 0));
 
-    // 最初の情報をすぐに表示
+    // 更新された情報をすぐに表示（対象地域のページ分割で幅を測るため、先に表示状態にする）
     if (eewQueue.length > 0) {
-        alertTextElement.textContent = eewQueue[0].text;
         container.classList.remove('hidden');
         container.classList.add('flex');
+        renderEewAlert(eewQueue[currentEewIndex]);
     }
+    updateEewTelopButton();
 
     // 10秒ごとに表示を切り替えるタイマーを設定（まだ設定されていなければ）
     if (!eewDisplayIntervalId) {
         eewDisplayIntervalId = setInterval(() => {
             if (eewQueue.length > 1) {
                 currentEewIndex = (currentEewIndex + 1) % eewQueue.length;
-                alertTextElement.textContent = eewQueue[currentEewIndex].text;
+                renderEewAlert(eewQueue[currentEewIndex]);
             }
         }, 10000);
     }
 
-    // 60秒後にすべてをクリアするタイマーを設定
+    // 最後の更新から60秒後にすべてをクリアするタイマーを設定
     eewClearTimeoutId = setTimeout(() => {
         stopEewDisplayCycle();
     }, 60000);
@@ -441,8 +1069,20 @@ const stopEewDisplayCycle = () => {
     clearInterval(eewDisplayIntervalId);
     eewDisplayIntervalId = null; // タイマーIDをリセット
     clearTimeout(eewClearTimeoutId);
+    eewClearTimeoutId = null;
+    clearInterval(eewAreaPageIntervalId);
+    eewAreaPageIntervalId = null;
     eewQueue = [];
-    document.getElementById('eew-alert-container').classList.add('hidden');
+    currentEewIndex = 0;
+    const container = document.getElementById('eew-alert-container');
+    container.classList.add('hidden');
+    container.classList.remove('flex');
+    updateEewTelopButton();
+
+    // EEWテロップを表示中であれば、地震情報の表示に戻す
+    if (FIXED_BAR_MODE === 'eew') {
+        exitEewTelopMode();
+    }
 };
 
 
@@ -464,7 +1104,8 @@ const fetchEarthquakeData = async () => {
                 "source": "気象庁",
                 "time": "2025/12/25 12:00:00",
                 "type": "ScalePrompt",
-                "event_id": "20251225120000"
+                "event_id": "20251225120000",
+                "serial": 1
             },
             "earthquake": {
                 "time": "2025-12-25T12:00:00+09:00",
@@ -477,27 +1118,105 @@ const fetchEarthquakeData = async () => {
                 },
                 "maxScale": 60, // 震度6強
                 "domesticTsunami": "Warning"
-            }
+            },
+            "areas": [
+                { "pref": "千葉県", "name": "千葉県北西部", "scaleFrom": 55, "scaleTo": 60, "kindCode": "11" },
+                { "pref": "東京都", "name": "東京都23区", "scaleFrom": 55, "scaleTo": 60, "kindCode": "10" },
+                { "pref": "神奈川県", "name": "神奈川県東部", "scaleFrom": 50, "scaleTo": 55, "kindCode": "10" },
+                { "pref": "埼玉県", "name": "埼玉県南部", "scaleFrom": 50, "scaleTo": 50, "kindCode": "10" },
+                { "pref": "千葉県", "name": "千葉県南部", "scaleFrom": 45, "scaleTo": 50, "kindCode": "10" },
+                { "pref": "茨城県", "name": "茨城県南部", "scaleFrom": 45, "scaleTo": 45, "kindCode": "10" }
+            ]
         },
-            {
-                "code": 551,
-                "issue": {
-                    "source": "気象庁",
-                    "time": "1923/09/01 11:59:00",
-                    "type": "DetailScale",
-                    "correct": "None",
-                    "event_id": "19230901115800" // 津波情報と紐付けるID
+        // --- 訓練用EEWの続報（最終報） ---
+        {
+            "code": 554,
+            "issue": {
+                "source": "気象庁",
+                "time": "2025/12/25 12:00:20",
+                "type": "ScalePrompt",
+                "event_id": "20251225120000",
+                "serial": 2,
+                "isFinal": true
+            },
+            "earthquake": {
+                "time": "2025-12-25T12:00:00+09:00",
+                "hypocenter": {
+                    "name": "東京湾",
+                    "latitude": 35.5,
+                    "longitude": 139.8,
+                    "depth": 40,
+                    "magnitude": 7.3
                 },
-                "earthquake": {
-                    "time": "1923-09-01T11:58:00+09:00",
-                    "hypocenter": {
-                        "name": "相模湾北西部",
-                        "latitude": 35.1,
-                        "longitude": 139.5,
-                        "depth": 23,
-                        "magnitude": 7.9
-                    },
-                    "maxScale": 70, // 震度7
+                "maxScale": 70, // 震度7
+                "domesticTsunami": "Warning"
+            },
+            "areas": [
+                { "pref": "千葉県", "name": "千葉県北西部", "scaleFrom": 60, "scaleTo": 99, "kindCode": "11" },
+                { "pref": "東京都", "name": "東京都23区", "scaleFrom": 60, "scaleTo": 99, "kindCode": "11" },
+                { "pref": "神奈川県", "name": "神奈川県東部", "scaleFrom": 55, "scaleTo": 60, "kindCode": "11" },
+                { "pref": "埼玉県", "name": "埼玉県南部", "scaleFrom": 55, "scaleTo": 55, "kindCode": "10" },
+                { "pref": "東京都", "name": "東京都多摩東部", "scaleFrom": 50, "scaleTo": 55, "kindCode": "10" },
+                { "pref": "千葉県", "name": "千葉県南部", "scaleFrom": 50, "scaleTo": 50, "kindCode": "10" },
+                { "pref": "茨城県", "name": "茨城県南部", "scaleFrom": 45, "scaleTo": 50, "kindCode": "10" },
+                { "pref": "神奈川県", "name": "神奈川県西部", "scaleFrom": 45, "scaleTo": 45, "kindCode": "10" },
+                { "pref": "埼玉県", "name": "埼玉県北部", "scaleFrom": 40, "scaleTo": 45, "kindCode": "10" },
+                { "pref": "静岡県", "name": "静岡県東部", "scaleFrom": 40, "scaleTo": 40, "kindCode": "19" }
+            ]
+        },
+        // --- 訓練用EEWの取消 (誤報のケース) ---
+        {
+            "code": 554,
+            "issue": {
+                "source": "気象庁",
+                "time": "2025/12/26 08:30:00",
+                "type": "ScalePrompt",
+                "event_id": "20251226083000",
+                "serial": 1
+            },
+            "earthquake": {
+                "time": "2025-12-26T08:30:00+09:00",
+                "hypocenter": {
+                    "name": "茨城県沖",
+                    "latitude": 36.4,
+                    "longitude": 141.2,
+                    "depth": 50,
+                    "magnitude": 5.9
+                },
+                "maxScale": 45, // 震度5弱
+                "domesticTsunami": "Checking"
+            }
+        },
+        {
+            "code": 554,
+            "cancelled": true,
+            "issue": {
+                "source": "気象庁",
+                "time": "2025/12/26 08:30:15",
+                "type": "ScalePrompt",
+                "event_id": "20251226083000",
+                "serial": 2
+            }
+        },
+            {
+                "code": 551,
+                "issue": {
+                    "source": "気象庁",
+                    "time": "1923/09/01 11:59:00",
+                    "type": "DetailScale",
+                    "correct": "None",
+                    "event_id": "19230901115800" // 津波情報と紐付けるID
+                },
+                "earthquake": {
+                    "time": "1923-09-01T11:58:00+09:00",
+                    "hypocenter": {
+                        "name": "相模湾北西部",
+                        "latitude": 35.1,
+                        "longitude": 139.5,
+                        "depth": 23,
+                        "magnitude": 7.9
+                    },
+                    "maxScale": 70, // 震度7
                     "domesticTsunami": "Warning" // 津波警報
                 },
                 "points": [
@@ -599,9 +1318,9 @@ const fetchEarthquakeData = async () => {
                 },
                 "tsunami": {
                     "forecasts": [
-                        { "grade": "Warning", "area": { "name": "北海道太平洋沿岸東部" } },
-                        { "grade": "Warning", "area": { "name": "北海道太平洋沿岸中部" } },
-                        { "grade": "Advisory", "area": { "name": "北海道太平洋沿岸西部" } },
+                        { "grade": "Warning", "immediate": true, "area": { "name": "北海道太平洋沿岸東部" }, "firstHeight": { "condition": "ただちに津波来襲と予測" }, "maxHeight": { "description": "３ｍ", "value": 3 } },
+                        { "grade": "Warning", "immediate": false, "area": { "name": "北海道太平洋沿岸中部" }, "firstHeight": { "arrivalTime": "2025/03/20 10:30:00" }, "maxHeight": { "description": "３ｍ", "value": 3 } },
+                        { "grade": "Advisory", "immediate": false, "area": { "name": "北海道太平洋沿岸西部" }, "firstHeight": { "arrivalTime": "2025/03/20 10:50:00" }, "maxHeight": { "description": "１ｍ", "value": 1 } },
                         { "grade": "Advisory", "area": { "name": "青森県太平洋沿岸" } },
                         { "grade": "Advisory", "area": { "name": "岩手県" } },
                         { "grade": "Advisory", "area": { "name": "宮城県" } }
@@ -2600,9 +3319,9 @@ const fetchEarthquakeData = async () => {
                 },
                 "tsunami": {
                     "forecasts": [
-                        { "grade": "Warning", "area": { "name": "北海道太平洋沿岸東部" } },
-                        { "grade": "Warning", "area": { "name": "北海道太平洋沿岸中部" } },
-                        { "grade": "Advisory", "area": { "name": "北海道太平洋沿岸西部" } },
+                        { "grade": "Warning", "immediate": true, "area": { "name": "北海道太平洋沿岸東部" }, "firstHeight": { "condition": "ただちに津波来襲と予測" }, "maxHeight": { "description": "３ｍ", "value": 3 } },
+                        { "grade": "Warning", "immediate": false, "area": { "name": "北海道太平洋沿岸中部" }, "firstHeight": { "arrivalTime": "2025/03/20 10:30:00" }, "maxHeight": { "description": "３ｍ", "value": 3 } },
+                        { "grade": "Advisory", "immediate": false, "area": { "name": "北海道太平洋沿岸西部" }, "firstHeight": { "arrivalTime": "2025/03/20 10:50:00" }, "maxHeight": { "description": "１ｍ", "value": 1 } },
                         { "grade": "Advisory", "area": { "name": "青森県太平洋沿岸" } },
                         { "grade": "Advisory", "area": { "name": "岩手県" } },
                         { "grade": "Advisory", "area": { "name": "宮城県" } }
@@ -2845,49 +3564,23 @@ const fetchEarthquakeData = async () => {
                 ]
             }
         ];
-        const tsunamiDetailsMap = new Map();
-        const tsunamiInfos = dummyData.filter(d => d.code === 552);
-        tsunamiInfos.forEach(info => {
-            const eventId = String(info.issue.event_id || info.issue.eventid);
-            if (!info.tsunami || !info.tsunami.forecasts) return; // 修正: returnを追加
-            const forecastsByGrade = { 'MajorWarning': new Set(), 'Warning': new Set(), 'Advisory': new Set() };
-            info.tsunami.forecasts.forEach(forecast => { if (forecastsByGrade[forecast.grade] && forecast.area.name) { forecastsByGrade[forecast.grade].add(forecast.area.name); } });
-            const grades = Object.keys(forecastsByGrade).filter(grade => forecastsByGrade[grade].size > 0);
-            let highestGrade = 'None';
-            if (grades.includes('MajorWarning')) highestGrade = 'MajorWarning'; else if (grades.includes('Warning')) highestGrade = 'Warning'; else if (grades.includes('Advisory')) highestGrade = 'Advisory';
-            tsunamiDetailsMap.set(eventId, { highestGrade, areas: forecastsByGrade }); // 修正: 最後の閉じ括弧を修正
-        });
-
-        // ★★★ 修正: 訓練モードでも津波観測情報を処理する ★★★
-        const tsunamiObservationMap = new Map();
-        const observationInfos = dummyData.filter(d => d.code === 556 && !d.cancelled);
-        observationInfos.forEach(info => {
-            const eventId = String(info.issue.event_id || info.issue.eventid);
-            if (!info.areas) return;
-            let maxObservedHeight = 0;
-            const stations = [];
-            info.areas.forEach(area => {
-                area.stations?.forEach(station => {
-                    if (station.height > maxObservedHeight) maxObservedHeight = station.height;
-                    stations.push(station);
-                });
-            });
-            tsunamiObservationMap.set(eventId, { maxObservedHeight, stations });
-        });
-
         // ★★★ 修正: 訓練モードでもEEWを処理する ★★★
         // 訓練データに含まれる全てのEEW(554)を候補として取得
         const eewCandidates = dummyData.filter(item => item.code === 554);
         if (eewCandidates.length > 0) {
             // 複数のEEW候補からランダムで1つを選択して表示
             const randomIndex = Math.floor(Math.random() * eewCandidates.length);
-            const randomEew = eewCandidates[randomIndex];
-            handleEew(randomEew);
+            const randomEventId = parseEewStatus(eewCandidates[randomIndex]).eventId;
+            // 同じイベントの続報・取消は5秒間隔で順に受信したものとして処理する
+            eewCandidates
+                .filter(item => parseEewStatus(item).eventId === randomEventId)
+                .sort((a, b) => parseEewStatus(a).serial - parseEewStatus(b).serial)
+                .forEach((report, index) => setTimeout(() => handleEew(report), index * 5000));
         }
 
-        const filteredEarthquakes = dummyData.filter(eq => eq.code === 551 && eq.earthquake && eq.earthquake.maxScale >= CONFIG.MIN_LIST_SCALE);
-
-        PROCESSED_EARTHQUAKES = await Promise.all(filteredEarthquakes.map(eq => processEarthquake(eq, tsunamiDetailsMap, tsunamiObservationMap)));
+        // 訓練データは受信キャッシュに混ぜず、そのまま集約する
+        PROCESSED_EARTHQUAKES = await aggregateReports(dummyData);
+        refreshTsunamiBulletin(dummyData);
         return PROCESSED_EARTHQUAKES;
     }
 
@@ -2931,116 +3624,24 @@ const fetchEarthquakeData = async () => {
         }
 
         // --- 緊急地震速報(554)をチェック ---
-        const eewInfo = data.find(item => item.code === 554);
+        // 最新のEEWと同じイベントの報を古い順に処理し、続報・取消を反映する
+        // 処理済みの記録を削除した後に再表示しないよう、記録を残す時間より前に発表されたEEWは処理しない
+        const eewInfo = data.find(item => item.code === 554 && Date.now() - getReportIssuedAt(item) <= CONFIG.EEW_SEEN_RETENTION_MS);
         if (eewInfo) {
-            handleEew(eewInfo);
-        }
-
-        // --- 1. 津波情報(552)を先に処理し、event_idごとに最高の警報レベルをマップに保存 ---
-        const tsunamiDetailsMap = new Map();
-        const tsunamiInfos = data.filter(d => d.code === 552);
-
-        tsunamiInfos.forEach(info => {
-            const eventId = String(info.issue.event_id || info.issue.eventid);
-            if (!info.tsunami || !info.tsunami.forecasts) return;
-
-            // 警報レベルごとの沿岸エリアを収集
-            const forecastsByGrade = {
-                'MajorWarning': new Set(),
-                'Warning': new Set(),
-                'Advisory': new Set()
-            };
-            info.tsunami.forecasts.forEach(forecast => {
-                if (forecastsByGrade[forecast.grade] && forecast.area.name) {
-                    forecastsByGrade[forecast.grade].add(forecast.area.name);
-                }
-            });
-
-            const grades = Object.keys(forecastsByGrade).filter(grade => forecastsByGrade[grade].size > 0);
-            let highestGrade = 'None';
-            if (grades.includes('MajorWarning')) highestGrade = 'MajorWarning';
-            else if (grades.includes('Warning')) highestGrade = 'Warning';
-            else if (grades.includes('Advisory')) highestGrade = 'Advisory';
-
-            tsunamiDetailsMap.set(eventId, { highestGrade, areas: forecastsByGrade });
-        });
-
-        // --- 2. 津波観測情報(556)を処理し、event_idごとに観測点をマップに保存 ---
-        const tsunamiObservationMap = new Map();
-        const observationInfos = data.filter(d => d.code === 556 && !d.cancelled);
-
-        observationInfos.forEach(info => {
-            const eventId = String(info.issue.event_id || info.issue.eventid);
-            if (!info.areas) return;
-
-            let maxObservedHeight = 0;
-            const stations = [];
-
-            info.areas.forEach(area => {
-                area.stations?.forEach(station => {
-                    if (station.height > maxObservedHeight) {
-                        maxObservedHeight = station.height;
-                    }
-                    stations.push(station);
-                });
-            });
-
-            tsunamiObservationMap.set(eventId, { maxObservedHeight, stations });
-        });
-
-        // 最大震度3以上の地震のみをフィルタリング (CONFIG.MIN_LIST_SCALEを使用)
-        const filteredEarthquakes = data.filter(eq => 
-            eq.code === 551 && eq.earthquake && typeof eq.earthquake.maxScale === 'number' && eq.earthquake.maxScale >= CONFIG.MIN_LIST_SCALE
-        );
-
-        // 「イベントキー」を元に重複排除・集約
-        const uniqueEarthquakesMap = new Map();
-        for (const eq of filteredEarthquakes) {
-            // ★★★ 修正: hypocenterが存在しない場合も考慮 ★★★
-            const eventTime = eq.earthquake?.time;
-            const epicenterName = eq.earthquake?.hypocenter?.name;
- 
-            if (!eventTime || !epicenterName) continue; // ID生成に必要な情報がなければスキップ
- 
-            const eventKey = `${eventTime}_${epicenterName}`; // 発生時刻と震源地名から安定したイベントキーを生成
-
-            if (uniqueEarthquakesMap.has(eventKey)) {
-                // 既に同じ地震イベントが存在する場合、情報をマージする
-                const existingEq = uniqueEarthquakesMap.get(eventKey);
-                // ★★★ 観測点(points)データを持つ情報を優先するロジック ★★★
-                if (!existingEq.points && eq.points) { // 既存にpointsがなく、新しい方にあれば
-                    uniqueEarthquakesMap.set(eventKey, eq); // 新しい情報で上書きする
-                }
-                // ★★★ 修正: hypocenterが存在しない場合も考慮 ★★★
-                if (eq.earthquake?.hypocenter && (existingEq.earthquake.hypocenter.magnitude === -1 || existingEq.earthquake.hypocenter.magnitude === null) && (eq.earthquake.hypocenter.magnitude !== -1 && eq.earthquake.hypocenter.magnitude !== null)) {
-                    existingEq.earthquake.hypocenter = eq.earthquake.hypocenter;
-                }
-                // 最大震度が更新された場合
-                if (eq.earthquake.maxScale > existingEq.earthquake.maxScale) {
-                    existingEq.earthquake.maxScale = eq.earthquake.maxScale;
-                }
-                // 津波情報が更新された場合（例: "Checking" -> "None" や "Warning"）
-                // domesticTsunamiはより危険度が高い情報で上書きする
-                if (eq.earthquake.domesticTsunami !== existingEq.earthquake.domesticTsunami) {
-                    existingEq.earthquake.domesticTsunami = eq.earthquake.domesticTsunami;
-                }
-            } else {
-                // 新しい地震イベントとして追加
-                uniqueEarthquakesMap.set(eventKey, eq);
-            }
+            const latestEventId = parseEewStatus(eewInfo).eventId;
+            data.filter(item => item.code === 554 && parseEewStatus(item).eventId === latestEventId)
+                .sort((a, b) => parseEewStatus(a).serial - parseEewStatus(b).serial)
+                .forEach(handleEew);
         }
-        
-        const uniqueEarthquakes = Array.from(uniqueEarthquakesMap.values());
 
-        // 処理済みのデータセットをグローバル変数に格納
-        // ★★★ 修正: 当日フィルタリングを削除し、取得した全てのユニークな地震を処理対象とする ★★★
-        PROCESSED_EARTHQUAKES = await Promise.all(uniqueEarthquakes.map(eq => processEarthquake(eq, tsunamiDetailsMap, tsunamiObservationMap)));
+        // WebSocketで受信済みの情報と合わせて集約し、保存済みの履歴と合わせる
+        cacheRawReports(data);
+        await saveReportsToHistory(data);
+        PROCESSED_EARTHQUAKES = await syncEarthquakeHistory(await aggregateReports(Array.from(RAW_REPORT_CACHE.values())));
+        refreshTsunamiBulletin(Array.from(RAW_REPORT_CACHE.values()));
 
         // 新しい地震データをスプレッドシートに記録
-        if (PROCESSED_EARTHQUAKES.length > 0) {
-            logToSpreadsheet(PROCESSED_EARTHQUAKES);
-            logPointsToSpreadsheet(PROCESSED_EARTHQUAKES);
-        }
+        scheduleSpreadsheetLog();
         return PROCESSED_EARTHQUAKES;
 
     } catch (error) {
@@ -3054,158 +3655,1051 @@ const fetchEarthquakeData = async () => {
 };
 
 /**
- * 地震データをGoogle Apps Scriptに送信してスプレッドシートに記録する
- * @param {Array} earthquakes - 処理済みの地震情報配列
+ * 情報を一意に識別するIDを取得する
+ * APIの情報IDがない場合（訓練データなど）は、コード・発表時刻・event_idから生成する
+ * @param {object} report - APIから取得した単一の情報
+ * @returns {string} 情報ID
  */
-const logToSpreadsheet = async (earthquakes) => {
-    const url = CONFIG.GAS_WEB_APP_URL;
-    if (!url) {
-        console.log('GAS_WEB_APP_URLが設定されていないため、スプレッドシートへの記録をスキップしました。');
-        return;
-    }
+const getReportId = (report) => {
+    const apiId = report.id || report._id?.$oid || report._id;
+    if (apiId) return String(apiId);
+    return `${report.code}_${report.issue?.time}_${report.issue?.event_id || report.issue?.eventid}`;
+};
 
-    try {
-        const response = await fetch(url, {
-            method: 'POST',
-            mode: 'no-cors', // CORSエラーを回避するために必要
-            cache: 'no-cache',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(earthquakes)
-        });
-        console.log('スプレッドシートへの記録リクエストを送信しました。');
-    } catch (error) {
-        console.error('スプレッドシートへの記録中にエラーが発生しました:', error);
-    }
+/**
+ * 情報の発表時刻をミリ秒で取得する（取得できない場合は0）
+ * @param {object} report - APIから取得した単一の情報
+ * @returns {number} 発表時刻 (エポックミリ秒)
+ */
+const getReportIssuedAt = (report) => new Date(report.issue?.time || report.time || 0).getTime() || 0;
+
+/**
+ * 集約処理でマージ・上書きしても元データに影響しないよう、情報を複製する
+ * @param {object} report - APIから取得した単一の情報
+ * @returns {object} 複製した情報
+ */
+const cloneReport = (report) => JSON.parse(JSON.stringify(report));
+
+/**
+ * 取得・受信した情報を受信キャッシュに追加する
+ * 上限件数を超えた場合は、発表時刻の古いものから削除する
+ * @param {Array} reports - APIから取得した情報の配列
+ * @returns {number} 新しく追加した（受信済みでなかった）情報の件数
+ */
+const cacheRawReports = (reports) => {
+    let addedCount = 0;
+    reports.forEach(report => {
+        if (!report || typeof report.code !== 'number') return;
+        const reportId = getReportId(report);
+        if (!RAW_REPORT_CACHE.has(reportId)) addedCount++;
+        RAW_REPORT_CACHE.set(reportId, report);
+    });
+
+    if (RAW_REPORT_CACHE.size <= CONFIG.RAW_REPORT_CACHE_LIMIT) return addedCount;
+
+    const sortedEntries = Array.from(RAW_REPORT_CACHE.entries()).sort((a, b) => getReportIssuedAt(a[1]) - getReportIssuedAt(b[1]));
+    sortedEntries
+        .slice(0, RAW_REPORT_CACHE.size - CONFIG.RAW_REPORT_CACHE_LIMIT)
+        .forEach(([id]) => RAW_REPORT_CACHE.delete(id));
+    return addedCount;
 };
 
 /**
- * 観測点データをGoogle Apps Scriptに送信してスプレッドシートに記録する
- * @param {Array} earthquakes - 処理済みの地震情報配列
+ * 地震情報(551)の種類 (issue.type) ごとの表示名
  */
-const logPointsToSpreadsheet = (earthquakes) => {
-    const url = CONFIG.GAS_POINTS_WEB_APP_URL;
-    if (!url) { 
-        console.log('GAS_POINTS_WEB_APP_URLが設定されていないため、観測点情報の記録をスキップしました。');
-        return;
-    } 
+const REPORT_TYPE_LABELS = {
+    'ScalePrompt': '震度速報',
+    'Destination': '震源に関する情報',
+    'ScaleAndDestination': '震源・震度に関する情報',
+    'DetailScale': '各地の震度に関する情報',
+    'Foreign': '遠地地震に関する情報',
+    'Other': 'その他の情報'
+};
 
-    // 地震ごとに観測点データを分割して送信する
-    earthquakes.forEach(eq => {
-        // 震度1以上の観測点のみを抽出
-        const allPoints = eq.points?.filter(p => p.scale >= 10) || [];
+// 遠地地震の、日本への津波の影響 (earthquake.domesticTsunami) ごとの案内文
+const FOREIGN_TSUNAMI_MESSAGES = {
+    'None': '日本への津波の影響はありません',
+    'Unknown': '日本への津波の影響は不明です',
+    'Checking': '日本への津波の影響は現在調査中です',
+    'NonEffective': '日本の沿岸では若干の海面変動があるかもしれませんが 被害の心配はありません',
+    'Watch': '日本の沿岸に津波注意報が発表されています',
+    'Warning': '日本の沿岸に津波予報が発表されています'
+};
 
-        if (allPoints.length > 0) {
-            // 震度階級の大きい順に並び替え、上位40件に制限
-            const sortedAndLimitedPoints = allPoints
-                .sort((a, b) => b.scale - a.scale)
-                .slice(0, 40);
+/**
+ * 地震情報(551)を1つの地震イベントにまとめるためのキーを取得する
+ * 気象庁の event_id を優先し、含まれない場合のみ「発生時刻と震源地名」を使用する
+ * （震源地名や発生時刻が続報で訂正されても、event_id が同じなら同じ地震として扱う）
+ * 震源地名のない震度速報は「発生時刻_」となり、集約時に同じ発生時刻の地震へまとめる
+ * @param {object} report - 地震情報(551)
+ * @returns {string|null} イベントキー。生成できない場合はnull
+ */
+const getEarthquakeEventKey = (report) => {
+    const eventId = report.issue?.event_id || report.issue?.eventid;
+    if (eventId) return `event_${eventId}`;
 
-            // 各観測点データに、関連する地震IDを追加 
-            const payload = sortedAndLimitedPoints.map(point => ({
-                ...point,
-                addr: `${point.pref}_${point.addr}`, // ★都道府県名と観測点名を連結
-                earthquakeId: eq.id
-            }));
+    const eventTime = report.earthquake?.time;
+    if (!eventTime) return null;
+    return `${eventTime}_${report.earthquake?.hypocenter?.name || ''}`;
+};
 
-            // 非同期で送信処理を実行（awaitしないことで、次の地震の処理をブロックしない）
-            fetch(url, {
-                method: 'POST',
-                mode: 'no-cors', // CORSエラーを回避
-                cache: 'no-cache',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            })
-            .then(() => {
-                console.log(`地震ID: ${eq.id} の観測点データ(${payload.length}件)の記録リクエストを送信しました。`);
-            })
-            .catch(error => {
-                console.error(`地震ID: ${eq.id} の観測点データ記録中にエラーが発生しました:`, error);
-            });
-        }
+/**
+ * event_id のない震度速報（震源地名なし）を、同じ発生時刻で震源地名を持つイベントにまとめる
+ * 該当するイベントがまだない場合は、震度速報だけのイベントとして残す
+ * @param {Map} reportsByEvent - イベントキー → (情報ID → 情報) のMap
+ */
+const mergeNamelessEventGroups = (reportsByEvent) => {
+    reportsByEvent.forEach((reportMap, eventKey) => {
+        if (eventKey.startsWith('event_') || !eventKey.endsWith('_')) return;
+
+        const namedKey = Array.from(reportsByEvent.keys()).find(key => key !== eventKey && key.startsWith(eventKey));
+        if (!namedKey) return;
+
+        reportMap.forEach((report, reportId) => reportsByEvent.get(namedKey).set(reportId, report));
+        reportsByEvent.delete(eventKey);
     });
 };
 
 /**
- * 個別の地震情報オブジェクトを処理し、描画に必要な基本情報と生のpointsデータを格納する
- * @param {Object} earthquake - APIから取得した単一の地震情報オブジェクト
- * @returns {Object} 処理後の整形済み地震情報
+ * マグニチュードが確定した値かどうかを判定する（-1 や null は未確定）
+ * @param {number|null|undefined} magnitude - マグニチュード
+ * @returns {boolean}
  */
-const processEarthquake = async (earthquake, tsunamiDetailsMap, tsunamiObservationMap) => {
-    // --- 安定したID生成ロジック ---
-    const eqData = earthquake.earthquake;
-    // ★★★ 修正: hypocenterが存在しないケースに対応 ★★★
-    const epicenterName = eqData.hypocenter?.name || '不明';
-    const idSource = `${eqData.time}_${epicenterName}`;
-    const syntheticId = await digestMessage(idSource);
+const isValidMagnitude = (magnitude) => typeof magnitude === 'number' && magnitude !== -1 && !isNaN(magnitude);
 
-    // -------------------------
+/**
+ * 地震情報(551)の訂正・取消の種別を判定する
+ * - 取消: cancelled が true、または issue.correct が 'Cancel'
+ * - 訂正: issue.correct が 'None' 以外（ScaleOnly: 震度の訂正 / DestinationOnly: 震源の訂正 / ScaleAndDestination: 両方 / Unknown: 不明）
+ * @param {object} report - 地震情報(551)
+ * @returns {{kind: string, scale: boolean, destination: boolean}} kind は 'none' | 'correction' | 'cancel'
+ */
+const getReportCorrection = (report) => {
+    const correct = report.issue?.correct || 'None';
+    if (report.cancelled === true || correct === 'Cancel') {
+        return { kind: 'cancel', scale: false, destination: false };
+    }
+    if (correct === 'None') {
+        return { kind: 'none', scale: false, destination: false };
+    }
+    return {
+        kind: 'correction',
+        scale: ['ScaleOnly', 'ScaleAndDestination', 'Unknown'].includes(correct),
+        destination: ['DestinationOnly', 'ScaleAndDestination', 'Unknown'].includes(correct)
+    };
+};
 
-    // API提供のeventidは津波情報の紐付けにのみ利用
-    const eventId = String(earthquake.issue?.event_id || earthquake.issue?.eventid);
-    const tsunamiData = tsunamiDetailsMap.get(eventId);
-    const tsunamiObservationData = tsunamiObservationMap.get(eventId);
-    const detailedTsunamiGrade = tsunamiData ? tsunamiData.highestGrade : earthquake.earthquake.domesticTsunami;
-    
-    // ★★★ 修正: tsunamiDataが存在しない場合も考慮 ★★★
-    const tsunamiBadges = [];
-    if (tsunamiData) {
-        if (tsunamiData.areas.MajorWarning?.size > 0) {
-            tsunamiBadges.push({ label: '大津波警報', class: 'tsunami-major-warning' });
+/**
+ * 同じ地震イベントの地震情報(551)を、発表順にマージして1つにまとめる
+ * 後から発表された情報を優先し、観測点データは最後に観測点を含んでいた情報のものを使用する
+ * 訂正報は訂正された項目を無条件で置き換え、取消報はイベントを取消済みにする
+ * @param {Array} reports - 同じイベントの地震情報（発表時刻の古い順）
+ * @returns {object|null} マージした地震情報（元データは変更しない）。取消報しかない場合はnull
+ */
+const mergeEarthquakeReports = (reports) => {
+    // 取消報には地震の内容が含まれないことがあるため、内容を持つ最初の情報を起点にする
+    const baseIndex = reports.findIndex(report => report.earthquake);
+    if (baseIndex === -1) return null;
+
+    // キャッシュ内の元データを書き換えないよう、複製してからマージする
+    const mergedEq = cloneReport(reports[baseIndex]);
+    mergedEq.isCancelled = false;
+    // 震度速報の観測点は地域単位のため、震度を含む情報が届いたら観測点ごと置き換える
+    mergedEq.hasAreaPoints = reports[baseIndex].issue?.type === 'ScalePrompt';
+    mergedEq.hasCorrection = getReportCorrection(reports[baseIndex]).kind === 'correction';
+    let isScaleCorrected = mergedEq.hasCorrection && getReportCorrection(reports[baseIndex]).scale;
+
+    reports.slice(baseIndex + 1).forEach(report => {
+        const correction = getReportCorrection(report);
+        if (correction.kind === 'cancel') {
+            mergedEq.isCancelled = true;
+            mergedEq.hasCorrection = true;
+            mergedEq.issue = cloneReport(report.issue);
+            return;
         }
-        if (tsunamiData.areas.Warning?.size > 0) {
-            tsunamiBadges.push({ label: '津波警報', class: 'tsunami-warning-detailed' });
+        if (!report.earthquake) return;
+
+        // 取消の後に改めて発表された情報は、取消を解除する
+        mergedEq.isCancelled = false;
+        const eq = report.earthquake;
+        const mergedData = mergedEq.earthquake;
+
+        if (correction.kind === 'correction') {
+            mergedEq.hasCorrection = true;
+            // 震度の訂正は、観測点数や最大震度が減る場合でもそのまま採用する
+            if (correction.scale) {
+                isScaleCorrected = true;
+                if (Array.isArray(report.points)) {
+                    mergedEq.points = cloneReport(report.points);
+                    mergedEq.hasAreaPoints = report.issue?.type === 'ScalePrompt';
+                }
+                if (typeof eq.maxScale === 'number' && eq.maxScale >= 0) mergedData.maxScale = eq.maxScale;
+            }
+            // 震源の訂正は、震源要素と発生時刻をそのまま採用する
+            if (correction.destination && eq.hypocenter) {
+                mergedData.hypocenter = cloneReport(eq.hypocenter);
+                if (eq.time) mergedData.time = eq.time;
+            }
+            mergedEq.issue = cloneReport(report.issue);
+            return;
         }
-        if (tsunamiData.areas.Advisory?.size > 0) {
-            tsunamiBadges.push({ label: '津波注意報', class: 'tsunami-advisory' });
+
+        // ★★★ 観測点(points)データを持つ情報を優先するロジック ★★★
+        if (Array.isArray(report.points) && report.points.length > 0) {
+            mergedEq.points = cloneReport(report.points);
+            mergedEq.hasAreaPoints = report.issue?.type === 'ScalePrompt';
         }
-    }
+        // 震源要素は、震源地名を含む新しい情報で置き換える（確定していないマグニチュードは既存の値を残す）
+        if (eq.hypocenter?.name) {
+            const previousMagnitude = mergedData.hypocenter?.magnitude;
+            mergedData.hypocenter = cloneReport(eq.hypocenter);
+            if (!isValidMagnitude(eq.hypocenter.magnitude) && isValidMagnitude(previousMagnitude)) {
+                mergedData.hypocenter.magnitude = previousMagnitude;
+            }
+        }
+        // 発生時刻が訂正された場合
+        if (eq.time) {
+            mergedData.time = eq.time;
+        }
+        // 最大震度が更新された場合（震度の訂正後は、大きい値ではなく新しい値を採用する）
+        if (typeof eq.maxScale === 'number' && (isScaleCorrected ? eq.maxScale >= 0 : eq.maxScale > (mergedData.maxScale ?? -1))) {
+            mergedData.maxScale = eq.maxScale;
+        }
+        // 津波情報が更新された場合（例: "Checking" -> "None" や "Warning"）
+        if (eq.domesticTsunami && eq.domesticTsunami !== 'Unknown') {
+            mergedData.domesticTsunami = eq.domesticTsunami;
+        }
+        mergedEq.issue = cloneReport(report.issue);
+    });
 
-    // 津波観測情報があればバッジを追加
-    if (tsunamiObservationData && tsunamiObservationData.maxObservedHeight > 0) {
-        tsunamiBadges.push({ label: '津波観測中', class: 'tsunami-observed' });
+    return mergedEq;
+};
+
+/**
+ * 1件の地震情報から、発表履歴として表示する要素を抜き出す
+ * @param {object} report - 地震情報(551)
+ * @returns {object} 発表履歴の1件分
+ */
+const summarizeReportRevision = (report) => {
+    const eq = report.earthquake || {};
+    const type = report.issue?.type || 'Other';
+    return {
+        reportId: getReportId(report),
+        correction: getReportCorrection(report).kind,
+        type,
+        typeLabel: REPORT_TYPE_LABELS[type] || REPORT_TYPE_LABELS.Other,
+        issueTime: report.issue?.time || '',
+        epicenter: eq.hypocenter?.name || '',
+        magnitude: isValidMagnitude(eq.hypocenter?.magnitude) ? eq.hypocenter.magnitude : null,
+        depth: typeof eq.hypocenter?.depth === 'number' && eq.hypocenter.depth >= 0 ? eq.hypocenter.depth : null,
+        maxScale: typeof eq.maxScale === 'number' && eq.maxScale > 0 ? eq.maxScale : null,
+        originTime: eq.time || '',
+        pointCount: Array.isArray(report.points) ? report.points.length : 0
+    };
+};
+
+/**
+ * それまでの報と比べて変わった内容を文章の配列にする
+ * @param {object|null} previous - それまでの報で判明している内容（第1報の場合はnull）
+ * @param {object} current - 今回の報の発表履歴
+ * @returns {Array<string>} 変更内容 (例: ['震源: 宮城県沖', 'M6.0 → M6.2'])
+ */
+const describeRevisionChanges = (previous, current) => {
+    const changes = [];
+    const formatScale = (scale) => scale ? scaleToShindo(scale).label : '不明';
+
+    if (current.correction === 'cancel') return ['この地震の情報は取り消されました'];
+
+    if (!previous) {
+        if (current.epicenter) changes.push(`震源: ${current.epicenter}`);
+        if (current.magnitude !== null) changes.push(`M${current.magnitude.toFixed(1)}`);
+        if (current.maxScale !== null) changes.push(`最大${formatScale(current.maxScale)}`);
+        if (current.pointCount > 0) changes.push(`観測点 ${current.pointCount}地点`);
+        return changes;
     }
 
-    // 警報・注意報がない場合のフォールバック
-    if (tsunamiBadges.length === 0) {
-        if (detailedTsunamiGrade === 'None') {
-            tsunamiBadges.push({ label: '津波なし', class: 'tsunami-none' });
-        } else if (detailedTsunamiGrade === 'Checking') {
-            tsunamiBadges.push({ label: '調査中', class: 'tsunami-checking' });
-        }
+    if (current.epicenter && current.epicenter !== previous.epicenter) {
+        changes.push(previous.epicenter ? `震源: ${previous.epicenter} → ${current.epicenter}` : `震源: ${current.epicenter}`);
     }
-    
-    // --- GAS送信用に最高レベルの津波ラベルをテキストとして追加 ---
-    let tsunamiLabelForGas = '不明';
-    if (tsunamiBadges.length > 0) {
-        // 警報レベルが最も高いものが配列の先頭に来る想定
-        tsunamiLabelForGas = tsunamiBadges[0].label;
-    } else {
-        // フォールバック
-        if (detailedTsunamiGrade === 'None') tsunamiLabelForGas = '津波なし';
-        else if (detailedTsunamiGrade === 'Checking') tsunamiLabelForGas = '調査中';
+    if (current.originTime && previous.originTime && current.originTime !== previous.originTime) {
+        changes.push(`発生時刻: ${formatCurrentTime(new Date(previous.originTime))} → ${formatCurrentTime(new Date(current.originTime))}`);
     }
-    // ---------------------------------------------------------
+    if (current.magnitude !== null && current.magnitude !== previous.magnitude) {
+        changes.push(previous.magnitude !== null ? `M${previous.magnitude.toFixed(1)} → M${current.magnitude.toFixed(1)}` : `M${current.magnitude.toFixed(1)}`);
+    }
+    if (current.depth !== null && previous.depth !== null && current.depth !== previous.depth) {
+        changes.push(`深さ: 約${previous.depth}km → 約${current.depth}km`);
+    }
+    if (current.maxScale !== null && current.maxScale !== previous.maxScale) {
+        changes.push(`最大震度: ${formatScale(previous.maxScale)} → ${formatScale(current.maxScale)}`);
+    }
+    if (current.pointCount > 0 && current.pointCount !== previous.pointCount) {
+        changes.push(`観測点: ${previous.pointCount}地点 → ${current.pointCount}地点`);
+    }
+    return changes;
+};
 
-    // 津波予報のエリア情報を取得
-    const tsunamiForecastAreas = tsunamiData ? {
-        'MajorWarning': Array.from(tsunamiData.areas.MajorWarning || []),
-        'Warning': Array.from(tsunamiData.areas.Warning || []),
-        'Advisory': Array.from(tsunamiData.areas.Advisory || [])
-    } : null;
+/**
+ * 同じ地震イベントの地震情報から、発表順の発表履歴を生成する
+ * @param {Array} reports - 同じイベントの地震情報（発表時刻の古い順）
+ * @returns {Array} 発表履歴 [{ reportId, type, typeLabel, issueTime, ..., changes }]
+ */
+const buildReportRevisions = (reports) => {
+    // 震源に関する情報には震度が、震度速報には震源が含まれないため、
+    // 直前の報ではなく「それまでに判明している内容」と比較する
+    let known = null;
+    return reports.map(report => {
+        const revision = summarizeReportRevision(report);
+        revision.changes = describeRevisionChanges(known, revision);
+
+        known = {
+            epicenter: revision.epicenter || known?.epicenter || '',
+            originTime: revision.originTime || known?.originTime || '',
+            magnitude: revision.magnitude ?? known?.magnitude ?? null,
+            depth: revision.depth ?? known?.depth ?? null,
+            maxScale: revision.maxScale ?? known?.maxScale ?? null,
+            pointCount: revision.pointCount || known?.pointCount || 0
+        };
+        return revision;
+    });
+};
 
-    // レポートに基づきマグニチュードの取得方法を修正
-    const magValue = eqData.hypocenter?.magnitude;
-    const magnitudeDisplay = (magValue !== undefined && magValue !== null && !isNaN(magValue)) 
-        ? parseFloat(magValue).toFixed(1) 
-        : '不明';
+// 津波予報の種別の優先順位（大きいほど優先）と表示名
+const TSUNAMI_GRADE_RANK = { none: 0, Advisory: 1, Warning: 2, MajorWarning: 3 };
+const TSUNAMI_GRADE_LABELS = { Advisory: '津波注意報', Warning: '津波警報', MajorWarning: '大津波警報' };
+// 津波予報の状態のバッジのクラス（解除は「津波なし」と同じ表示）
+const TSUNAMI_GRADE_CLASSES = { Advisory: 'tsunami-advisory', Warning: 'tsunami-warning-detailed', MajorWarning: 'tsunami-major-warning', Lifted: 'tsunami-none' };
+
+// 津波の第1波の到達予想 (firstHeight.condition) の表示名
+const TSUNAMI_ARRIVAL_CONDITION_LABELS = {
+    'ただちに津波来襲と予測': 'ただちに来襲と予測',
+    '津波到達中と推測': '到達と推測',
+    '第１波の到達を確認': '第1波の到達を確認'
+};
 
-    // ★★★ 震度階級別に「観測点名」をグループ化する処理を追加 ★★★
-    const shindoPoints = {
-        '70': [], '60': [], '55': [], '50': [], '45': [], '40': [], '30': [], '20': [], '10': []
-    };
+/**
+ * 津波予報(552)の予報区を、表示に使う項目だけの形にする
+ * @param {object} forecast - 津波予報の予報区 (tsunami.forecasts の要素)
+ * @returns {object} { name, immediate, firstHeight, maxHeight }（第1波・高さの情報がなければnull）
+ */
+const toTsunamiForecastArea = (forecast) => ({
+    name: forecast.area.name,
+    immediate: !!forecast.immediate,
+    firstHeight: forecast.firstHeight || null,
+    maxHeight: forecast.maxHeight || null
+});
 
-    // ★★★ オリジナルの観測点名を保持しつつ、points配列を加工する ★★★
-    const processedPoints = earthquake.points?.map(point => ({
+/**
+ * 予報区の予想される高さを表示用にする（「３ｍ」「１０ｍ超」などの全角文字を半角にする）
+ * @param {object} area - 津波予報区 (toTsunamiForecastArea の戻り値)
+ * @returns {string} 例: 「3m」「10m超」「巨大」（情報がなければ空文字）
+ */
+const formatTsunamiHeight = (area) => (area.maxHeight?.description || '')
+    .replace(/[０-９．ｍ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0));
+
+/**
+ * 予報区の第1波の到達予想を表示用にする
+ * @param {object} area - 津波予報区 (toTsunamiForecastArea の戻り値)
+ * @param {function} [formatTime] - 到達予想時刻 ("HH:mm:ss") の表示形式
+ * @returns {string} 例: 「到達と推測」「10:30ごろ到達予想」（情報がなければ空文字）
+ */
+const formatTsunamiArrival = (area, formatTime = time => time.slice(0, 5)) => {
+    const condition = area.firstHeight?.condition;
+    if (condition) return TSUNAMI_ARRIVAL_CONDITION_LABELS[condition] || condition;
+
+    const arrivalTime = area.firstHeight?.arrivalTime?.split(' ')[1];
+    const arrivalText = arrivalTime ? formatTime(arrivalTime) : '';
+    return arrivalText ? `${arrivalText}ごろ到達予想` : '';
+};
+
+/**
+ * 同じ地震の津波予報(552)を発表時刻の順にたどり、最新の発表状況と、警報・注意報の切り替わりの履歴を求める
+ * 取消 (cancelled) の報や、警報・注意報の予報区を含まない報は「解除」として扱う
+ * @param {Array} reports - 同じ event_id の津波予報（順不同）
+ * @returns {object} { highestGrade, areas, updatedAt, transitions }
+ *   - highestGrade: 'MajorWarning' | 'Warning' | 'Advisory' | 'Lifted'（解除）
+ *   - areas: 警報レベルごとの予報区 { MajorWarning, Warning, Advisory }（予報区名 → 予報区 のMap）
+ *   - updatedAt: 最新の報の発表時刻
+ *   - transitions: 切り替わりの履歴 [{ time, from, to }]（最初の発表の from はnull）
+ */
+const buildTsunamiLifecycle = (reports) => {
+    let current = null;
+    const transitions = [];
+
+    [...reports].sort((a, b) => getReportIssuedAt(a) - getReportIssuedAt(b)).forEach(report => {
+        const areas = { MajorWarning: new Map(), Warning: new Map(), Advisory: new Map() };
+        if (!report.cancelled) {
+            report.tsunami?.forecasts?.forEach(forecast => {
+                if (areas[forecast.grade] && forecast.area?.name) {
+                    areas[forecast.grade].set(forecast.area.name, toTsunamiForecastArea(forecast));
+                }
+            });
+        }
+        const highestGrade = ['MajorWarning', 'Warning', 'Advisory'].find(grade => areas[grade].size > 0) || 'Lifted';
+        const time = report.issue?.time || '';
+
+        const previousGrade = current ? current.highestGrade : null;
+        if (highestGrade !== previousGrade) {
+            transitions.push({ time, from: previousGrade, to: highestGrade });
+        }
+        current = { highestGrade, areas, updatedAt: time };
+    });
+
+    return { ...current, transitions };
+};
+
+/**
+ * 津波予報の切り替わりを伝える文を作る
+ * @param {object} transition - 切り替わり { from, to } (buildTsunamiLifecycle の transitions の要素)
+ * @returns {string} 例: 「津波警報は注意報に切り替わりました」「津波警報・注意報はすべて解除されました」
+ */
+const formatTsunamiTransition = ({ from, to }) => {
+    if (to === 'Lifted') {
+        return from === 'Advisory' ? '津波注意報は解除されました' : '津波警報・注意報はすべて解除されました';
+    }
+    if (!from || from === 'Lifted') return `${TSUNAMI_GRADE_LABELS[to]}が発表されました`;
+    if (TSUNAMI_GRADE_RANK[to] > TSUNAMI_GRADE_RANK[from]) {
+        return `${TSUNAMI_GRADE_LABELS[from]}は${TSUNAMI_GRADE_LABELS[to]}に引き上げられました`;
+    }
+    return `${TSUNAMI_GRADE_LABELS[from]}は${to === 'Advisory' ? '注意報' : TSUNAMI_GRADE_LABELS[to]}に切り替わりました`;
+};
+
+/**
+ * 同じ地震の津波観測情報(556)のうち最新の報を、予報区ごとの観測点にまとめる
+ * 1つ前の報と比べて、高さ・状態・観測時刻が変わった観測点（新しく加わった観測点を含む）に isUpdated を付ける
+ * @param {Array} reports - 同じ event_id の津波観測情報（順不同）
+ * @returns {object|null} { issuedAt, maxObservedHeight, areas }（取消を除いて報がなければnull）
+ *   - areas: 予報区 [{ name, grade, maxHeight, stations }]。観測した最大の高さが大きい順
+ *     （高さの値を持つ観測点がない予報区は maxHeight が undefined で、高さのある予報区の後に並ぶ）
+ *   - stations: 観測点（556の stations の要素に isUpdated を加えたもの）。更新された観測点、高さの大きい順
+ */
+const buildTsunamiObservation = (reports) => {
+    const sortedReports = reports
+        .filter(report => !report.cancelled && report.areas)
+        .sort((a, b) => getReportIssuedAt(a) - getReportIssuedAt(b));
+    const latest = sortedReports[sortedReports.length - 1];
+    if (!latest) return null;
+
+    const previous = sortedReports[sortedReports.length - 2];
+    const previousStations = new Map();
+    previous?.areas.forEach(area => area.stations?.forEach(station => previousStations.set(station.name, station)));
+    const isUpdatedStation = (station) => {
+        if (!previous) return false; // 最初の報は、全ての観測点が新しいため区別しない
+        const previousStation = previousStations.get(station.name);
+        return !previousStation || previousStation.height !== station.height ||
+            previousStation.condition !== station.condition || previousStation.time !== station.time;
+    };
+    const byHeightDesc = (a, b) => (b.height || 0) - (a.height || 0);
+
+    const areas = latest.areas
+        .map(area => {
+            const stations = (area.stations || [])
+                .map(station => ({ ...station, isUpdated: isUpdatedStation(station) }))
+                .sort((a, b) => (b.isUpdated - a.isUpdated) || byHeightDesc(a, b));
+            // 「微弱」「観測中」など高さの値がない観測点だけの場合は、最大の高さを決めない
+            const heights = stations.map(station => station.height).filter(height => typeof height === 'number');
+            return {
+                name: area.name || '',
+                grade: area.grade || '',
+                maxHeight: heights.length > 0 ? Math.max(...heights) : undefined,
+                stations
+            };
+        })
+        .filter(area => area.stations.length > 0)
+        .sort((a, b) => (b.maxHeight ?? -1) - (a.maxHeight ?? -1));
+
+    return {
+        issuedAt: latest.issue?.time || '',
+        maxObservedHeight: Math.max(0, ...areas.map(area => area.maxHeight ?? 0)),
+        areas
+    };
+};
+
+/**
+ * 津波観測点で観測した高さを表示用にする
+ * @param {object} station - 津波観測点 { height, condition }
+ * @returns {string} 例: 「1.2m」「10.0m以上」。高さの値がない場合は状態（「微弱」など）
+ */
+const formatObservedHeight = (station) => {
+    if (typeof station.height !== 'number') return station.condition || '観測中';
+    return station.height >= 10 ? `${station.height.toFixed(1)}m以上` : `${station.height.toFixed(1)}m`;
+};
+
+/**
+ * 生の情報（551/552/556）を地震イベントごとに集約し、表示用の地震情報配列を生成する
+ * REST APIの取得結果とWebSocketの受信データの両方で共通して使用する
+ * @param {Array} data - APIから取得した情報の配列
+ * @returns {Promise<Array>} 処理された地震情報配列
+ */
+const aggregateReports = async (data) => {
+    // --- 1. 津波情報(552)を先に処理し、event_idごとに最新の警報レベル・沿岸エリアと切り替わりの履歴をマップに保存 ---
+    const tsunamiDetailsMap = new Map();
+    const tsunamiReportsByEvent = new Map();
+    data.filter(d => d.code === 552).forEach(info => {
+        const eventId = String(info.issue.event_id || info.issue.eventid);
+        if (!tsunamiReportsByEvent.has(eventId)) tsunamiReportsByEvent.set(eventId, []);
+        tsunamiReportsByEvent.get(eventId).push(info);
+    });
+    tsunamiReportsByEvent.forEach((reports, eventId) => {
+        tsunamiDetailsMap.set(eventId, buildTsunamiLifecycle(reports));
+    });
+
+    // --- 2. 津波観測情報(556)を処理し、event_idごとに予報区ごとの観測点をマップに保存 ---
+    const tsunamiObservationMap = new Map();
+    const observationReportsByEvent = new Map();
+    data.filter(d => d.code === 556).forEach(info => {
+        const eventId = String(info.issue.event_id || info.issue.eventid);
+        if (!observationReportsByEvent.has(eventId)) observationReportsByEvent.set(eventId, []);
+        observationReportsByEvent.get(eventId).push(info);
+    });
+    observationReportsByEvent.forEach((reports, eventId) => {
+        const observation = buildTsunamiObservation(reports);
+        if (observation) tsunamiObservationMap.set(eventId, observation);
+    });
+
+    // --- 3. 地震情報(551)をイベントごとにまとめ、発表順にマージする ---
+    const reportsByEvent = new Map();
+    data.filter(report => report.code === 551 && (report.earthquake || getReportCorrection(report).kind === 'cancel')).forEach(report => {
+        const eventKey = getEarthquakeEventKey(report);
+        if (!eventKey) return; // 集約に必要な情報がなければスキップ
+
+        if (!reportsByEvent.has(eventKey)) reportsByEvent.set(eventKey, new Map());
+        reportsByEvent.get(eventKey).set(getReportId(report), report); // 同じ情報の重複受信は1件にまとめる
+    });
+    mergeNamelessEventGroups(reportsByEvent);
+
+    const uniqueEarthquakes = [];
+    reportsByEvent.forEach((reportMap, eventKey) => {
+        const reports = Array.from(reportMap.values()).sort((a, b) => getReportIssuedAt(a) - getReportIssuedAt(b));
+        const mergedEq = mergeEarthquakeReports(reports);
+        if (!mergedEq) return;
+
+        if (!mergedEq.earthquake.time) return;
+
+        // 情報の種類ごとの扱い
+        // - 遠地地震に関する情報: 国内の震度を伴わないため、処理後にマグニチュードと日本への津波予報で絞り込む
+        // - 震源に関する情報のみ（震度が未発表）: 最大震度で絞り込めないため、そのまま表示する
+        // - それ以外（震度速報を含む）: 最大震度3以上の地震のみをフィルタリング (CONFIG.MIN_LIST_SCALEを使用)
+        const reportTypes = reports.map(report => report.issue?.type);
+        mergedEq.eventKey = eventKey;
+        mergedEq.revisions = buildReportRevisions(reports);
+        if (reportTypes.every(type => type === 'Foreign')) {
+            mergedEq.isForeign = true;
+            uniqueEarthquakes.push(mergedEq);
+            return;
+        }
+        const hasScale = typeof mergedEq.earthquake.maxScale === 'number' && mergedEq.earthquake.maxScale > 0;
+        const isDestinationOnly = !hasScale && reportTypes.includes('Destination');
+        if (!isDestinationOnly && (!hasScale || mergedEq.earthquake.maxScale < CONFIG.MIN_LIST_SCALE)) return;
+
+        uniqueEarthquakes.push(mergedEq);
+    });
+
+    // ★★★ 修正: 当日フィルタリングを削除し、取得した全てのユニークな地震を処理対象とする ★★★
+    const processedEarthquakes = await Promise.all(uniqueEarthquakes.map(eq => processEarthquake(eq, tsunamiDetailsMap, tsunamiObservationMap)));
+    return processedEarthquakes.filter(eq => !eq.isForeign || isListedEarthquake(eq));
+};
+
+/**
+ * 処理済みの地震が一覧の表示対象かを判定する（履歴から補う地震にも同じ条件を適用する）
+ * - 遠地地震: マグニチュードが CONFIG.MIN_FOREIGN_MAGNITUDE 以上か、日本に津波予報が発表されている
+ * - 震源に関する情報のみ（震度が未発表）: 常に表示
+ * - それ以外: 最大震度が CONFIG.MIN_LIST_SCALE 以上
+ * @param {object} eq - 処理済みの地震情報
+ * @returns {boolean} 表示対象ならtrue
+ */
+const isListedEarthquake = (eq) => {
+    if (eq.isForeign) {
+        return eq.hasDomesticTsunamiForecast || parseFloat(eq.magnitude) >= CONFIG.MIN_FOREIGN_MAGNITUDE;
+    }
+    if (!(eq.maxScale > 0)) return eq.reportType === 'Destination';
+    return eq.maxScale >= CONFIG.MIN_LIST_SCALE;
+};
+
+/**
+ * 最新の津波予報(552)の地震について、発表状況と切り替わりの履歴、最新の津波観測情報(556)をまとめる
+ * 地震の一覧とは別に、津波情報テロップで使用する（一覧の表示条件に関係なく、最新の津波予報を対象とする）
+ * @param {Array} data - 生の情報の配列
+ * @returns {object|null} { eventId, issuedAt, isLifted, forecasts: { MajorWarning, Warning, Advisory }, transitions, observation }（津波予報がなければnull。observation は buildTsunamiObservation の戻り値）
+ */
+const buildTsunamiBulletin = (data) => {
+    const getEventId = (report) => String(report.issue?.event_id || report.issue?.eventid || '');
+    const latest = data.filter(d => d.code === 552).sort((a, b) => getReportIssuedAt(b) - getReportIssuedAt(a))[0];
+    if (!latest) return null;
+
+    const eventId = getEventId(latest);
+    const lifecycle = buildTsunamiLifecycle(data.filter(d => d.code === 552 && getEventId(d) === eventId));
+    const observation = buildTsunamiObservation(data.filter(d => d.code === 556 && getEventId(d) === eventId));
+
+    return {
+        eventId,
+        issuedAt: lifecycle.updatedAt,
+        isLifted: lifecycle.highestGrade === 'Lifted',
+        forecasts: {
+            MajorWarning: Array.from(lifecycle.areas.MajorWarning.values()),
+            Warning: Array.from(lifecycle.areas.Warning.values()),
+            Advisory: Array.from(lifecycle.areas.Advisory.values())
+        },
+        transitions: lifecycle.transitions,
+        observation
+    };
+};
+
+// --- 地震履歴の保存 (IndexedDB) ---
+
+/**
+ * 地震履歴のデータベースを開く（初回のみ接続し、以降は同じ接続を返す）
+ * - reports: 受信した生の情報 (551/552/554/556)
+ * - earthquakes: 処理済みの地震情報と、その更新履歴（版）
+ * @returns {Promise<IDBDatabase|null>} 利用できない場合はnull
+ */
+const openHistoryDb = () => {
+    if (historyDbPromise) return historyDbPromise;
+
+    historyDbPromise = new Promise((resolve) => {
+        if (!window.indexedDB) {
+            console.warn('IndexedDBが利用できないため、地震履歴は保存されません。');
+            resolve(null);
+            return;
+        }
+        const request = window.indexedDB.open(CONFIG.HISTORY_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('reports')) {
+                db.createObjectStore('reports', { keyPath: 'id' }).createIndex('issuedAt', 'issuedAt');
+            }
+            if (!db.objectStoreNames.contains('earthquakes')) {
+                db.createObjectStore('earthquakes', { keyPath: 'id' }).createIndex('originAt', 'originAt');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.error('地震履歴のデータベースを開けませんでした:', request.error);
+            resolve(null);
+        };
+    });
+    return historyDbPromise;
+};
+
+/**
+ * IndexedDBのリクエストをPromiseに変換する
+ * @param {IDBRequest} request - IndexedDBのリクエスト
+ * @returns {Promise<any>} リクエストの結果
+ */
+const idbRequestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * IndexedDBのトランザクションの完了を待つ
+ * @param {IDBTransaction} transaction - IndexedDBのトランザクション
+ * @returns {Promise<void>}
+ */
+const idbTransactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+});
+
+/**
+ * 保存期間の基準となる日時（これより古い履歴は削除対象）を取得する
+ * @returns {number} エポックミリ秒。無期限の場合は0
+ */
+const getHistoryCutoffTime = () => {
+    if (!CONFIG.HISTORY_RETENTION_DAYS) return 0;
+    return Date.now() - CONFIG.HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * 地震情報を発生日時の新しい順に並べ替える
+ * @param {Array} earthquakes - 処理済みの地震情報配列
+ * @returns {Array} 並べ替えた新しい配列
+ */
+const sortEarthquakesByOriginTime = (earthquakes) => {
+    const originAt = (eq) => new Date(eq.originTime || 0).getTime() || 0;
+    return [...earthquakes].sort((a, b) => originAt(b) - originAt(a));
+};
+
+/**
+ * 受信した生の情報を履歴に保存する（保存済みの情報は書き込まない）
+ * @param {Array} reports - APIから取得した情報の配列
+ */
+const saveReportsToHistory = async (reports) => {
+    const db = await openHistoryDb();
+    if (!db) return;
+
+    const newReports = reports.filter(report => report && typeof report.code === 'number' && !HISTORY_SAVED_REPORT_IDS.has(getReportId(report)));
+    if (newReports.length === 0) return;
+
+    try {
+        const transaction = db.transaction('reports', 'readwrite');
+        const store = transaction.objectStore('reports');
+        const savedAt = Date.now();
+        newReports.forEach(report => {
+            store.put({
+                id: getReportId(report),
+                code: report.code,
+                eventId: String(report.issue?.event_id || report.issue?.eventid || ''),
+                issuedAt: getReportIssuedAt(report),
+                savedAt,
+                report
+            });
+        });
+        await idbTransactionDone(transaction);
+        newReports.forEach(report => HISTORY_SAVED_REPORT_IDS.add(getReportId(report)));
+    } catch (error) {
+        console.error('受信した情報の履歴保存に失敗しました:', error);
+    }
+};
+
+/**
+ * 保存済みの地震履歴に新しい処理結果を反映したレコードを生成する
+ * 内容に変化がなければ（発表履歴の件数・取消・津波の状況が同じなら）既存のレコードをそのまま返す
+ * @param {object|undefined} record - 保存済みのレコード
+ * @param {object} eq - 処理済みの地震情報
+ * @param {number} now - 保存日時 (エポックミリ秒)
+ * @returns {object} 保存するレコード
+ */
+const buildHistoryRecord = (record, eq, now) => {
+    if (!record) {
+        return {
+            id: eq.id,
+            originAt: new Date(eq.originTime || 0).getTime() || 0,
+            firstSavedAt: now,
+            updatedAt: now,
+            earthquake: eq,
+            revisions: [{ savedAt: now, earthquake: eq }]
+        };
+    }
+    if (getEarthquakeSignature(record.earthquake) === getEarthquakeSignature(eq)) return record;
+
+    return {
+        ...record,
+        updatedAt: now,
+        earthquake: eq,
+        revisions: [...record.revisions, { savedAt: now, earthquake: eq }].slice(-CONFIG.HISTORY_MAX_REVISIONS)
+    };
+};
+
+/**
+ * 以前の形式で保存された地震情報を、現在の形式にそろえる
+ * - 津波予報区は名前だけの配列で保存していたため、予報区 (toTsunamiForecastArea の戻り値) の形にする
+ * - 津波観測点は予報区に分けずに保存していたため、予報区名のない1つの予報区にまとめる
+ * @param {object} eq - 保存済みの地震情報
+ * @returns {object} 地震情報
+ */
+const normalizeStoredEarthquake = (eq) => {
+    const normalized = { ...eq };
+
+    if (eq.tsunamiForecastAreas) {
+        normalized.tsunamiForecastAreas = {};
+        Object.entries(eq.tsunamiForecastAreas).forEach(([grade, areas]) => {
+            normalized.tsunamiForecastAreas[grade] = areas.map(area => typeof area === 'string' ? { name: area, immediate: false, firstHeight: null, maxHeight: null } : area);
+        });
+    }
+    if (eq.tsunamiObservation && !eq.tsunamiObservation.areas) {
+        const stations = [...(eq.tsunamiObservation.stations || [])].sort((a, b) => (b.height || 0) - (a.height || 0));
+        normalized.tsunamiObservation = {
+            issuedAt: '',
+            maxObservedHeight: eq.tsunamiObservation.maxObservedHeight || 0,
+            areas: stations.length > 0 ? [{ name: '', grade: '', maxHeight: eq.tsunamiObservation.maxObservedHeight || 0, stations }] : []
+        };
+    }
+    return normalized;
+};
+
+/**
+ * 保存期間を過ぎた履歴を削除する
+ */
+const purgeExpiredHistory = async () => {
+    const cutoff = getHistoryCutoffTime();
+    const db = await openHistoryDb();
+    if (!db || cutoff === 0) return;
+
+    try {
+        const transaction = db.transaction(['reports', 'earthquakes'], 'readwrite');
+        const range = IDBKeyRange.upperBound(cutoff, true);
+        transaction.objectStore('reports').index('issuedAt').openCursor(range).onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            HISTORY_SAVED_REPORT_IDS.delete(cursor.primaryKey);
+            cursor.delete();
+            cursor.continue();
+        };
+        transaction.objectStore('earthquakes').index('originAt').openCursor(range).onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            HISTORY_RECORDS.delete(cursor.primaryKey);
+            cursor.delete();
+            cursor.continue();
+        };
+        await idbTransactionDone(transaction);
+    } catch (error) {
+        console.error('期限切れの地震履歴の削除に失敗しました:', error);
+    }
+};
+
+/**
+ * 保存済みの地震履歴をすべて読み込む（保存期間内のもののみ）
+ * @returns {Promise<Array>} 履歴レコードの配列（発生日時の新しい順）
+ */
+const loadHistoryRecords = async () => {
+    const db = await openHistoryDb();
+    if (!db) return [];
+
+    try {
+        const records = await idbRequestToPromise(db.transaction('earthquakes').objectStore('earthquakes').getAll());
+        const cutoff = getHistoryCutoffTime();
+        return records
+            .filter(record => record.originAt >= cutoff)
+            .sort((a, b) => b.originAt - a.originAt);
+    } catch (error) {
+        console.error('地震履歴の読み込みに失敗しました:', error);
+        return [];
+    }
+};
+
+/**
+ * 保存済みの地震履歴をメモリ (HISTORY_RECORDS) に読み込む（期限切れの履歴を削除してから、初回のみ読み込む）
+ * @returns {Promise<void>}
+ */
+const ensureHistoryRecordsLoaded = () => {
+    if (!historyRecordsLoadPromise) {
+        historyRecordsLoadPromise = purgeExpiredHistory()
+            .then(loadHistoryRecords)
+            .then(records => records.forEach(record => HISTORY_RECORDS.set(record.id, record)));
+    }
+    return historyRecordsLoadPromise;
+};
+
+/**
+ * 処理済みの地震情報を履歴に保存し、保存済みの履歴と合わせた一覧を返す
+ * APIの取得範囲（直近100件）から外れた地震も、保存期間内であれば一覧に残る
+ * @param {Array} earthquakes - 今回処理した地震情報配列
+ * @returns {Promise<Array>} 履歴と合わせた地震情報配列（発生日時の新しい順）
+ */
+const syncEarthquakeHistory = async (earthquakes) => {
+    const db = await openHistoryDb();
+    if (!db) return sortEarthquakesByOriginTime(earthquakes);
+
+    try {
+        await ensureHistoryRecordsLoaded();
+
+        const now = Date.now();
+        const updatedRecords = [];
+        earthquakes.forEach(eq => {
+            const record = HISTORY_RECORDS.get(eq.id);
+            const updatedRecord = buildHistoryRecord(record, eq, now);
+            if (updatedRecord !== record) updatedRecords.push(updatedRecord);
+        });
+        if (updatedRecords.length > 0) {
+            const transaction = db.transaction('earthquakes', 'readwrite');
+            const store = transaction.objectStore('earthquakes');
+            updatedRecords.forEach(record => store.put(record));
+            await idbTransactionDone(transaction);
+            updatedRecords.forEach(record => HISTORY_RECORDS.set(record.id, record));
+        }
+
+        // 今回の取得範囲にない地震を履歴から補う（一覧のフィルタ設定は同じものを適用。次の削除までに保存期間を過ぎたものは除く）
+        const cutoff = getHistoryCutoffTime();
+        const freshIds = new Set(earthquakes.map(eq => eq.id));
+        const freshEventIds = new Set(earthquakes.map(eq => eq.eventId).filter(Boolean));
+        const storedEarthquakes = Array.from(HISTORY_RECORDS.values())
+            .filter(record => record.originAt >= cutoff)
+            .filter(record => !freshIds.has(record.id) && !freshEventIds.has(record.earthquake.eventId))
+            .filter(record => isListedEarthquake(record.earthquake))
+            .map(record => normalizeStoredEarthquake(record.earthquake));
+
+        return sortEarthquakesByOriginTime([...earthquakes, ...storedEarthquakes]);
+    } catch (error) {
+        console.error('地震履歴の保存に失敗しました:', error);
+        return sortEarthquakesByOriginTime(earthquakes);
+    }
+};
+
+/**
+ * 地震データをGoogle Apps Scriptに送信してスプレッドシートに記録する
+ * @param {Array} earthquakes - 処理済みの地震情報配列
+ */
+const logToSpreadsheet = async (earthquakes) => {
+    const url = CONFIG.GAS_WEB_APP_URL;
+    if (!url) {
+        console.log('GAS_WEB_APP_URLが設定されていないため、スプレッドシートへの記録をスキップしました。');
+        return;
+    }
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            mode: 'no-cors', // CORSエラーを回避するために必要
+            cache: 'no-cache',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(earthquakes)
+        });
+        console.log('スプレッドシートへの記録リクエストを送信しました。');
+    } catch (error) {
+        console.error('スプレッドシートへの記録中にエラーが発生しました:', error);
+    }
+};
+
+/**
+ * 地震データと観測点データのスプレッドシートへの記録を予約する
+ * 待ち時間の間に続けて受信した場合は、最後の受信から待ち時間が過ぎた時点の一覧を1回だけ送信する
+ */
+const scheduleSpreadsheetLog = () => {
+    clearTimeout(spreadsheetLogTimerId);
+    spreadsheetLogTimerId = setTimeout(() => {
+        spreadsheetLogTimerId = null;
+        if (PROCESSED_EARTHQUAKES.length === 0) return;
+        logToSpreadsheet(PROCESSED_EARTHQUAKES);
+        logPointsToSpreadsheet(PROCESSED_EARTHQUAKES);
+    }, CONFIG.SPREADSHEET_LOG_DELAY_MS);
+};
+
+/**
+ * 観測点データをGoogle Apps Scriptに送信してスプレッドシートに記録する
+ * @param {Array} earthquakes - 処理済みの地震情報配列
+ */
+const logPointsToSpreadsheet = (earthquakes) => {
+    const url = CONFIG.GAS_POINTS_WEB_APP_URL;
+    if (!url) { 
+        console.log('GAS_POINTS_WEB_APP_URLが設定されていないため、観測点情報の記録をスキップしました。');
+        return;
+    } 
+
+    // 地震ごとに観測点データを分割して送信する
+    earthquakes.forEach(eq => {
+        // 震度1以上の観測点のみを抽出
+        const allPoints = eq.points?.filter(p => p.scale >= 10) || [];
+
+        if (allPoints.length > 0) {
+            // 震度階級の大きい順に並び替え、上位40件に制限
+            const sortedAndLimitedPoints = allPoints
+                .sort((a, b) => b.scale - a.scale)
+                .slice(0, 40);
+
+            // 各観測点データに、関連する地震IDを追加 
+            const payload = sortedAndLimitedPoints.map(point => ({
+                ...point,
+                addr: `${point.pref}_${point.addr}`, // ★都道府県名と観測点名を連結
+                earthquakeId: eq.id
+            }));
+
+            // 非同期で送信処理を実行（awaitしないことで、次の地震の処理をブロックしない）
+            fetch(url, {
+                method: 'POST',
+                mode: 'no-cors', // CORSエラーを回避
+                cache: 'no-cache',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            })
+            .then(() => {
+                console.log(`地震ID: ${eq.id} の観測点データ(${payload.length}件)の記録リクエストを送信しました。`);
+            })
+            .catch(error => {
+                console.error(`地震ID: ${eq.id} の観測点データ記録中にエラーが発生しました:`, error);
+            });
+        }
+    });
+};
+
+/**
+ * 個別の地震情報オブジェクトを処理し、描画に必要な基本情報と生のpointsデータを格納する
+ * @param {Object} earthquake - APIから取得した単一の地震情報オブジェクト
+ * @returns {Object} 処理後の整形済み地震情報
+ */
+const processEarthquake = async (earthquake, tsunamiDetailsMap, tsunamiObservationMap) => {
+    // --- 安定したID生成ロジック ---
+    const eqData = earthquake.earthquake;
+    // ★★★ 修正: hypocenterが存在しないケースに対応 ★★★
+    // 震度速報の段階では震源が未発表のため、暫定表示とする
+    const isForeign = !!earthquake.isForeign;
+    const isProvisional = !isForeign && !eqData.hypocenter?.name;
+    const epicenterName = eqData.hypocenter?.name || (isProvisional ? '震源調査中' : '不明');
+    // event_id ごとに集約したイベントキーを優先し、ない場合は発生時刻と震源地名から生成する
+    const idSource = earthquake.eventKey || `${eqData.time}_${epicenterName}`;
+    const syntheticId = await digestMessage(idSource);
+
+    // -------------------------
+
+    // API提供のeventidは津波情報の紐付けにのみ利用
+    const eventId = String(earthquake.issue?.event_id || earthquake.issue?.eventid);
+    const tsunamiData = tsunamiDetailsMap.get(eventId);
+    const tsunamiObservationData = tsunamiObservationMap.get(eventId);
+    const detailedTsunamiGrade = tsunamiData ? tsunamiData.highestGrade : earthquake.earthquake.domesticTsunami;
+    
+    // ★★★ 修正: tsunamiDataが存在しない場合も考慮 ★★★
+    // 津波予報がすべて解除された場合は、警報・注意報の予報区がないため「解除」のバッジのみになる
+    const tsunamiBadges = [];
+    if (tsunamiData) {
+        if (tsunamiData.areas.MajorWarning?.size > 0) {
+            tsunamiBadges.push({ label: '大津波警報', class: 'tsunami-major-warning' });
+        }
+        if (tsunamiData.areas.Warning?.size > 0) {
+            tsunamiBadges.push({ label: '津波警報', class: 'tsunami-warning-detailed' });
+        }
+        if (tsunamiData.areas.Advisory?.size > 0) {
+            tsunamiBadges.push({ label: '津波注意報', class: 'tsunami-advisory' });
+        }
+    }
+
+    // 津波観測情報があればバッジを追加
+    if (tsunamiObservationData && tsunamiObservationData.maxObservedHeight > 0) {
+        tsunamiBadges.push({ label: '津波観測中', class: 'tsunami-observed' });
+    }
+
+    // 警報・注意報がない場合のフォールバック
+    if (tsunamiBadges.length === 0) {
+        if (detailedTsunamiGrade === 'None') {
+            tsunamiBadges.push({ label: '津波なし', class: 'tsunami-none' });
+        } else if (detailedTsunamiGrade === 'Lifted') {
+            tsunamiBadges.push({ label: '解除', class: 'tsunami-none' });
+        } else if (detailedTsunamiGrade === 'Checking') {
+            tsunamiBadges.push({ label: '調査中', class: 'tsunami-checking' });
+        } else if (isForeign && detailedTsunamiGrade === 'NonEffective') {
+            tsunamiBadges.push({ label: '海面変動', class: 'tsunami-none' });
+        }
+    }
+    
+    // --- GAS送信用に最高レベルの津波ラベルをテキストとして追加 ---
+    let tsunamiLabelForGas = '不明';
+    if (tsunamiBadges.length > 0) {
+        // 警報レベルが最も高いものが配列の先頭に来る想定
+        tsunamiLabelForGas = tsunamiBadges[0].label;
+    } else {
+        // フォールバック
+        if (detailedTsunamiGrade === 'None') tsunamiLabelForGas = '津波なし';
+        else if (detailedTsunamiGrade === 'Checking') tsunamiLabelForGas = '調査中';
+    }
+    // ---------------------------------------------------------
+
+    // 津波予報のエリア情報（予想される高さ・第1波の到達予想を含む）を取得
+    const tsunamiForecastAreas = tsunamiData ? {
+        'MajorWarning': Array.from(tsunamiData.areas.MajorWarning?.values() || []),
+        'Warning': Array.from(tsunamiData.areas.Warning?.values() || []),
+        'Advisory': Array.from(tsunamiData.areas.Advisory?.values() || [])
+    } : null;
+
+    // 遠地地震で、日本の沿岸に津波予報（警報・注意報を含む）が発表されているか
+    const hasDomesticTsunamiForecast = isForeign && (
+        tsunamiBadges.some(badge => ['大津波警報', '津波警報', '津波注意報', '津波観測中'].includes(badge.label)) ||
+        ['Watch', 'Warning'].includes(earthquake.earthquake.domesticTsunami)
+    );
+
+    // レポートに基づきマグニチュードの取得方法を修正
+    const magValue = eqData.hypocenter?.magnitude;
+    const magnitudeDisplay = isValidMagnitude(magValue) 
+        ? parseFloat(magValue).toFixed(1) 
+        : '不明';
+
+    // ★★★ 震度階級別に「観測点名」をグループ化する処理を追加 ★★★
+    const shindoPoints = {
+        '70': [], '60': [], '55': [], '50': [], '45': [], '40': [], '30': [], '20': [], '10': []
+    };
+
+    // ★★★ オリジナルの観測点名を保持しつつ、points配列を加工する ★★★
+    const processedPoints = earthquake.points?.map(point => ({
         ...point,
         originalAddr: point.addr // オリジナルを保持
     })) || [];
@@ -3225,17 +4719,32 @@ const processEarthquake = async (earthquake, tsunamiDetailsMap, tsunamiObservati
     return {
         id: syntheticId,
         time: formatDateTime(earthquake.earthquake.time), // ★表示も地震発生時刻に変更
+        originTime: earthquake.earthquake.time, // 並べ替え・履歴の保存期間の判定用に元の発生時刻を保持
         epicenter: epicenterName, // ★★★ 修正 ★★★
         depth: eqData.hypocenter?.depth, // ★★★ 修正: 震源の深さを追加 (Optional Chaining) ★★★
+        latitude: eqData.hypocenter?.latitude, // 震源の緯度（不明の場合は -200）
+        longitude: eqData.hypocenter?.longitude, // 震源の経度（不明の場合は -200）
         magnitude: magnitudeDisplay,
         tsunami: earthquake.earthquake.domesticTsunami, // 津波の有無を追加
         tsunamiLabel: tsunamiLabelForGas, // ★★★ GAS送信用に追加 ★★★
         tsunamiBadges: tsunamiBadges, // 複数の津波バッジ情報を保持
         tsunamiObservation: tsunamiObservationData, // 津波観測情報を追加
         tsunamiForecastAreas: tsunamiForecastAreas, // 津波予報エリア情報を追加
+        // 津波予報の現在の状態と切り替わりの履歴（警報→注意報、解除など）
+        tsunamiLifecycle: tsunamiData ? { state: tsunamiData.highestGrade, updatedAt: tsunamiData.updatedAt, transitions: tsunamiData.transitions } : null,
         maxShindoLabel: scaleToShindo(earthquake.earthquake.maxScale).label,
         maxShindoClass: scaleToShindo(earthquake.earthquake.maxScale).class,
         maxScale: earthquake.earthquake.maxScale, // 最大震度を数値で保持
+        eventId: (earthquake.issue?.event_id || earthquake.issue?.eventid) ? eventId : null, // 気象庁の event_id (履歴の照合用)
+        revisions: earthquake.revisions || [], // 発表順の発表履歴（各報で変わった内容を含む）
+        reportType: earthquake.issue?.type || 'Other', // 最新の情報の種類 (ScalePrompt, Destination, DetailScale など)
+        reportTypeLabel: REPORT_TYPE_LABELS[earthquake.issue?.type] || REPORT_TYPE_LABELS.Other,
+        isProvisional: isProvisional, // 震源が未発表の震度速報の段階か
+        isForeign: isForeign, // 遠地地震（国外で発生した地震）か
+        hasDomesticTsunamiForecast: hasDomesticTsunamiForecast, // 遠地地震で日本に津波予報が発表されているか
+        hasAreaPoints: !!earthquake.hasAreaPoints, // 観測点が震度速報の地域単位か
+        isCancelled: !!earthquake.isCancelled, // 取消報を受信済みか
+        hasCorrection: !!earthquake.hasCorrection, // 訂正報・取消報を受信済みか
         points: processedPoints, // ★★★ 加工済みの観測点データを保持 ★★★
         shindoPoints: shindoPoints, // ★★★ グループ化した観測点データを追加 ★★★
     };
@@ -3246,6 +4755,31 @@ const processEarthquake = async (earthquake, tsunamiDetailsMap, tsunamiObservati
 
 // 最後に選択されたカードのIDを保持
 let selectedCardId = null;
+// 一覧・詳細パネルに表示中の内容（受信のたびに描き直さないよう、変化の有無を比べるために保持）
+let displayedEarthquakeListSignature = '';
+let displayedDetailSignature = '';
+
+/**
+ * 地震情報の表示内容が変わったかを比べるための文字列を作る
+ * 発表履歴の件数・取消・津波の切り替わり・津波観測の発表時刻のいずれかが変われば異なる値になる
+ * @param {object} eq - 処理済みの地震情報
+ * @returns {string} 比較用の文字列
+ */
+const getEarthquakeSignature = (eq) => [
+    eq.id,
+    eq.revisions?.length || 0,
+    eq.isCancelled ? 1 : 0,
+    eq.tsunamiLifecycle?.updatedAt || '',
+    eq.tsunamiLifecycle?.transitions?.length || 0,
+    eq.tsunamiObservation?.issuedAt || ''
+].join('|');
+
+/**
+ * 地震一覧の表示内容が変わったかを比べるための文字列を作る
+ * @param {Array} earthquakes - 処理済みの地震情報配列
+ * @returns {string} 比較用の文字列
+ */
+const getEarthquakeListSignature = (earthquakes) => earthquakes.map(getEarthquakeSignature).join(',');
 
 /**
  * 震度ラベルの文字列からクラス名を取得する
@@ -3267,8 +4801,8 @@ const shindoLabelToClass = (label) => {
 /**
  * 地震観測点データを震度と表示モードに基づいてグループ化する
  * @param {Array} rawPoints - 地震情報オブジェクトの points 配列
- * @param {string} mode - 'point' (観測点別) または 'municipality' (市区町村別)
- * @returns {Array} 震度別・モード別にグループ化されたデータ
+ * @param {string} mode - 'region' (地域別)、'prefecture' (都道府県別)、'municipality' (市区町村別) または 'point' (観測点別)
+ * @returns {Array} 震度別・モード別にグループ化されたデータ（地域・市区町村は "都道府県名_名前"、都道府県は都道府県名のみ）
  */
 const groupPointsByShindoAndMode = (rawPoints, mode, minScale) => {
     const shindoGroup = {}; 
@@ -3281,8 +4815,15 @@ const groupPointsByShindoAndMode = (rawPoints, mode, minScale) => {
             const shindoLabel = scaleToShindo(point.scale).label;
             
             let name;
-            if (mode === 'municipality') {
+            if (mode === 'prefecture') {
+                name = point.pref || '不明';
+            } else if (point.isArea) {
+                // 震度速報の地域（例: 宮城県北部）は市区町村に分解せず、そのまま表示する
+                name = mode === 'point' ? point.addr : `${point.pref}_${point.addr}`;
+            } else if (mode === 'municipality') {
                 name = getMunicipality(point.addr, point.pref); // 市区町村名に絞り込み（区まで含む）
+            } else if (mode === 'region') {
+                name = getRegion(point.addr, point.pref); // 震度速報の地域（例: 宮城県北部）にまとめる
             } else {
                 name = point.addr || '観測点名不明'; // 観測点名全体
             }
@@ -3299,11 +4840,22 @@ const groupPointsByShindoAndMode = (rawPoints, mode, minScale) => {
         return (SHINDO_SORT_ORDER[b] || 0) - (SHINDO_SORT_ORDER[a] || 0);
     });
     
+    // 地域別・都道府県別は、震度速報と同じく各地域を最大の震度にのみ表示する
+    if (mode === 'region' || mode === 'prefecture') {
+        const shownNames = new Set();
+        sortedShindoKeys.forEach(key => {
+            shindoGroup[key] = new Set([...shindoGroup[key]].filter(name => !shownNames.has(name)));
+            shindoGroup[key].forEach(name => shownNames.add(name));
+        });
+    }
+
     // SetをArrayに変換する（並べ替えは行わない）
-    return sortedShindoKeys.map(key => ({
-        shindo: key,
-        cities: Array.from(shindoGroup[key])
-    }));
+    return sortedShindoKeys
+        .filter(key => shindoGroup[key].size > 0)
+        .map(key => ({
+            shindo: key,
+            cities: Array.from(shindoGroup[key])
+        }));
 };
 
 
@@ -3313,19 +4865,31 @@ const groupPointsByShindoAndMode = (rawPoints, mode, minScale) => {
  * @returns {string} HTML文字列
  */
 const renderEarthquakeListItem = (eq) => {
+    // 取り消された地震は取り消し線で、訂正された地震は「訂正あり」で示す
+    const correctionBadge = eq.isCancelled
+        ? '<span class="correction-badge correction-badge-cancel ml-1">取消</span>'
+        : (eq.hasCorrection ? '<span class="correction-badge ml-1">訂正あり</span>' : '');
+    // 震度速報・震源に関する情報の段階では、情報の種類を示す（続報が届くとその場で置き換わる）
+    const reportTypeBadge = (eq.isProvisional || eq.reportType === 'Destination')
+        ? `<span class="report-type-badge ml-1">${eq.isProvisional ? '震度速報' : eq.reportTypeLabel}</span>`
+        : (eq.isForeign ? '<span class="report-type-badge foreign-type-badge ml-1">遠地地震</span>' : '');
+    // 遠地地震は国内の震度がないため、最大震度の代わりにマグニチュードを表示する
+    const scaleBadge = eq.isForeign
+        ? `<span class="shindo-badge foreign-magnitude-badge text-xs">M${eq.magnitude}</span>`
+        : `<span class="shindo-badge text-xs ${eq.maxShindoClass}">${eq.maxShindoLabel}</span>`;
     // ダークモード対応: p-3 -> py-3 px-2 に変更 (左右のパディングを半減)
     return `
         <div id="card-${eq.id}"
-             class="earthquake-card relative py-3 px-2 rounded-lg shadow-sm border-l-4 border-gray-700 bg-gray-700 hover:bg-gray-600 transition duration-150 cursor-pointer"
+             class="earthquake-card ${eq.isCancelled ? 'cancelled-card' : ''} relative py-3 px-2 rounded-lg shadow-sm border-l-4 border-gray-700 bg-gray-700 hover:bg-gray-600 transition duration-150 cursor-pointer"
              data-event-id="${eq.id}">
             <span id="on-air-${eq.id}" class="on-air-badge hidden">ON AIR</span>
             <div class="flex justify-between items-start">
                 <div class="flex-grow truncate pr-2 pl-12">
-                    <p class="text-sm font-medium text-gray-100">${eq.epicenter}</p>
+                    <p class="text-sm font-medium text-gray-100"><input type="checkbox" class="playlist-checkbox" data-event-id="${eq.id}" title="プレイリストに追加" ${playlistEarthquakeIds.includes(eq.id) ? 'checked' : ''}><span class="earthquake-card-epicenter">${eq.epicenter}</span>${reportTypeBadge}${correctionBadge}</p>
                     <p class="text-xs text-gray-400">${eq.time}</p>
                 </div>
                 <div class="flex flex-col items-end space-y-1 flex-shrink-0">
-                    <span class="shindo-badge text-xs ${eq.maxShindoClass}">${eq.maxShindoLabel}</span>
+                    ${scaleBadge}
                     <div class="flex space-x-1 mt-1">
                         ${eq.tsunamiBadges.map(badge => `
                             <span class="tsunami-badge list-tsunami-badge ${badge.class}">${badge.label}</span>
@@ -3337,6 +4901,95 @@ const renderEarthquakeListItem = (eq) => {
     `;
 };
 
+/**
+ * 地震詳細パネルの「発表履歴」をレンダリングする（2報以上ある場合のみ）
+ * @param {Object} eq - 整形済み地震情報オブジェクト
+ * @returns {string} HTML文字列
+ */
+const renderRevisionHistory = (eq) => {
+    if (!eq.revisions || eq.revisions.length < 2) return '';
+
+    const rows = eq.revisions.map((revision, index) => {
+        const issueTime = revision.issueTime.split(' ')[1] || revision.issueTime;
+        const changesText = revision.changes.length > 0 ? revision.changes.join('　') : '変更なし';
+        return `
+            <li class="flex items-baseline gap-3 py-1 border-b border-gray-700">
+                <span class="text-xs text-gray-400 w-6 text-right flex-shrink-0">${index + 1}</span>
+                <span class="text-xs text-gray-400 font-mono flex-shrink-0">${issueTime}</span>
+                <span class="report-type-badge flex-shrink-0">${revision.typeLabel}</span>
+                ${revision.correction === 'correction' ? '<span class="correction-badge flex-shrink-0">訂正</span>' : ''}
+                ${revision.correction === 'cancel' ? '<span class="correction-badge correction-badge-cancel flex-shrink-0">取消</span>' : ''}
+                <span class="text-sm text-gray-200">${changesText}</span>
+            </li>
+        `;
+    }).join('');
+
+    return `
+        <hr class="my-6 border-gray-600">
+        <h4 class="text-lg font-bold text-gray-200 mb-3">発表履歴 (${eq.revisions.length}報)</h4>
+        <ol>${rows}</ol>
+    `;
+};
+
+/**
+ * 震度分布図 (map.js の renderQuakeMap) に渡す描画内容を作る
+ * 市区町村・都道府県ごとに最大の震度を、津波予報区ごとに最も高い等級を色のクラスで持つ
+ * @param {Object} eq - 整形済み地震情報オブジェクト
+ * @returns {object} { epicenter, municipalities, prefectures, tsunamiAreas, legend }
+ */
+const buildQuakeMapModel = (eq) => {
+    const municipalityScales = {};
+    const prefectureScales = {};
+    const keepStronger = (scales, key, scale) => {
+        if (!(scales[key] >= scale)) scales[key] = scale;
+    };
+    (eq.points || []).forEach(point => {
+        if (!SHINDO_SORT_ORDER[scaleToShindo(point.scale).label]) return; // 震度不明の観測点は塗らない
+        keepStronger(prefectureScales, point.pref, point.scale);
+        // 震度速報の地域（例: 宮城県北部）は市区町村に分解できないため、都道府県単位でのみ塗る
+        if (!point.isArea) {
+            const [pref, municipality] = getMunicipality(point.addr, point.pref).split('_');
+            keepStronger(municipalityScales, toMapMunicipalityKey(pref, municipality), point.scale);
+        }
+    });
+    const toClasses = (scales) => Object.fromEntries(Object.entries(scales).map(([key, scale]) => [key, scaleToShindo(scale).class]));
+
+    // 高い等級から塗るため、同じ予報区が複数の等級にあっても高い方が残る
+    const tsunamiAreas = {};
+    [['Advisory', 'tsunami-advisory'], ['Warning', 'tsunami-warning-detailed'], ['MajorWarning', 'tsunami-major-warning']].forEach(([grade, gradeClass]) => {
+        (eq.tsunamiForecastAreas?.[grade] || []).forEach(area => { tsunamiAreas[area.name] = gradeClass; });
+    });
+
+    const observedScales = [...new Set(Object.values(prefectureScales))].sort((a, b) => b - a);
+    const hasEpicenter = typeof eq.latitude === 'number' && typeof eq.longitude === 'number' && eq.latitude > -200 && eq.longitude > -200;
+    return {
+        epicenter: hasEpicenter ? { latitude: eq.latitude, longitude: eq.longitude } : null,
+        municipalities: toClasses(municipalityScales),
+        prefectures: toClasses(prefectureScales),
+        tsunamiAreas,
+        legend: observedScales.map(scale => ({ label: scaleToShindo(scale).label, shindoClass: scaleToShindo(scale).class }))
+    };
+};
+
+/**
+ * 同梱していない地図データ（市区町村・津波予報区）が置かれておらず、震度分布図に描けなかった内容を伝える注記を作る
+ * @param {object} mapData - loadMapData の戻り値
+ * @param {object} model - buildQuakeMapModel の戻り値
+ * @returns {string} 注記のHTML（描けなかった内容がなければ空文字）
+ */
+const buildQuakeMapDataNote = (mapData, model) => {
+    if (!mapData?.prefectures) return ''; // 地図自体を描けない場合は renderQuakeMap が案内を表示する
+
+    const notes = [];
+    if (!mapData.municipalities && Object.keys(model.municipalities).length > 0) {
+        notes.push('市区町村の地図データがないため、都道府県ごとに塗り分けています。');
+    }
+    if (!mapData.tsunamiAreas && Object.keys(model.tsunamiAreas).length > 0) {
+        notes.push('津波予報区の地図データがないため、津波警報・注意報の沿岸は表示していません。');
+    }
+    return notes.length > 0 ? `<p class="quake-map-note">${notes.join('')}</p>` : '';
+};
+
 /**
  * 地震詳細パネルの内容をレンダリングする
  * @param {Object} eq - 整形済み地震情報オブジェクト
@@ -3355,12 +5008,15 @@ const displayEarthquakeDetails = (eq) => {
             </div>
         `;
         console.error('Error: Earthquake data or points is missing.', eq);
+        displayedDetailSignature = '';
         // 固定バーもクリア
         detailTitle.textContent = '地震詳細'; // タイトルをリセット
         updateFixedShindoBar(null);
         return;
     }
 
+    displayedDetailSignature = getEarthquakeSignature(eq);
+
     // 津波の有無に応じてタイトルを変更
     const hasTsunamiWarning = eq.tsunamiBadges.some(b => ['大津波警報', '津波警報', '津波注意報', '津波観測中'].includes(b.label));
     if (hasTsunamiWarning) {
@@ -3395,10 +5051,11 @@ const displayEarthquakeDetails = (eq) => {
 
     // 詳細セクションの震度別リストを生成
     const detailList = shindoByMode.map(item => {
-        // ★★★ 修正: 市区町村モードの場合にふりがな付きのHTMLを生成 ★★★
+        // ★★★ 修正: 観測点別以外の場合にふりがな付きのHTMLを生成 ★★★
         const citiesHtml = item.cities.map(city => {
-            if (DISPLAY_MODE === 'municipality') {
-                const [pref, municipality] = city.split('_');
+            if (DISPLAY_MODE !== 'point') {
+                // 都道府県別の場合は "都道府県名" のみのため、都道府県名をそのまま表示する
+                const [pref, municipality = pref] = city.split('_');
                 const kana = getKana(city); // getKanaは "pref_city" 形式を処理できる
                 // ふりがな用のdivと地名用のspanを一つのブロックとして扱う
                 return `
@@ -3411,7 +5068,7 @@ const displayEarthquakeDetails = (eq) => {
                 // 観測点モードの場合はこれまで通り
                 return `<span class="inline-block font-semibold">${city}</span>`;
             }
-        }).join(DISPLAY_MODE === 'municipality' ? '' : '　');
+        }).join(DISPLAY_MODE === 'point' ? '　' : '');
 
         return `
             <div class="mb-4 p-4 bg-gray-700 rounded-lg border border-gray-600">
@@ -3426,56 +5083,129 @@ const displayEarthquakeDetails = (eq) => {
         `;
     }).join('');
 
-    // ラベルを '市区町村別' または '観測点別' に統一
-    const modeLabel = DISPLAY_MODE === 'municipality' ? '市区町村別' : '観測点別'; 
+    // ラベルを '地域別' '都道府県別' '市区町村別' '観測点別' に統一
+    const modeLabel = DISPLAY_MODE_LABELS[DISPLAY_MODE];
+
+    // 震度速報・震源に関する情報の段階のお知らせ
+    let reportStageNotice = '';
+    if (eq.isProvisional) {
+        reportStageNotice = '<div class="report-stage-notice mb-4">震度速報の段階です。震源・規模は調査中です。観測点は地域単位で表示しています。</div>';
+    } else if (eq.hasAreaPoints) {
+        reportStageNotice = '<div class="report-stage-notice mb-4">各地の震度に関する情報は未発表です。観測点は震度速報の地域単位で表示しています。</div>';
+    } else if (eq.points.length === 0 && eq.reportType === 'Destination') {
+        reportStageNotice = '<div class="report-stage-notice mb-4">震源に関する情報です。各地の震度は発表されていません。</div>';
+    } else if (eq.isForeign) {
+        reportStageNotice = '<div class="report-stage-notice mb-4">遠地地震に関する情報です。国外で発生した地震のため、発生日時は日本時間で表示しています。</div>';
+    }
+
+    // 遠地地震は最大震度の代わりにマグニチュードを、震源の位置（緯度・経度）を合わせて表示する
+    const headerBadge = eq.isForeign
+        ? `<span class="shindo-badge foreign-magnitude-badge text-base whitespace-nowrap">M${eq.magnitude}</span>`
+        : `<span class="shindo-badge ${eq.maxShindoClass} text-base whitespace-nowrap">${eq.maxShindoLabel}</span>`;
+    const hypocenterPosition = eq.isForeign ? formatHypocenterPosition(eq.latitude, eq.longitude) : '';
+
+    // 訂正・取消のお知らせ
+    const correctionNotice = eq.isCancelled
+        ? '<div class="correction-notice correction-notice-cancel mb-4">この地震の情報は気象庁により取り消されました。</div>'
+        : (eq.hasCorrection ? '<div class="correction-notice mb-4">この地震の情報は訂正されています。最新の内容を表示しています。</div>' : '');
 
     const html = `
+        ${correctionNotice}
+        ${reportStageNotice}
         <div class="flex items-center justify-between mb-4 gap-4">
             <h3 class="text-2xl font-bold text-white">${eq.epicenter}</h3>
             <div class="flex items-center gap-4 flex-shrink-0">
                 <button id="generate-script-button" class="px-3 py-1.5 text-sm font-semibold text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-800">
                     放送原稿を作成
                 </button>
-                <span class="shindo-badge ${eq.maxShindoClass} text-base whitespace-nowrap">${eq.maxShindoLabel}</span>
+                ${headerBadge}
             </div>
         </div>
         <!-- ダークモード対応: text-gray-600 -> text-gray-300, border-b -> border-b border-gray-700 -->
         <div class="flex flex-wrap gap-x-6 gap-y-2 mb-6 text-sm text-gray-300 border-b border-gray-700 pb-4">
-            <p><strong>発生日時:</strong> ${eq.time}</p>
+            <p><strong>発生日時:</strong> ${eq.time}${eq.isForeign ? ' (日本時間)' : ''}</p>
+            ${hypocenterPosition ? `<p><strong>震源の位置:</strong> ${hypocenterPosition}</p>` : ''}
             <p><strong>震源の深さ:</strong> ${eq.depth === 0 ? 'ごく浅い' : (eq.depth > 0 ? `約${eq.depth}km` : '不明')}</p>
             <p><strong>マグニチュード:</strong> M${eq.magnitude}</p>
-            <p><strong>津波の有無:</strong> 
+            <p><strong>${eq.isForeign ? '日本への津波の影響' : '津波の有無'}:</strong> 
                 ${(() => {
                     // 最高レベルの警報を基準にメッセージを決定
                     const highestTsunami = eq.tsunamiBadges[0] || {};
+                    // 遠地地震は、警報・注意報の詳細がなければ日本への影響の案内を表示する
+                    if (eq.isForeign && !['大津波警報', '津波警報', '津波注意報', '津波観測中'].includes(highestTsunami.label)) {
+                        return FOREIGN_TSUNAMI_MESSAGES[eq.tsunami] || '不明';
+                    }
                     switch (highestTsunami.label) {
                         case '大津波警報': return '<span class="font-bold text-purple-400">大津波警報を発表中です</span>';
                         case '津波警報': return '<span class="font-bold text-red-500">津波警報を発表中です</span>';
                         case '津波注意報': return '<span class="font-bold text-yellow-400">津波注意報を発表中です</span>';
                         case '津波観測中': return `<span class="font-bold text-purple-400">津波を観測中です (最大 ${eq.tsunamiObservation?.maxObservedHeight || '?'}m)</span>`;
                         case '津波なし': return 'この地震による津波の心配はありません';
+                        case '解除': return '津波警報・注意報は解除されました';
                         case '調査中': return '現在 気象庁が調査中です';
                         default: return '不明';
                     }
                 })()}
             </p>
         </div>
-        
+
+        ${(() => {
+            // 津波予報の推移は、警報・注意報が切り替わったか解除された場合に表示する
+            const lifecycle = eq.tsunamiLifecycle;
+            if (!lifecycle || (lifecycle.transitions.length < 2 && lifecycle.state !== 'Lifted')) return '';
+
+            const stateLabel = TSUNAMI_GRADE_LABELS[lifecycle.state] || '解除';
+            const transitionRows = lifecycle.transitions.map(transition => `
+                <div class="flex items-baseline gap-3 py-1 border-b border-gray-700">
+                    <span class="text-xs text-gray-400 flex-shrink-0">${transition.time.slice(5, 16)}</span>
+                    <span class="text-sm text-gray-200">${formatTsunamiTransition(transition)}</span>
+                </div>
+            `).join('');
+            const hasForecastAreas = ['MajorWarning', 'Warning', 'Advisory'].some(grade => eq.tsunamiForecastAreas?.[grade]?.length > 0);
+            return `
+                <div class="mt-3">
+                    <h5 class="flex items-center text-base font-bold text-gray-200 mb-2">
+                        <span class="tsunami-badge ${TSUNAMI_GRADE_CLASSES[lifecycle.state]} mr-2">${stateLabel}</span>
+                        <span>津波予報の推移 (${lifecycle.updatedAt.slice(5, 16)} 現在)</span>
+                    </h5>
+                    <div class="space-y-1">${transitionRows}</div>
+                </div>
+                ${hasForecastAreas ? '' : '<hr class="my-6 border-gray-600">'}
+            `;
+        })()}
         ${(() => {
             if (!eq.tsunamiForecastAreas || (eq.tsunamiForecastAreas.MajorWarning.length === 0 && eq.tsunamiForecastAreas.Warning.length === 0 && eq.tsunamiForecastAreas.Advisory.length === 0)) {
                 return '';
             }
             const renderAreaList = (areas, title, badgeClass) => {
                 if (!areas || areas.length === 0) return '';
+                const header = `
+                    <h5 class="flex items-center text-base font-bold text-gray-200 mb-2">
+                        <span class="tsunami-badge ${badgeClass} mr-2">${title}</span>
+                        <span>発表中の沿岸</span>
+                    </h5>
+                `;
+                // 予想される高さ・到達予想がない情報は、これまでどおり沿岸名を並べて表示する
+                if (!areas.some(area => area.maxHeight || area.firstHeight)) {
+                    return `
+                        <div class="mt-3">
+                            ${header}
+                            <p class="text-lg font-semibold text-gray-200 leading-relaxed city-list-no-break">
+                                ${areas.map(area => area.name).join('　')}
+                            </p>
+                        </div>
+                    `;
+                }
+                const areaRows = areas.map(area => `
+                    <div class="flex justify-between items-baseline py-1 border-b border-gray-700">
+                        <span class="text-lg font-semibold text-gray-200">${area.name}</span>
+                        <span class="text-lg font-bold text-gray-100">${formatTsunamiHeight(area) || '-'} <span class="text-xs text-gray-400 font-normal">${formatTsunamiArrival(area)}</span></span>
+                    </div>
+                `).join('');
                 return `
                     <div class="mt-3">
-                        <h5 class="flex items-center text-base font-bold text-gray-200 mb-2">
-                            <span class="tsunami-badge ${badgeClass} mr-2">${title}</span>
-                            <span>発表中の沿岸</span>
-                        </h5>
-                        <p class="text-lg font-semibold text-gray-200 leading-relaxed city-list-no-break">
-                            ${areas.join('　')}
-                        </p>
+                        ${header}
+                        <div class="space-y-1">${areaRows}</div>
                     </div>
                 `;
             };
@@ -3491,38 +5221,71 @@ const displayEarthquakeDetails = (eq) => {
         })()}
 
         ${(() => {
-            if (!eq.tsunamiObservation || !eq.tsunamiObservation.stations || eq.tsunamiObservation.stations.length === 0) {
+            if (!eq.tsunamiObservation?.areas?.length) {
                 return '';
             }
-            const sortedStations = [...eq.tsunamiObservation.stations].sort((a, b) => b.height - a.height);
-            const stationList = sortedStations.map(station => {
-                const heightText = station.height >= 10 ? `${station.height.toFixed(1)}m以上` : `${station.height.toFixed(1)}m`;
-                const timeText = formatDateTime(station.time).split(' ')[1]; // HH:mm
-                return `
-                    <div class="flex justify-between items-baseline py-1 border-b border-gray-700">
-                        <span class="text-lg font-semibold text-gray-200">${station.name}</span>
-                        <span class="text-lg font-bold text-red-400">${heightText} <span class="text-xs text-gray-400 font-normal">(${timeText})</span></span>
-                    </div>
-                `;
+            const areaList = eq.tsunamiObservation.areas.map(area => {
+                const stationList = area.stations.map(station => {
+                    const timeText = station.time ? formatDateTime(station.time).split(' ')[1] : ''; // HH:mm
+                    const firstArrival = station.firstHeight?.arrivalTime ? `第1波 ${formatDateTime(station.firstHeight.arrivalTime).split(' ')[1]}` : '';
+                    const details = [typeof station.height === 'number' ? station.condition : '', firstArrival, timeText && `${timeText}観測`].filter(Boolean).join('・');
+                    return `
+                        <div class="flex justify-between items-baseline py-1 border-b border-gray-700">
+                            <span class="text-lg font-semibold text-gray-200">${station.name}${station.isUpdated ? ' <span class="text-xs font-bold text-yellow-300">更新</span>' : ''}</span>
+                            <span class="text-lg font-bold text-red-400">${formatObservedHeight(station)} <span class="text-xs text-gray-400 font-normal">${details ? `(${details})` : ''}</span></span>
+                        </div>
+                    `;
+                }).join('');
+                const areaHeader = area.name ? `
+                    <h6 class="flex justify-between items-baseline text-sm font-bold text-gray-300 mt-3 mb-1">
+                        <span>${area.name}</span>
+                        <span>${typeof area.maxHeight === 'number' ? `最大 ${formatObservedHeight({ height: area.maxHeight })}` : ''}</span>
+                    </h6>
+                ` : '';
+                return `${areaHeader}<div class="space-y-1">${stationList}</div>`;
             }).join('');
 
             return `
                 <h5 class="flex items-center text-base font-bold text-gray-200 mb-2 mt-6">
                     <span class="tsunami-badge tsunami-observed mr-2">津波観測情報</span>
                 </h5>
-                <div class="space-y-1">${stationList}</div>
+                ${areaList}
                 <hr class="my-6 border-gray-600">
             `;
         })()}
 
+        ${eq.isForeign ? '' : `
+        <h4 class="text-lg font-bold text-gray-200 mb-3">震度分布図</h4>
+        <div id="detail-quake-map" class="quake-map mb-6"><p class="quake-map-message">地図を読み込んでいます...</p></div>
+        `}
+
+        ${eq.isForeign && shindoByMode.length === 0 ? `
+        <p class="text-sm text-gray-400">国外で発生した地震のため、国内の震度の情報はありません。</p>
+        ` : `
         <!-- ダークモード対応: text-gray-700 -> text-gray-200 -->
-        <h4 class="text-lg font-bold text-gray-200 mb-3">震度別観測地点 (${modeLabel})</h4>
+        <h4 class="text-lg font-bold text-gray-200 mb-3">${eq.hasAreaPoints ? '震度別地域 (震度速報)' : `震度別観測地点 (${modeLabel})`}</h4>
         <!-- ダークモード対応: text-gray-500 -> text-gray-400 -->
         ${shindoByMode.length > 0 ? detailList : '<p class="text-sm text-gray-400">観測データがありません。</p>'}
+        `}
+
+        ${renderRevisionHistory(eq)}
     `;
 
     detailContainer.innerHTML = html;
-    
+
+    // --- 震度分布図の描画（地図データは初回のみ読み込む） ---
+    const mapContainer = document.getElementById('detail-quake-map');
+    if (mapContainer) {
+        loadMapData().then(mapData => {
+            // 読み込みの間に別の地震が選択された場合は描画しない
+            if (mapContainer.isConnected) {
+                const model = buildQuakeMapModel(eq);
+                renderQuakeMap(mapContainer, mapData, model, { width: 640, height: 480, autoZoom: true });
+                mapContainer.insertAdjacentHTML('beforeend', buildQuakeMapDataNote(mapData, model));
+            }
+        });
+    }
+
     // --- 固定バーの更新 ---
     updateFixedShindoBar(eq);
 
@@ -3536,14 +5299,20 @@ const displayEarthquakeDetails = (eq) => {
 
 /**
  * 全ての地震情報をリストコンテナに表示し、イベントリスナーを設定する
+ * 選択中の地震が一覧に残っていれば選択を保ち、なくなった場合は最初の地震を選択する
  * @param {Array} processedEarthquakes - 処理済みの地震情報配列
+ * @param {object} [options]
+ * @param {boolean} [options.selectLatest=false] - 選択を保たずに最初（最新）の地震を選択する（新しい地震を受信した場合）
+ * @param {boolean} [options.keepUnchangedDetails=false] - 選択を保った地震の内容が変わっていなければ、詳細パネルと情報表示バーを描き直さない
  */
-const displayEarthquakes = (processedEarthquakes) => {
+const displayEarthquakes = (processedEarthquakes, { selectLatest = false, keepUnchangedDetails = false } = {}) => {
     const listContainer = document.getElementById('earthquake-list');
     const noDataElement = document.getElementById('no-data');
     listContainer.innerHTML = '';
+    displayedEarthquakeListSignature = getEarthquakeListSignature(processedEarthquakes);
     
-    // 選択状態をリセット
+    // 選択状態をリセット（一覧を作り直した後に選び直す）
+    const previousSelectedCardId = selectedCardId;
     selectedCardId = null;
 
     if (processedEarthquakes.length === 0) {
@@ -3564,11 +5333,14 @@ const displayEarthquakes = (processedEarthquakes) => {
     // リストアイテムHTMLを生成して挿入
     const cardsHtml = processedEarthquakes.map(renderEarthquakeListItem).join('');
     listContainer.innerHTML = cardsHtml;
+    updatePlaylistSummary(); // 一覧から消えた地震はプレイリストの件数に含めない
 
     // イベントリスナーの設定
     listContainer.querySelectorAll('.earthquake-card').forEach(card => {
         
         card.addEventListener('click', (e) => {
+            // プレイリストのチェックボックスは、カードの選択と切り離す
+            if (e.target.classList.contains('playlist-checkbox')) return;
             const clickedCard = e.currentTarget;
             const eventId = clickedCard.getAttribute('data-event-id');
             
@@ -3593,116 +5365,408 @@ const displayEarthquakes = (processedEarthquakes) => {
         });
     });
     
-    // 最初の地震を自動的に選択し、詳細を直接表示する
-    if (processedEarthquakes.length > 0) {
-        const firstEq = processedEarthquakes[0];
-        const firstCardId = `card-${firstEq.id}`;
-        const firstCard = document.getElementById(firstCardId);
-
-        if (firstCard) {
-            // ハイライトを設定 (ダークモード対応)
-            firstCard.classList.add('selected', 'border-blue-400', 'bg-blue-900/50');
-            firstCard.classList.remove('border-gray-700', 'bg-gray-700');
-            selectedCardId = firstCard.id;
-            
-            // 詳細を直接表示
-            displayEarthquakeDetails(firstEq);
+    // 選択中だった地震を選び直す（一覧になくなった場合や新しい地震を受信した場合は、最初の地震を自動的に選択する）
+    const keptEq = !selectLatest && previousSelectedCardId
+        ? processedEarthquakes.find(eq => `card-${eq.id}` === previousSelectedCardId)
+        : null;
+    const targetEq = keptEq || processedEarthquakes[0];
+    const targetCard = document.getElementById(`card-${targetEq.id}`);
+
+    if (targetCard) {
+        // ハイライトを設定 (ダークモード対応)
+        targetCard.classList.add('selected', 'border-blue-400', 'bg-blue-900/50');
+        targetCard.classList.remove('border-gray-700', 'bg-gray-700');
+        selectedCardId = targetCard.id;
+    }
+
+    // 選択を保った地震の内容が変わっていなければ、表示中のページを保つために描き直さない
+    if (keptEq && keepUnchangedDetails && getEarthquakeSignature(keptEq) === displayedDetailSignature) return;
+
+    // 詳細を直接表示（要素が見つからなかった場合でも、データがあれば詳細表示だけは試みる）
+    displayEarthquakeDetails(targetEq);
+};
+
+/**
+ * 集約済みの地震情報を画面に反映し、新しい地震があれば自動再生を予約する
+ * @param {Array} earthquakes - 処理済みの地震情報配列
+ * @param {Array} idsBefore - 更新前の地震IDリスト（ソート済み）
+ * @param {object} [options]
+ * @param {boolean} [options.keepUnchangedDetails=false] - displayEarthquakes の同名のオプション
+ */
+const applyEarthquakeList = (earthquakes, idsBefore, { keepUnchangedDetails = false } = {}) => {
+    const hasNewEarthquake = earthquakes.some(eq => !idsBefore.includes(eq.id));
+    displayEarthquakes(earthquakes, { selectLatest: hasNewEarthquake, keepUnchangedDetails });
+    // 保留していた更新は一覧に反映されたため、保留中の表示を消す
+    queuedEarthquakeUpdates = [];
+    updateUpdateQueueStatus();
+
+    // 開いている放送原稿の地震が訂正・取消されていれば、原稿にお知らせを表示する
+    earthquakes
+        .filter(eq => eq.hasCorrection && BROADCAST_SCRIPT_WINDOWS.has(eq.id))
+        .forEach(eq => markBroadcastScriptCorrection(eq.eventId, eq.isCancelled ? 'cancel' : 'correction'));
+
+    // 地震データに変化があったかチェックし、自動再生を開始
+    const idsAfter = earthquakes.map(eq => eq.id).sort();
+    const hasChanged = JSON.stringify(idsBefore) !== JSON.stringify(idsAfter);
+
+    if (hasChanged && !isAutoplaying) {
+        // 新しい地震がリストの先頭に来るように、displayEarthquakesがソートしていることを前提とする
+        if (earthquakes.length > 0) {
+            isWaitingForAutoplay = true; // 自動再生待機フラグを立てる
+            // 詳細パネルと固定バーのビューは更新するが、表示はさせない（選択中の地震を再生する）
+            const eqData = earthquakes.find(eq => `card-${eq.id}` === selectedCardId) || earthquakes[0];
+            updateFixedShindoBar(eqData);
+            updateNavControls({}, null); // isWaitingForAutoplayフラグを元に「地震 受信中」を表示させる
+            console.log('新しい地震データを検知しました。3秒後に自動再生を開始します。');
+            setTimeout(startAutoplay, 3000); // 3秒待ってから自動再生を開始
+        }
+    }
+};
+
+/**
+ * 最終取得日時の表示を現在時刻で更新する
+ */
+const updateFetchTimeDisplay = () => {
+    // 日本時間として現在時刻を取得し、フォーマット
+    const now = new Date(); 
+    LAST_FETCH_TIME = formatCurrentTime(now);
+    document.getElementById('fetch-time-display').textContent = `最終取得日時: ${LAST_FETCH_TIME}`;
+};
+
+/**
+ * データを手動で更新する（API呼び出しとUI再描画）
+ */
+const refreshData = async () => {
+    // ループ再生中は一覧を書き換えず、割り込み放送の判定だけを行う（訓練モード中は判定しない）
+    if (isAutoplaying) {
+        if (USE_DUMMY_DATA) return;
+        const previousEarthquakes = PROCESSED_EARTHQUAKES;
+        await fetchEarthquakeData();
+        if (isAutoplaying) {
+            handleUpdateDuringAutoplay(previousEarthquakes);
         } else {
-            // 要素が見つからなかった場合でも、データがあれば詳細表示だけは試みる
-            displayEarthquakeDetails(firstEq);
+            // 取得中に再生が終わった場合は、そのまま一覧に反映する
+            applyEarthquakeList(PROCESSED_EARTHQUAKES, previousEarthquakes.map(eq => eq.id).sort());
         }
+        return;
     }
+
+    const refreshButton = document.getElementById('refresh-button');
+    const buttonTextSpan = document.getElementById('refresh-text');
+    const fetchTimeDisplay = document.getElementById('fetch-time-display');
+    
+    // 更新前の地震IDリストを保持
+    const idsBefore = PROCESSED_EARTHQUAKES.map(eq => eq.id).sort();
+
+    if (!refreshButton || !buttonTextSpan || !fetchTimeDisplay) return;
+
+    // 1. Loading/Disable state
+    refreshButton.disabled = true;
+    refreshButton.classList.add('opacity-50', 'cursor-not-allowed');
+    const originalText = buttonTextSpan.textContent;
+
+    // 2. Fetch and Display (新しい地震があれば自動再生を予約)
+    const earthquakes = await fetchEarthquakeData();
+    applyEarthquakeList(earthquakes, idsBefore);
+
+    // 3. API取得に成功し、UIが更新された場合（エラーメッセージが表示されていない場合）のみ、取得日時を更新
+    const isErrorDisplayed = !document.getElementById('error-message').classList.contains('hidden');
+
+    if (!isErrorDisplayed) {
+        updateFetchTimeDisplay();
+    }
+
+    // 4. Complete state
+    buttonTextSpan.textContent = '更新完了!'; // 一時的に更新完了を表示
+
+    // 5. Re-enable and reset text
+    setTimeout(() => {
+        buttonTextSpan.textContent = originalText; // 元のテキストに戻す ('API更新')
+        refreshButton.disabled = false;
+        refreshButton.classList.remove('opacity-50', 'cursor-not-allowed');
+    }, 1000);
+};
+
+/**
+ * APIの定期ポーリングを開始する（既に動作中の場合は何もしない）
+ */
+const startRestPolling = () => {
+    if (refreshIntervalId || CONFIG.REFRESH_INTERVAL_MS <= 0) return;
+    refreshIntervalId = setInterval(refreshData, CONFIG.REFRESH_INTERVAL_MS);
+};
+
+/**
+ * APIの定期ポーリングを停止する
+ */
+const stopRestPolling = () => {
+    if (!refreshIntervalId) return;
+    clearInterval(refreshIntervalId);
+    refreshIntervalId = null;
+};
+
+
+// --- リアルタイム受信 (WebSocket) のロジック ---
+
+/**
+ * 接続状態の表示を更新する
+ * @param {string} state - 'connecting' | 'connected' | 'disconnected'
+ */
+const updateStreamStatus = (state) => {
+    const statusElement = document.getElementById('stream-status');
+    if (!statusElement) return;
+
+    const statusMap = {
+        connecting: { text: 'リアルタイム: 接続中...', class: 'text-yellow-400' },
+        connected: { text: 'リアルタイム: 受信中', class: 'text-green-400' },
+        disconnected: { text: 'リアルタイム: 切断中（2分ごとのAPI取得で補完）', class: 'text-red-400' }
+    };
+    const status = statusMap[state] || statusMap.disconnected;
+    statusElement.textContent = status.text;
+    statusElement.className = `text-xs text-right mb-4 ${status.class}`;
+};
+
+/**
+ * 受信キャッシュから地震一覧を再集約し、画面に反映する
+ * 集約は1回ずつ順に行う。実行中に受信した場合は、終了後に最新のキャッシュでもう一度集約する
+ * （同時に実行すると、先に始めた古い集約の結果で新しい一覧が上書きされることがあるため）
+ */
+const refreshFromCache = async () => {
+    if (USE_DUMMY_DATA) return; // 訓練モード中は受信データを画面に反映しない
+
+    if (isRefreshingFromCache) {
+        hasQueuedCacheRefresh = true;
+        return;
+    }
+
+    isRefreshingFromCache = true;
+    try {
+        do {
+            hasQueuedCacheRefresh = false;
+            try {
+                await applyCachedReports();
+            } catch (error) {
+                console.error('受信した情報の集約中にエラー:', error);
+            }
+        } while (hasQueuedCacheRefresh && !USE_DUMMY_DATA);
+    } finally {
+        isRefreshingFromCache = false;
+    }
+};
+
+/**
+ * 受信キャッシュを集約し、地震一覧・津波情報・割り込み放送の判定に反映する（refreshFromCache から1回ずつ呼ばれる）
+ */
+const applyCachedReports = async () => {
+    const previousEarthquakes = PROCESSED_EARTHQUAKES;
+    const idsBefore = previousEarthquakes.map(eq => eq.id).sort();
+    PROCESSED_EARTHQUAKES = await syncEarthquakeHistory(await aggregateReports(Array.from(RAW_REPORT_CACHE.values())));
+    refreshTsunamiBulletin(Array.from(RAW_REPORT_CACHE.values()));
+
+    // ループ再生中は一覧を書き換えず、割り込むか再生終了後に反映するかを判定する
+    if (isAutoplaying) {
+        handleUpdateDuringAutoplay(previousEarthquakes);
+        return;
+    }
+
+    // 一覧に載らない情報（最大震度の小さい地震など）で内容が変わらなければ、一覧を描き直さない
+    if (getEarthquakeListSignature(PROCESSED_EARTHQUAKES) !== displayedEarthquakeListSignature) {
+        applyEarthquakeList(PROCESSED_EARTHQUAKES, idsBefore, { keepUnchangedDetails: true });
+        scheduleSpreadsheetLog();
+    }
+    updateFetchTimeDisplay();
+};
+
+/**
+ * WebSocketで受信した1件の情報を処理する
+ * @param {object} message - 受信した情報 (APIの履歴と同じ形式)
+ */
+const handleStreamMessage = (message) => {
+    if (!message || typeof message.code !== 'number') return;
+
+    // 緊急地震速報は集約を待たずに即時表示する
+    if (message.code === 554) {
+        handleEew(message);
+        cacheRawReports([message]);
+        saveReportsToHistory([message]);
+        return;
+    }
+
+    // 地震情報・津波予報・津波観測情報以外（ピア情報など）は無視する
+    if (![551, 552, 556].includes(message.code)) return;
+
+    // 受信済みの情報（APIの取得結果と重複した場合など）では一覧が変わらないため、集約し直さない
+    if (cacheRawReports([message]) === 0) return;
+    saveReportsToHistory([message]);
+    if (message.code === 551) noteReportCorrection(message);
+
+    // ループ再生中も集約し、割り込み放送の条件を判定する（一覧への反映は refreshFromCache で保留される）
+    refreshFromCache();
+};
+
+/**
+ * 再接続をスケジュールする（指数バックオフ + ゆらぎ）
+ */
+const scheduleStreamReconnect = () => {
+    if (wsReconnectTimerId) return;
+
+    const baseDelay = Math.min(CONFIG.WS_RECONNECT_MAX_MS, CONFIG.WS_RECONNECT_BASE_MS * (2 ** wsReconnectAttempts));
+    // 複数の端末が同時に再接続しないよう、最大20%のゆらぎを加える
+    const delay = Math.round(baseDelay + baseDelay * 0.2 * Math.random());
+    wsReconnectAttempts++;
+
+    console.log(`WebSocketの再接続を${Math.round(delay / 1000)}秒後に試みます。(${wsReconnectAttempts}回目)`);
+    wsReconnectTimerId = setTimeout(() => {
+        wsReconnectTimerId = null;
+        connectEarthquakeStream();
+    }, delay);
 };
 
 /**
- * データを手動で更新する（API呼び出しとUI再描画）
+ * P2P地震情報のWebSocketに接続し、受信した情報を集約処理に流し込む
+ * 切断中はAPIの定期ポーリングで補完する
  */
-const refreshData = async () => {
-    // ループ再生中はAPIの自動更新をスキップする
-    if (isAutoplaying) return;
-
-    const refreshButton = document.getElementById('refresh-button');
-    const buttonTextSpan = document.getElementById('refresh-text');
-    const fetchTimeDisplay = document.getElementById('fetch-time-display');
-    
-    // 更新前の地震IDリストを保持
-    const idsBefore = PROCESSED_EARTHQUAKES.map(eq => eq.id).sort();
+const connectEarthquakeStream = () => {
+    if (!CONFIG.WS_URL || typeof WebSocket === 'undefined') {
+        console.warn('WebSocketが利用できないため、APIの定期取得のみで動作します。');
+        return;
+    }
 
-    if (!refreshButton || !buttonTextSpan || !fetchTimeDisplay) return;
+    let socket;
+    try {
+        socket = new WebSocket(CONFIG.WS_URL);
+    } catch (error) {
+        console.error('WebSocketの接続に失敗しました:', error);
+        scheduleStreamReconnect();
+        return;
+    }
 
-    // 1. Loading/Disable state
-    refreshButton.disabled = true;
-    refreshButton.classList.add('opacity-50', 'cursor-not-allowed');
-    const originalText = buttonTextSpan.textContent;
+    wsConnection = socket;
+    updateStreamStatus('connecting');
 
-    // 2. Fetch and Display
-    const earthquakes = await fetchEarthquakeData();
-    displayEarthquakes(earthquakes);
+    socket.addEventListener('open', () => {
+        const isReconnect = wsReconnectAttempts > 0;
+        wsReconnectAttempts = 0;
+        isStreamConnected = true;
+        updateStreamStatus('connected');
+        console.log('WebSocketに接続しました。APIの定期取得を停止します。');
 
-    // 3. 地震データに変化があったかチェックし、自動再生を開始
-    const idsAfter = earthquakes.map(eq => eq.id).sort();
-    const hasChanged = JSON.stringify(idsBefore) !== JSON.stringify(idsAfter);
+        // 受信できている間はポーリングしない
+        stopRestPolling();
 
-    if (hasChanged && !isAutoplaying) {
-        // 新しい地震がリストの先頭に来るように、displayEarthquakesがソートしていることを前提とする
-        if (earthquakes.length > 0) {
-            isWaitingForAutoplay = true; // 自動再生待機フラグを立てる
-            // 詳細パネルと固定バーのビューは更新するが、表示はさせない
-            const eqData = earthquakes[0];
-            updateFixedShindoBar(eqData);
-            updateNavControls({}, null); // isWaitingForAutoplayフラグを元に「地震 受信中」を表示させる
-            console.log('新しい地震データを検知しました。3秒後に自動再生を開始します。');
-            setTimeout(startAutoplay, 3000); // 3秒待ってから自動再生を開始
+        // 切断中に取りこぼした情報をAPIから一度だけ補完する
+        if (isReconnect) {
+            refreshData();
         }
-    }
+    });
 
-    // 3. API取得に成功し、UIが更新された場合（エラーメッセージが表示されていない場合）のみ、取得日時を更新
-    const isErrorDisplayed = !document.getElementById('error-message').classList.contains('hidden');
+    socket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            console.warn('WebSocketの受信データを解析できませんでした:', error);
+            return;
+        }
+        handleStreamMessage(message);
+    });
 
-    if (!isErrorDisplayed) {
-        // 日本時間として現在時刻を取得し、フォーマット
-        const now = new Date(); 
-        LAST_FETCH_TIME = formatCurrentTime(now);
-        fetchTimeDisplay.textContent = `最終取得日時: ${LAST_FETCH_TIME}`;
-    }
+    socket.addEventListener('error', (error) => {
+        // errorの後には必ずcloseが発生するため、再接続はclose側で行う
+        console.warn('WebSocketでエラーが発生しました:', error);
+    });
 
-    // 4. Complete state
-    buttonTextSpan.textContent = '更新完了!'; // 一時的に更新完了を表示
+    socket.addEventListener('close', () => {
+        if (wsConnection !== socket) return;
+        wsConnection = null;
+        isStreamConnected = false;
+        updateStreamStatus('disconnected');
 
-    // 5. Re-enable and reset text
-    setTimeout(() => {
-        buttonTextSpan.textContent = originalText; // 元のテキストに戻す ('API更新')
-        refreshButton.disabled = false;
-        refreshButton.classList.remove('opacity-50', 'cursor-not-allowed');
-    }, 1000);
+        // 切断中はAPIの定期取得に切り替える（ループ再生中も割り込み放送の判定のために取得する）
+        startRestPolling();
+        scheduleStreamReconnect();
+    });
 };
 
 
 // --- 固定フッターのロジック ---
 
 /**
- * 固定フッター（配信画面用）を更新する
- * @param {Object} eq - 現在選択されている地震情報オブジェクト
+ * 項目をテロップの1ページに収まるよう分割し、津波のビューを生成する
+ * @param {Array<string>} items - ページに並べる項目（HTML）
+ * @param {string} title - バッジの表示名
+ * @param {string} badgeClass - バッジのクラス
+ * @param {string} [type='summary'] - ビューの種類
+ * @param {string} [header=''] - 各ページの先頭に付ける見出し（HTML。分割した全てのページに付ける）
+ * @returns {Array} ビューの配列
  */
-const updateFixedShindoBar = (eq) => {
-    const shindoNav = document.getElementById('shindo-nav');
+const buildTsunamiItemViews = (items, title, badgeClass, type = 'summary', header = '') => {
+    const views = [];
+    const toPageHtml = (pageItems) => (header ? [header, ...pageItems] : pageItems).join('　');
+    const pushPage = (pageItems) => {
+        views.push({ type, category: 'tsunami', shindo: title, line1: toPageHtml(pageItems), line2: '', shindoClass: badgeClass });
+    };
 
-    if (!eq || !eq.points) {
-        // 初期状態 / データなし
-        // 初期状態 / データなし / 自動再生待機中ではない
-        FIXED_BAR_VIEWS = [];
-        shindoNav.style.display = 'none';
-        displayInitialFixedBarState();
-        // 自動再生待機中でなければ停止する
-        if (!isWaitingForAutoplay) {
-            pauseAutoplay();
+    let pageItems = [];
+    items.forEach(item => {
+        const testHtml = toPageHtml([...pageItems, item]);
+        if (!doesTextFitInTelopLines(testHtml) && pageItems.length > 0) {
+            pushPage(pageItems);
+            pageItems = [item];
+        } else {
+            pageItems.push(item);
         }
-        return;
-    }
-    
-    const contentLine1 = document.getElementById('content-line-1');
-    const shindoGroups = groupPointsByShindoAndMode(eq.points, 'municipality', loopPlaybackMinScale);
-    FIXED_BAR_VIEWS = []; 
+    });
+    if (pageItems.length > 0) pushPage(pageItems);
+    return views;
+};
+
+/**
+ * 津波予報区をテロップの1項目にする（例: 「岩手県 3m 到達と推測」）
+ * @param {object} area - 津波予報区 (toTsunamiForecastArea の戻り値)
+ * @returns {string} 項目のHTML
+ */
+const formatTsunamiAreaForTelop = (area) => {
+    const detail = [formatTsunamiHeight(area), formatTsunamiArrival(area, formatTimeForTelop)].filter(Boolean).join(' ');
+    return `<span class="inline-block">${area.name}${detail ? ` ${detail}` : ''}</span>`;
+};
+
+/**
+ * 津波予報区のビューを警報レベルの高い順に生成する
+ * @param {object} areasByGrade - 警報レベルごとの予報区 { MajorWarning, Warning, Advisory }
+ * @returns {Array} ビューの配列
+ */
+const buildTsunamiForecastViews = (areasByGrade) => [
+    ...buildTsunamiItemViews((areasByGrade.MajorWarning || []).map(formatTsunamiAreaForTelop), '大津波警報', 'tsunami-major-warning tsunami-telop-badge'),
+    ...buildTsunamiItemViews((areasByGrade.Warning || []).map(formatTsunamiAreaForTelop), '津波警報', 'tsunami-warning-detailed tsunami-telop-badge'),
+    ...buildTsunamiItemViews((areasByGrade.Advisory || []).map(formatTsunamiAreaForTelop), '津波注意報', 'tsunami-advisory tsunami-telop-badge')
+];
+
+/**
+ * 津波観測情報のビューを、予報区ごとに生成する
+ * 各ページの先頭に予報区名とその予報区で観測した最大の高さ（高さの値がある場合のみ）を付け、観測点は更新されたもの・高さの大きいものから並べる
+ * 状態は「観測中」以外（上昇中など）の場合のみ表示する（バッジが「津波観測中」のため）
+ * @param {object} observation - 津波観測情報 (buildTsunamiObservation の戻り値)
+ * @returns {Array} ビューの配列
+ */
+const buildTsunamiObservationViews = (observation) => observation.areas.flatMap(area => {
+    const items = area.stations.map(station => {
+        const condition = typeof station.height === 'number' && station.condition && station.condition !== '観測中' ? ` ${station.condition}` : '';
+        return `<span class="inline-block">${station.name} ${formatObservedHeight(station)}${condition}</span>`;
+    });
+    const maxHeightText = typeof area.maxHeight === 'number' ? ` 最大${formatObservedHeight({ height: area.maxHeight })}` : '';
+    const header = area.name ? `<span class="inline-block">【${area.name}${maxHeightText}】</span>` : '';
+    return buildTsunamiItemViews(items, '津波観測中', 'tsunami-observed', 'shindo', header);
+});
+
+/**
+ * 地震情報から情報表示バーのビュー（概況 → 震源 → 津波 → 各地の震度 の順）を生成する
+ * テキストは適用中のテロップのテーマで1ページに収まるよう分割する
+ * @param {Object} eq - 地震情報オブジェクト（points を持つこと）
+ * @returns {Array} ビューの配列（ページ番号は付与しない）
+ */
+const buildEarthquakeViews = (eq) => {
+    const shindoGroups = groupPointsByShindoAndMode(eq.points, telopDisplayMode, loopPlaybackMinScale);
+    const views = [];
     
     // --- 1. 概況ページの生成 (指定箇所での分割ロジック) ---
     const [datePart, timePart] = eq.time.split(' '); // "YYYY/MM/DD", "HH:mm"
@@ -3721,33 +5785,49 @@ const updateFixedShindoBar = (eq) => {
     }
 
     // 1-1. 地震発生情報のページ生成
-    const text1 = `${displayTime} ${eq.epicenter}を震源とする 最大${eq.maxShindoLabel}の地震がありました`;
-    if (!doesTextFitInTwoLines(text1, contentLine1)) {
-        const part1 = `${displayTime} ${eq.epicenter}を震源とする`;
-        const part2 = `最大${eq.maxShindoLabel}の地震がありました`;
-        FIXED_BAR_VIEWS.push({ type: 'summary', shindo: '概況', line1: part1, line2: '', shindoClass: 'bg-gray-500 text-white' });
-        FIXED_BAR_VIEWS.push({ type: 'summary', shindo: '概況', line1: part2, line2: '', shindoClass: 'bg-gray-500 text-white' });
+    // 震度速報の段階では震源がないため「震度速報」として、震度が未発表の場合は震源のみを伝える
+    // 遠地地震は国外の震源地名を伝える（発生時刻は日本時間）
+    const hasMaxScale = eq.maxScale > 0;
+    const summaryBadge = eq.isProvisional ? '震度速報' : (eq.isForeign ? '遠地地震' : '概況');
+    let summaryParts;
+    if (eq.isProvisional) {
+        summaryParts = [`${displayTime} 最大${eq.maxShindoLabel}を観測する地震がありました`, '震源は現在調査中です'];
+    } else if (eq.isForeign) {
+        summaryParts = [`${displayTime} 海外で地震がありました`, `震源地は ${eq.epicenter}です`];
+    } else {
+        summaryParts = [`${displayTime} ${eq.epicenter}を震源とする`, hasMaxScale ? `最大${eq.maxShindoLabel}の地震がありました` : '地震がありました'];
+    }
+    const text1 = summaryParts.join(' ');
+    if (!doesTextFitInTelopLines(text1)) {
+        summaryParts.forEach(part => {
+            views.push({ type: 'summary', shindo: summaryBadge, line1: part, line2: '', shindoClass: 'bg-gray-500 text-white' });
+        });
     } else {
-        FIXED_BAR_VIEWS.push({ type: 'summary', shindo: '概況', line1: text1, line2: '', shindoClass: 'bg-gray-500 text-white' });
+        views.push({ type: 'summary', shindo: summaryBadge, line1: text1, line2: '', shindoClass: 'bg-gray-500 text-white' });
     }
 
     // 1-2. 震源・マグニチュード情報のページ生成
+    // 震源の深さが不明な場合（遠地地震に多い）は、マグニチュードのみを伝える
     if (eq.magnitude !== '不明') {
         const depthText = eq.depth === 0 ? ' ごく浅い　' : (eq.depth > 0 ? `およそ${eq.depth}km　` : '不明');
         const magnitudeText = `地震の規模は マグニチュード${eq.magnitude}`;
         const text2 = `震源の深さは${depthText}${magnitudeText}`;
-        if (!doesTextFitInTwoLines(text2, contentLine1)) {
+        if (!(eq.depth >= 0)) {
+            views.push({ type: 'summary', shindo: summaryBadge, line1: magnitudeText, line2: '', shindoClass: 'bg-gray-500 text-white' });
+        } else if (!doesTextFitInTelopLines(text2)) {
             const part1 = `震源の深さは${depthText.trim()}`;
             const part2 = magnitudeText;
-            FIXED_BAR_VIEWS.push({ type: 'summary', shindo: '概況', line1: part1, line2: '', shindoClass: 'bg-gray-500 text-white' });
-            FIXED_BAR_VIEWS.push({ type: 'summary', shindo: '概況', line1: part2, line2: '', shindoClass: 'bg-gray-500 text-white' });
+            views.push({ type: 'summary', shindo: summaryBadge, line1: part1, line2: '', shindoClass: 'bg-gray-500 text-white' });
+            views.push({ type: 'summary', shindo: summaryBadge, line1: part2, line2: '', shindoClass: 'bg-gray-500 text-white' });
         } else {
-            FIXED_BAR_VIEWS.push({ type: 'summary', shindo: '概況', line1: text2, line2: '', shindoClass: 'bg-gray-500 text-white' });
+            views.push({ type: 'summary', shindo: summaryBadge, line1: text2, line2: '', shindoClass: 'bg-gray-500 text-white' });
         }
     }
 
     // 3. 津波情報 (利用可能な場合) - 概況ページが生成された後に挿入
     if (eq.tsunamiLabel) {
+        const tsunamiTransitions = eq.tsunamiLifecycle?.transitions || [];
+        const latestTsunamiTransition = tsunamiTransitions[tsunamiTransitions.length - 1];
         let tsunamiMessage = '';
         switch (eq.tsunamiLabel) {
             case '大津波警報':
@@ -3765,14 +5845,21 @@ const updateFixedShindoBar = (eq) => {
             case '津波なし':
                 tsunamiMessage = 'この地震による津波の心配はありません';
                 break;
+            case '解除':
+                tsunamiMessage = formatTsunamiTransition(latestTsunamiTransition);
+                break;
+        }
+        // 遠地地震は、警報・注意報の詳細がなければ日本への津波の影響を伝える
+        if (eq.isForeign && (!eq.hasDomesticTsunamiForecast || !tsunamiMessage)) {
+            tsunamiMessage = FOREIGN_TSUNAMI_MESSAGES[eq.tsunami] || '';
         }
 
         if (tsunamiMessage) {
             let badgeLabel = eq.tsunamiLabel;
-            let badgeClass = eq.tsunamiClass;
+            let badgeClass = eq.tsunamiBadges[0]?.class; // tsunamiLabel は先頭のバッジ（最も重い発表）のラベル
 
             // 固定フッター表示時のみ、「津波なし」「調査中」のバッジを「津 波」に変更し、スタイルを分岐
-            if (eq.tsunamiLabel === '津波なし' || eq.tsunamiLabel === '調査中') {
+            if (eq.tsunamiLabel === '津波なし' || eq.tsunamiLabel === '調査中' || eq.tsunamiLabel === '海面変動' || eq.tsunamiLabel === '解除' || !eq.tsunamiBadges.length) {
                 badgeLabel = '津 波';
                 // 「津 波」バッジは角丸長方形にするため、tsunami-telop-badge を付けない
                 badgeClass = 'tsunami-none'; 
@@ -3781,8 +5868,15 @@ const updateFixedShindoBar = (eq) => {
                 badgeClass = `${badgeClass} tsunami-telop-badge`;
             }
 
-            FIXED_BAR_VIEWS.push({
+            // 警報・注意報が切り替わった場合は、発表状況の前に切り替わりを伝える（例: 津波警報は注意報に切り替わりました）
+            const isGradeChange = latestTsunamiTransition?.from && latestTsunamiTransition.from !== 'Lifted' && latestTsunamiTransition.to !== 'Lifted';
+            if (isGradeChange) {
+                views.push({ type: 'summary', category: 'tsunami', shindo: badgeLabel, line1: formatTsunamiTransition(latestTsunamiTransition), line2: '', shindoClass: badgeClass || 'bg-gray-500 text-white' });
+            }
+
+            views.push({
                 type: 'summary', // 概況と同じタイプ
+                category: 'tsunami',
                 shindo: badgeLabel,
                 line1: tsunamiMessage,
                 line2: '',
@@ -3793,53 +5887,22 @@ const updateFixedShindoBar = (eq) => {
 
     // 津波予報エリアのページを生成
     if (eq.tsunamiForecastAreas) {
-        const createTsunamiAreaViews = (areas, title, badgeClass) => {
-            if (!areas || areas.length === 0) return;
-
-            let pageAreas = [];
-            for (let i = 0; i < areas.length; i++) {
-                const testAreas = [...pageAreas, areas[i]];
-                const testHtml = `${testAreas.join('　')}`;
-                if (!doesTextFitInTwoLines(testHtml, contentLine1) && pageAreas.length > 0) {
-                    FIXED_BAR_VIEWS.push({ type: 'summary', shindo: title, line1: `${pageAreas.join('　')}`, line2: '', shindoClass: `${badgeClass} tsunami-telop-badge` });
-                    pageAreas = [areas[i]];
-                } else {
-                    pageAreas.push(areas[i]);
-                }
-            }
-            if (pageAreas.length > 0) {
-                FIXED_BAR_VIEWS.push({ type: 'summary', shindo: title, line1: `${pageAreas.join('　')}`, line2: '', shindoClass: `${badgeClass} tsunami-telop-badge` });
-            }
-        };
-
-        // 警報レベルの高い順にページを生成
-        createTsunamiAreaViews(eq.tsunamiForecastAreas.MajorWarning, '大津波警報', 'tsunami-major-warning');
-        createTsunamiAreaViews(eq.tsunamiForecastAreas.Warning, '津波警報', 'tsunami-warning-detailed');
-        createTsunamiAreaViews(eq.tsunamiForecastAreas.Advisory, '津波注意報', 'tsunami-advisory');
+        views.push(...buildTsunamiForecastViews(eq.tsunamiForecastAreas));
     }
 
     // 津波観測情報のページを生成
-    if (eq.tsunamiObservation && eq.tsunamiObservation.stations && eq.tsunamiObservation.stations.length > 0) {
-        const sortedStations = [...eq.tsunamiObservation.stations].sort((a, b) => b.height - a.height);
-        let pageStations = [];
-        for (const station of sortedStations) {
-            const heightText = station.height >= 10 ? `${station.height.toFixed(1)}m以上` : `${station.height.toFixed(1)}m`;
-            const stationText = `<span class="inline-block">${station.name} ${heightText}</span>`;
-            const testHtml = [...pageStations, stationText].join('　');
-            if (!doesTextFitInTwoLines(testHtml, contentLine1) && pageStations.length > 0) {
-                FIXED_BAR_VIEWS.push({ type: 'shindo', shindo: '津波観測中', line1: pageStations.join('　'), line2: '', shindoClass: 'tsunami-observed' });
-                pageStations = [stationText];
-            } else {
-                pageStations.push(stationText);
-            }
-        }
-        if (pageStations.length > 0) FIXED_BAR_VIEWS.push({ type: 'shindo', shindo: '津波観測中', line1: pageStations.join('　'), line2: '', shindoClass: 'tsunami-observed' });
+    if (eq.tsunamiObservation?.areas?.length > 0) {
+        views.push(...buildTsunamiObservationViews(eq.tsunamiObservation));
     }
 
 
     // --- 4. 「各地の震度は〜」ページの生成 ---
-    const finalTextView = { type: 'summary', shindo: '震度情報', line1: '各地の震度は次のとおりです', line2: '', shindoClass: 'bg-gray-500 text-white' };
-    FIXED_BAR_VIEWS.push(finalTextView);
+    // 震度速報の段階では、市区町村ではなく地域ごとの震度を伝える。震度の情報がなければ生成しない
+    if (shindoGroups.length > 0) {
+        const finalText = eq.hasAreaPoints ? `${scaleToShindo(loopPlaybackMinScale).label}以上を観測した地域は次のとおりです` : '各地の震度は次のとおりです';
+        const finalTextView = { type: 'summary', shindo: '震度情報', line1: finalText, line2: '', shindoClass: 'bg-gray-500 text-white' };
+        views.push(finalTextView);
+    }
 
     // --- 5. 震度別地域ページの生成 (動的ページ分割) ---
     shindoGroups.forEach(group => {
@@ -3852,65 +5915,433 @@ const updateFixedShindoBar = (eq) => {
             const testCities = [...pageCities, cityName];
             const testHtml = testCities.map(c => `<span class="inline-block">${c}</span>`).join('　');
 
-            if (!doesTextFitInTwoLines(testHtml, contentLine1) && pageCities.length > 0) {
-                // 収まらなくなったので、直前までの内容でページを作成
-                // ★★★ 修正: pageCitiesには既に整形済みの名前が入っている ★★★
-                const pageHtml = pageCities.map(c => `<span class="inline-block">${c}</span>`).join('　');
-                FIXED_BAR_VIEWS.push({ type: 'shindo', shindo: group.shindo, line1: pageHtml, line2: '', shindoClass: shindoLabelToClass(group.shindo) });
-                // 新しいページを開始
-                pageCities = [cityName];
-            } else {
-                pageCities.push(cityName);
-            }
-        }
-        // ループ終了後、残りの市区町村で最後のページを作成
-        if (pageCities.length > 0) {
-            // ★★★ 修正: pageCitiesには既に整形済みの名前が入っている ★★★
-            const pageHtml = pageCities.map(c => `<span class="inline-block">${c}</span>`).join('　');
-            FIXED_BAR_VIEWS.push({ type: 'shindo', shindo: group.shindo, line1: pageHtml, line2: '', shindoClass: shindoLabelToClass(group.shindo) });
+            if (!doesTextFitInTelopLines(testHtml) && pageCities.length > 0) {
+                // 収まらなくなったので、直前までの内容でページを作成
+                // ★★★ 修正: pageCitiesには既に整形済みの名前が入っている ★★★
+                const pageHtml = pageCities.map(c => `<span class="inline-block">${c}</span>`).join('　');
+                views.push({ type: 'shindo', category: 'intensity', shindo: group.shindo, line1: pageHtml, line2: '', shindoClass: shindoLabelToClass(group.shindo) });
+                // 新しいページを開始
+                pageCities = [cityName];
+            } else {
+                pageCities.push(cityName);
+            }
+        }
+        // ループ終了後、残りの市区町村で最後のページを作成
+        if (pageCities.length > 0) {
+            // ★★★ 修正: pageCitiesには既に整形済みの名前が入っている ★★★
+            const pageHtml = pageCities.map(c => `<span class="inline-block">${c}</span>`).join('　');
+            views.push({ type: 'shindo', category: 'intensity', shindo: group.shindo, line1: pageHtml, line2: '', shindoClass: shindoLabelToClass(group.shindo) });
+        }
+    });
+
+    // 取り消された地震は、取消のお知らせのみを表示する
+    if (eq.isCancelled) {
+        const cancelText = (eq.isProvisional || eq.isForeign) ? `${displayTime}の地震の情報は取り消されました` : `${displayTime} ${eq.epicenter}を震源とする地震の情報は取り消されました`;
+        return [{ type: 'summary', shindo: '取消', line1: cancelText, line2: '', shindoClass: 'bg-gray-500 text-white' }];
+    }
+    return views;
+};
+
+/**
+ * 固定フッター（配信画面用）を更新する
+ * @param {Object} eq - 現在選択されている地震情報オブジェクト
+ */
+const updateFixedShindoBar = (eq) => {
+    const shindoNav = document.getElementById('shindo-nav');
+
+    // EEWテロップ・津波情報テロップの表示中は上書きせず、終了後に表示する地震として保持する
+    if (FIXED_BAR_MODE !== 'earthquake') {
+        telopModeReturnEq = eq;
+        return;
+    }
+
+    // 表示する地震が変わったら、ループ再生中に受信した訂正・取消のお知らせを解除する
+    if (fixedBarEarthquake?.id !== eq?.id) {
+        onAirCorrectionNotice = null;
+    }
+    fixedBarEarthquake = eq || null;
+    updateCorrectionIndicator();
+    publishQuakeMapFrame();
+
+    if (!eq || !eq.points) {
+        // 初期状態 / データなし
+        // 初期状態 / データなし / 自動再生待機中ではない
+        FIXED_BAR_VIEWS = [];
+        shindoNav.style.display = 'none';
+        displayInitialFixedBarState();
+        // 自動再生待機中でなければ停止する
+        if (!isWaitingForAutoplay) {
+            pauseAutoplay();
+        }
+        return;
+    }
+    
+    FIXED_BAR_VIEWS = buildEarthquakeViews(eq);
+
+    // --- 6. 全てのビューにページ番号を付与し、コントロールを表示 ---
+    finalizeFixedBarViews();
+
+    // --- 7. 表示を更新 ---
+    CURRENT_SHINDO_INDEX = 0; 
+
+    // 地震を選択したら、表示エリアをクリアする
+    clearFixedBarContent();
+};
+
+/**
+ * FIXED_BAR_VIEWS の全てのビューにページ番号を付与し、ページ数に応じてコントロールの表示を切り替える
+ */
+const finalizeFixedBarViews = () => {
+    const totalViews = FIXED_BAR_VIEWS.length;
+    FIXED_BAR_VIEWS.forEach((view, index) => {
+        view.pageCurrent = index + 1;
+        view.pageTotal = totalViews;
+    });
+
+    const autoplayControls = document.getElementById('autoplay-controls');
+    const shindoNav = document.getElementById('shindo-nav');
+
+    if (FIXED_BAR_VIEWS.length > 1) {
+        autoplayControls.style.display = 'flex';
+        document.getElementById('reset-display-button').style.display = 'block';
+        document.getElementById('transition-controls').style.display = 'flex';
+        shindoNav.style.display = 'flex';
+    } else {
+        autoplayControls.style.display = 'none';
+        document.getElementById('reset-display-button').style.display = 'none';
+        document.getElementById('transition-controls').style.display = 'none';
+        shindoNav.style.display = 'none';
+    }
+    updateEewTelopButton();
+    updateTsunamiTelopButton();
+};
+
+/**
+ * 固定バーの「訂正あり」「取消」表示を更新する
+ * 固定バーに表示中の地震が訂正・取消済みの場合と、ループ再生中にその地震の訂正・取消を受信した場合に表示する
+ */
+const updateCorrectionIndicator = () => {
+    const indicator = document.getElementById('correction-indicator');
+    if (!indicator) return;
+
+    let kind = null;
+    if (FIXED_BAR_MODE === 'earthquake' && fixedBarEarthquake) {
+        if (fixedBarEarthquake.isCancelled || onAirCorrectionNotice === 'cancel') kind = 'cancel';
+        else if (fixedBarEarthquake.hasCorrection || onAirCorrectionNotice === 'correction') kind = 'correction';
+    }
+
+    renderCorrectionIndicator(indicator, kind);
+    publishTelopFrame({ type: 'indicator', kind });
+};
+
+/**
+ * 開いている放送原稿に、訂正・取消のお知らせを表示する
+ * @param {string} eventId - 気象庁の event_id
+ * @param {string} kind - 'correction' | 'cancel'
+ */
+const markBroadcastScriptCorrection = (eventId, kind) => {
+    BROADCAST_SCRIPT_WINDOWS.forEach((entry, eqId) => {
+        if (entry.window.closed) {
+            BROADCAST_SCRIPT_WINDOWS.delete(eqId);
+            return;
+        }
+        if (!eventId || entry.eventId !== eventId) return;
+
+        const notice = entry.window.document.getElementById('correction-notice');
+        if (!notice) return;
+        notice.textContent = kind === 'cancel'
+            ? '【取消】この地震の情報は取り消されました。原稿を使用しないでください。'
+            : '【訂正あり】この地震の情報は訂正されました。原稿を作成し直してください。';
+        notice.className = kind === 'cancel' ? 'correction-notice cancel' : 'correction-notice';
+    });
+};
+
+/**
+ * 受信した地震情報が訂正・取消であれば、放送中の表示と放送原稿に反映する
+ * ループ再生中は一覧の更新を保留するため、訂正・取消があったことだけを先に知らせる
+ * @param {object} report - 受信した地震情報(551)
+ */
+const noteReportCorrection = (report) => {
+    const correction = getReportCorrection(report);
+    if (correction.kind === 'none') return;
+
+    const eventId = String(report.issue?.event_id || report.issue?.eventid || '');
+    markBroadcastScriptCorrection(eventId, correction.kind);
+
+    if (eventId && fixedBarEarthquake?.eventId === eventId) {
+        onAirCorrectionNotice = correction.kind;
+        updateCorrectionIndicator();
+    }
+};
+
+/**
+ * 表示中の緊急地震速報から、固定バー用のEEWテロップのビューを生成する
+ * 概況 → 対象地域の案内 → 予想震度別の対象地域 の順で、地域はテロップの1ページに収まるよう分割する
+ * @returns {Array} ビューの配列
+ */
+const buildEewTelopViews = () => {
+    const views = [];
+
+    eewQueue.forEach(entry => {
+        const badgeClass = entry.isCancelled ? 'eew-telop-cancelled' : (entry.eewClass === 'warning' ? 'eew-telop-warning' : 'eew-telop-forecast');
+        const badgeLabel = entry.isCancelled ? '取消' : (entry.eewClass === 'warning' ? '緊急地震速報' : 'EEW予報');
+        const hypocenter = entry.hypocenterName || '震源情報なし';
+
+        if (entry.isCancelled) {
+            views.push({ type: 'summary', shindo: badgeLabel, line1: `先ほどの緊急地震速報（${hypocenter}）は取り消されました`, line2: '', shindoClass: badgeClass });
+            return;
+        }
+
+        const summaryText = entry.eewClass === 'warning'
+            ? `${hypocenter}で地震　強い揺れに警戒してください`
+            : `${hypocenter}で地震　${entry.data.earthquake?.maxScale ? `予想最大${scaleToShindo(entry.data.earthquake.maxScale).label}` : ''}`;
+        views.push({ type: 'summary', shindo: badgeLabel, line1: summaryText.trim(), line2: '', shindoClass: badgeClass });
+
+        const areaPages = buildEewAreaPages(entry.data.areas, doesTextFitInTelopLines);
+        if (areaPages.length === 0) return;
+
+        const introText = entry.eewClass === 'warning' ? '強い揺れが予想される地域は次のとおりです' : '揺れが予想される地域は次のとおりです';
+        views.push({ type: 'summary', shindo: badgeLabel, line1: introText, line2: '', shindoClass: badgeClass });
+        areaPages.forEach(page => {
+            views.push({ type: 'shindo', category: 'intensity', shindo: page.shindo, line1: page.html, line2: '', shindoClass: page.shindoClass });
+        });
+    });
+    return views;
+};
+
+/**
+ * 固定バーのビューをEEWテロップで更新する
+ * 続報で内容が変わった場合も呼ばれるため、再生中はページ位置を保ったまま差し替える
+ */
+const updateFixedEewBar = () => {
+    FIXED_BAR_VIEWS = buildEewTelopViews();
+    if (FIXED_BAR_VIEWS.length === 0) {
+        exitEewTelopMode();
+        return;
+    }
+    finalizeFixedBarViews();
+
+    if (isAutoplaying) {
+        CURRENT_SHINDO_INDEX = Math.min(CURRENT_SHINDO_INDEX, FIXED_BAR_VIEWS.length - 1);
+        return;
+    }
+    CURRENT_SHINDO_INDEX = Math.min(Math.max(CURRENT_SHINDO_INDEX, 0), FIXED_BAR_VIEWS.length - 1);
+    updateFixedBarDisplay();
+};
+
+/**
+ * 固定バーをEEWテロップ表示に切り替える
+ */
+const enterEewTelopMode = () => {
+    if (eewQueue.length === 0 || FIXED_BAR_MODE === 'eew') return;
+
+    if (FIXED_BAR_MODE === 'tsunami') exitTsunamiTelopMode();
+    if (isAutoplaying || isWaitingForAutoplay) pauseAutoplay(true);
+    // 終了後に戻せるよう、選択中の地震を保持する
+    telopModeReturnEq = selectedCardId ? PROCESSED_EARTHQUAKES.find(eq => eq.id === selectedCardId.substring(5)) || null : null;
+    FIXED_BAR_MODE = 'eew';
+    CURRENT_SHINDO_INDEX = 0;
+    updateFixedEewBar();
+    updateEewTelopButton();
+    updateCorrectionIndicator();
+    publishQuakeMapFrame();
+};
+
+/**
+ * EEWテロップ表示を終了し、選択中の地震の表示に戻す
+ */
+const exitEewTelopMode = () => {
+    if (FIXED_BAR_MODE !== 'eew') return;
+
+    FIXED_BAR_MODE = 'earthquake';
+    if (isAutoplaying || isWaitingForAutoplay) pauseAutoplay(true);
+    const returnEq = telopModeReturnEq;
+    telopModeReturnEq = null;
+    updateFixedShindoBar(returnEq);
+    updateEewTelopButton();
+};
+
+/**
+ * EEWテロップ切り替えボタンの表示状態を更新する
+ */
+const updateEewTelopButton = () => {
+    const button = document.getElementById('eew-telop-button');
+    if (!button) return;
+
+    const isActive = FIXED_BAR_MODE === 'eew';
+    const isVisible = eewQueue.length > 0 || isActive;
+    button.style.display = isVisible ? 'block' : 'none';
+    // ボタンはトランジション設定の並びにあるため、ページが1つでも操作できるよう表示する
+    if (isVisible) {
+        document.getElementById('transition-controls').style.display = 'flex';
+    }
+    button.textContent = isActive ? '地震情報へ' : 'EEWテロップ';
+    button.classList.toggle('bg-red-700', !isActive);
+    button.classList.toggle('hover:bg-red-600', !isActive);
+    button.classList.toggle('bg-gray-600', isActive);
+    button.classList.toggle('hover:bg-gray-500', isActive);
+};
+
+// --- 津波情報テロップ ---
+
+/**
+ * 発表中の津波情報から、固定バー用の津波情報テロップのビューを生成する
+ * 切り替わり → 発表状況 → 避難の呼びかけ → 警報レベル別の予報区（高さ・到達予想） → 観測された津波 の順
+ * @returns {Array} ビューの配列
+ */
+const buildTsunamiTelopViews = () => {
+    const bulletin = TSUNAMI_BULLETIN;
+    if (!bulletin) return [];
+
+    const latestTransition = bulletin.transitions[bulletin.transitions.length - 1];
+    if (bulletin.isLifted) {
+        return [{ type: 'summary', category: 'tsunami', shindo: '津 波', line1: formatTsunamiTransition(latestTransition), line2: '', shindoClass: 'tsunami-none' }];
+    }
+
+    const grades = ['MajorWarning', 'Warning', 'Advisory'].filter(grade => bulletin.forecasts[grade].length > 0);
+    const highestGrade = grades[0];
+    const badgeLabel = TSUNAMI_GRADE_LABELS[highestGrade];
+    const badgeClass = TSUNAMI_GRADE_CLASSES[highestGrade];
+    const views = [];
+    const pushSummary = (text) => {
+        views.push({ type: 'summary', category: 'tsunami', shindo: badgeLabel, line1: text, line2: '', shindoClass: `${badgeClass} tsunami-telop-badge` });
+    };
+
+    // 警報・注意報が切り替わった場合は、最初に切り替わりを伝える（例: 津波警報は注意報に切り替わりました）
+    if (latestTransition?.from && latestTransition.from !== 'Lifted') {
+        pushSummary(formatTsunamiTransition(latestTransition));
+    }
+
+    const issuedTime = formatTimeForTelop(bulletin.issuedAt.split(' ')[1] || '');
+    const summaryParts = [`${grades.map(grade => TSUNAMI_GRADE_LABELS[grade]).join('・')}が発表されています`];
+    if (issuedTime) summaryParts.push(`（${issuedTime} 気象庁発表）`);
+    if (doesTextFitInTelopLines(summaryParts.join(''))) {
+        pushSummary(summaryParts.join(''));
+    } else {
+        summaryParts.forEach(pushSummary);
+    }
+    pushSummary(highestGrade === 'Advisory'
+        ? '海の中や海岸付近は危険です　海から上がり 海岸から離れてください'
+        : 'ただちに高台など安全な場所へ避難してください');
+
+    views.push(...buildTsunamiForecastViews(bulletin.forecasts));
+
+    if (bulletin.observation?.areas.length > 0) {
+        views.push(...buildTsunamiObservationViews(bulletin.observation));
+    }
+    return views;
+};
+
+/**
+ * 固定バーのビューを津波情報テロップで更新する
+ * 津波予報の更新（切り替え・解除）でも呼ばれるため、再生中はページ位置を保ったまま差し替える
+ */
+const updateFixedTsunamiBar = () => {
+    FIXED_BAR_VIEWS = buildTsunamiTelopViews();
+    if (FIXED_BAR_VIEWS.length === 0) {
+        exitTsunamiTelopMode();
+        return;
+    }
+    finalizeFixedBarViews();
+
+    if (isAutoplaying) {
+        CURRENT_SHINDO_INDEX = Math.min(CURRENT_SHINDO_INDEX, FIXED_BAR_VIEWS.length - 1);
+        return;
+    }
+    CURRENT_SHINDO_INDEX = Math.min(Math.max(CURRENT_SHINDO_INDEX, 0), FIXED_BAR_VIEWS.length - 1);
+    updateFixedBarDisplay();
+};
+
+/**
+ * 受信した情報から発表中の津波情報を作り直し、津波情報テロップの表示中であれば内容を差し替える
+ * 発表中の警報・注意報は、有効時間 (CONFIG.TSUNAMI_BULLETIN_MAX_AGE_MS) を過ぎた時点でもう一度作り直して対象から外す
+ * @param {Array} data - 生の情報の配列
+ */
+const refreshTsunamiBulletin = (data) => {
+    TSUNAMI_BULLETIN = buildTsunamiBulletin(data);
+
+    // 最後の発表から有効時間が過ぎた警報・注意報は発表中として扱わない（訓練データは過去の発表時刻のため対象外）
+    clearTimeout(tsunamiBulletinExpiryTimerId);
+    const issuedAtMs = TSUNAMI_BULLETIN ? new Date(TSUNAMI_BULLETIN.issuedAt).getTime() : NaN;
+    if (TSUNAMI_BULLETIN && !TSUNAMI_BULLETIN.isLifted && !USE_DUMMY_DATA && Number.isFinite(issuedAtMs)) {
+        const remainingMs = issuedAtMs + CONFIG.TSUNAMI_BULLETIN_MAX_AGE_MS - Date.now();
+        if (remainingMs <= 0) {
+            console.warn(`有効時間を過ぎた津波予報のため、津波情報テロップの対象から外します（${TSUNAMI_BULLETIN.issuedAt} 発表）`);
+            TSUNAMI_BULLETIN = null;
+        } else {
+            tsunamiBulletinExpiryTimerId = setTimeout(() => refreshTsunamiBulletin(data), remainingMs);
         }
-    });
+    }
 
-    // --- 6. 全てのビューにページ番号を付与 ---
-    const totalViews = FIXED_BAR_VIEWS.length;
-    FIXED_BAR_VIEWS.forEach((view, index) => {
-        view.pageCurrent = index + 1;
-        view.pageTotal = totalViews;
-    });
+    if (FIXED_BAR_MODE === 'tsunami') updateFixedTsunamiBar();
+    updateTsunamiTelopButton();
+};
 
-    // --- 7. 表示を更新 ---
-    CURRENT_SHINDO_INDEX = 0; 
+/**
+ * 固定バーを津波情報テロップ表示に切り替える
+ */
+const enterTsunamiTelopMode = () => {
+    if (!TSUNAMI_BULLETIN || FIXED_BAR_MODE === 'tsunami') return;
+
+    if (FIXED_BAR_MODE === 'eew') exitEewTelopMode();
+    if (isAutoplaying || isWaitingForAutoplay) pauseAutoplay(true);
+    // 終了後に戻せるよう、選択中の地震を保持する
+    telopModeReturnEq = selectedCardId ? PROCESSED_EARTHQUAKES.find(eq => eq.id === selectedCardId.substring(5)) || null : null;
+    // 津波情報は警報・注意報が解除されるまで流し続けるため、ループ回数を無限にする
+    const loopsSelect = document.getElementById('autoplay-loops');
+    loopsBeforeTsunamiTelop = loopsSelect.value;
+    loopsSelect.value = 'Infinity';
+    FIXED_BAR_MODE = 'tsunami';
+    CURRENT_SHINDO_INDEX = 0;
+    updateFixedTsunamiBar();
+    updateTsunamiTelopButton();
+    updateCorrectionIndicator();
+    publishQuakeMapFrame();
+};
 
-    // 地震を選択したら、コントロールボタンを表示し、表示エリアをクリアする
-    const autoplayControls = document.getElementById('autoplay-controls');
-    const line1 = document.getElementById('content-line-1');
-    const currentShindoLabel = document.getElementById('current-shindo-label');
+/**
+ * 津波情報テロップ表示を終了し、選択中の地震の表示に戻す
+ */
+const exitTsunamiTelopMode = () => {
+    if (FIXED_BAR_MODE !== 'tsunami') return;
+
+    FIXED_BAR_MODE = 'earthquake';
+    if (isAutoplaying || isWaitingForAutoplay) pauseAutoplay(true);
+    if (loopsBeforeTsunamiTelop) {
+        document.getElementById('autoplay-loops').value = loopsBeforeTsunamiTelop;
+        loopsBeforeTsunamiTelop = null;
+    }
+    const returnEq = telopModeReturnEq;
+    telopModeReturnEq = null;
+    updateFixedShindoBar(returnEq);
+    updateTsunamiTelopButton();
+};
 
-    if (FIXED_BAR_VIEWS.length > 1) {
-        autoplayControls.style.display = 'flex';
-        document.getElementById('reset-display-button').style.display = 'block';
+/**
+ * 津波情報テロップ切り替えボタンの表示状態を更新する
+ * 警報・注意報の発表中か、津波情報テロップの表示中（解除後を含む）に表示する
+ */
+const updateTsunamiTelopButton = () => {
+    const button = document.getElementById('tsunami-telop-button');
+    if (!button) return;
+
+    const isActive = FIXED_BAR_MODE === 'tsunami';
+    const isVisible = (TSUNAMI_BULLETIN && !TSUNAMI_BULLETIN.isLifted) || isActive;
+    button.style.display = isVisible ? 'block' : 'none';
+    if (isVisible) {
         document.getElementById('transition-controls').style.display = 'flex';
-        shindoNav.style.display = 'flex';
-    } else {
-        autoplayControls.style.display = 'none';
-        document.getElementById('reset-display-button').style.display = 'none';
-        document.getElementById('transition-controls').style.display = 'none';
-        shindoNav.style.display = 'none';
     }
-
-    // 表示エリアをクリア
-    line1.textContent = '';
-    document.getElementById('content-line-2').textContent = '';
-    currentShindoLabel.classList.add('hidden');
+    button.textContent = isActive ? '地震情報へ' : '津波情報';
+    button.classList.toggle('bg-blue-700', !isActive);
+    button.classList.toggle('hover:bg-blue-600', !isActive);
+    button.classList.toggle('bg-gray-600', isActive);
+    button.classList.toggle('hover:bg-gray-500', isActive);
 };
 
 /**
  * 固定フッターを初期状態に戻す
  */
 const displayInitialFixedBarState = () => {
-    const line1 = document.getElementById('content-line-1');
-    const line2 = document.getElementById('content-line-2');
-    const currentShindoLabel = document.getElementById('current-shindo-label');
     const shindoNav = document.getElementById('shindo-nav');
     const autoplayControls = document.getElementById('autoplay-controls');
     const transitionControls = document.getElementById('transition-controls');
@@ -3918,14 +6349,15 @@ const displayInitialFixedBarState = () => {
     const pageInfo = document.getElementById('shindo-page-info');
 
     // 変更: テキストとバッジを非表示にする
-    line1.textContent = '';
-    line2.textContent = '';
-    currentShindoLabel.classList.add('hidden'); // バッジを隠す
+    clearFixedBarContent();
     shindoNav.style.display = 'none';
     autoplayControls.style.display = 'none';
     transitionControls.style.display = 'none';
     resetButton.style.display = 'none';
     pageInfo.textContent = '';
+    // テロップの切り替えボタンは地震を選択していなくても操作できるようにする
+    updateEewTelopButton();
+    updateTsunamiTelopButton();
 }
 
 /**
@@ -3950,7 +6382,6 @@ const displayFixedBarNoShindoData = () => {
 const updateFixedBarDisplay = (overrideView = null, direction = 'none') => {
     const line1 = document.getElementById('content-line-1');
     const line2 = document.getElementById('content-line-2');
-    const animationWrapper = document.getElementById('animation-wrapper'); // キャッシュ
     const contentWrapper = document.getElementById('content-wrapper');     // キャッシュ
     const prevButton = document.getElementById('shindo-prev');           // キャッシュ
     const nextButton = document.getElementById('shindo-next');           // キャッシュ
@@ -3962,34 +6393,31 @@ const updateFixedBarDisplay = (overrideView = null, direction = 'none') => {
     // ★★★ 修正: 古い変数名 `fixedBarState` を `FIXED_BAR_VIEWS` と `CURRENT_SHINDO_INDEX` に修正 ★★★
     const currentView = overrideView || FIXED_BAR_VIEWS[CURRENT_SHINDO_INDEX];
 
-    const transitionEffect = document.getElementById('transition-effect').value;
-
-    // --- アニメーション処理 ---
-    if (transitionEffect === 'slide' && direction !== 'none' && !overrideView) {
-        const outClass = direction === 'next' ? 'slide-out-left' : 'slide-out-right';
-        const inClass = direction === 'next' ? 'slide-in-right' : 'slide-in-left';
-
-        // 1. 現在のコンテンツをスライドアウト
-        animationWrapper.classList.add(outClass);
-
-        // 2. アニメーション終了後にコンテンツを更新してスライドイン
-        setTimeout(() => {
-            renderContent(currentView);
-            animationWrapper.classList.remove(outClass);
-            animationWrapper.classList.add(inClass);
-
-            // 3. スライドインアニメーション終了後にクラスを削除
-            setTimeout(() => {
-                animationWrapper.classList.remove(inClass);
-            }, 250);
+    // システムメッセージ（開始・終了ページ）は常にカットチェンジ
+    const transition = {
+        effect: overrideView ? 'cut' : document.getElementById('transition-effect').value,
+        duration: telopTransitionSetting.duration,
+        easing: telopTransitionSetting.easing
+    };
 
-        }, 250);
+    // --- アニメーション処理（バッジと本文は別々に動かす） ---
+    const targets = getTelopTransitionTargets(getFixedBarContentElements());
+    playTelopTransition(targets, transition, direction, currentView, () => renderContent(currentView));
 
-    } else {
-        // カットチェンジ、または初回表示
-        renderContent(currentView);
+    // プレイリスト再生中は、表示しているページの地震に ON AIR を付ける
+    if (isAutoplaying && !overrideView && playlistOnAirRanges.length > 0) {
+        updatePlaylistOnAir();
     }
 
+    // --- オーバーレイへ同じ表示内容を送信 ---
+    publishTelopFrame({
+        type: 'view',
+        view: toTelopFrameView(currentView),
+        transition,
+        direction,
+        layout: getTelopLayout()
+    });
+
     // --- ナビゲーションボタンとページ情報の更新 ---
     // ★★★ 修正: overrideView を正しく boolean に変換して渡す ★★★
     updateNavControls(currentView, overrideView ? true : false);
@@ -4000,44 +6428,25 @@ const updateFixedBarDisplay = (overrideView = null, direction = 'none') => {
  * @param {object} view - 表示するビューオブジェクト
  */
 const renderContent = (view) => {
-    const line1 = document.getElementById('content-line-1');
-    const line2 = document.getElementById('content-line-2');
-    const currentShindoLabel = document.getElementById('current-shindo-label');
-
-    // 既存のスタイルをリセット
-    line1.className = 'text-edge';
-    line2.className = 'text-xs text-gray-400 hidden';
+    renderTelopView(view, getFixedBarContentElements());
+};
 
-    // 震度ラベルを更新
-    if (view.type === 'system') {
-        currentShindoLabel.classList.add('hidden');
-    } else {
-        currentShindoLabel.classList.remove('hidden');
-        currentShindoLabel.textContent = view.shindo;
-        currentShindoLabel.className = 'shindo-badge text-3xl h-14 flex items-center justify-center flex-shrink-0 ml-1.5';
-        currentShindoLabel.classList.add(...view.shindoClass.split(' '));
-    }
-    
-    // コンテンツ行を更新
-    line1.innerHTML = view.line1;
-    line2.textContent = view.line2;
+/**
+ * 固定バーのコンテンツ表示エリアの要素を取得する
+ * @returns {object} { line1, line2, label }
+ */
+const getFixedBarContentElements = () => ({
+    line1: document.getElementById('content-line-1'),
+    line2: document.getElementById('content-line-2'),
+    label: document.getElementById('current-shindo-label')
+});
 
-    // line1は常に表示、line2は基本非表示
-    line1.classList.remove('hidden');
-    line2.classList.add('hidden');
-    
-    // タイプに応じたスタイル適用
-    if(view.type === 'summary') {
-        line1.classList.add('text-4xl', 'font-bold', 'text-white');
-        line1.classList.remove('truncate');
-        line2.classList.remove('hidden');
-        line2.textContent = view.line2;
-    } else if (view.type === 'shindo') {
-        line1.classList.add('text-4xl', 'font-bold', 'text-white');
-        line1.classList.remove('truncate');
-    } else if (view.type === 'system') {
-        line1.classList.add('text-4xl', 'font-bold', 'text-white', 'text-center');
-    }
+/**
+ * 固定バーのコンテンツ表示エリアを空にする（オーバーレイも同様に空にする）
+ */
+const clearFixedBarContent = () => {
+    clearTelopView(getFixedBarContentElements());
+    publishTelopFrame({ type: 'clear' });
 };
 
 /**
@@ -4100,6 +6509,132 @@ const setupFixedBarNavigation = () => {
     });
 };
 
+// --- OBS用オーバーレイへの送信 ---
+
+/**
+ * コンテンツ表示エリアの大きさを取得する
+ * オーバーレイは同じ大きさで描画してから拡大するため、ページ分割の結果（改行位置）が操作画面と一致する
+ * @returns {object} { width, height } (px)
+ */
+const getTelopLayout = () => {
+    const contentWrapper = document.getElementById('content-wrapper');
+    return { width: contentWrapper.clientWidth, height: contentWrapper.clientHeight };
+};
+
+/**
+ * 表示内容をオーバーレイへ送信する
+ * @param {object} frame - 送信する内容
+ *   - { type: 'view', view, transition, direction, layout }: ビューを表示（transition は { effect, duration, easing }）
+ *   - { type: 'clear' }: 表示エリアを空にする
+ *   - { type: 'indicator', kind }: 訂正・取消の表示 ('correction' | 'cancel' | null)
+ *   - { type: 'colors', colors }: 震度・津波の配色
+ *   - { type: 'ticker', views, speed, layout }: 全ページをつなげた横流しを1周流す
+ *   - { type: 'theme', theme }: テロップのテーマ
+ *   - { type: 'map', model, caption }: 地図オーバーレイの震度分布図（model が null の場合は地図を消す）
+ */
+const publishTelopFrame = (frame) => {
+    // 後から開いたオーバーレイにも現在の表示を再現できるよう、直近の内容を保持する
+    if (frame.type === 'indicator') {
+        LAST_TELOP_FRAMES.indicator = frame;
+    } else if (frame.type === 'colors') {
+        LAST_TELOP_FRAMES.colors = frame;
+    } else if (frame.type === 'theme') {
+        LAST_TELOP_FRAMES.theme = frame;
+    } else if (frame.type === 'map') {
+        LAST_TELOP_FRAMES.map = frame;
+    } else {
+        LAST_TELOP_FRAMES.view = frame;
+    }
+
+    telopChannel?.postMessage(frame);
+    if (telopRelaySocket && telopRelaySocket.readyState === WebSocket.OPEN) {
+        telopRelaySocket.send(JSON.stringify(frame));
+    }
+};
+
+/**
+ * オーバーレイからの要求に応答する
+ * @param {object} message - オーバーレイからのメッセージ
+ */
+const handleTelopRequest = (message) => {
+    if (message?.type !== 'request-state') return;
+
+    // 現在の表示を切り替え効果なしで送り直す
+    const { view, indicator, colors, theme, map } = LAST_TELOP_FRAMES;
+    if (colors) publishTelopFrame(colors);
+    if (theme) publishTelopFrame(theme);
+    if (view) publishTelopFrame(view.type === 'view' ? { ...view, transition: { ...view.transition, effect: 'cut' }, direction: 'none' } : view);
+    if (indicator) publishTelopFrame(indicator);
+    if (map) publishTelopFrame(map);
+};
+
+/**
+ * 情報表示バーに表示中の地震の震度分布図を、地図オーバーレイ (map-overlay.html) へ送信する
+ * 地震の選択・プレイリスト再生で表示する地震が変わるたびに送り、EEWテロップ・津波情報テロップの表示中は地図を消す
+ */
+const publishQuakeMapFrame = () => {
+    const eq = FIXED_BAR_MODE === 'earthquake' && fixedBarEarthquake?.points && !fixedBarEarthquake.isForeign ? fixedBarEarthquake : null;
+    if (LAST_TELOP_FRAMES.map && quakeMapFrameEq === eq) return; // 同じ地震の地図は送り直さない
+    quakeMapFrameEq = eq;
+
+    publishTelopFrame({
+        type: 'map',
+        model: eq ? buildQuakeMapModel(eq) : null,
+        caption: eq ? {
+            title: eq.epicenter,
+            detail: [`${eq.time}ごろ発生`, eq.magnitude !== '不明' ? `M${eq.magnitude}` : ''].filter(Boolean).join('　'),
+            shindo: eq.maxShindoLabel,
+            shindoClass: eq.maxShindoClass
+        } : null
+    });
+};
+
+/**
+ * 中継サーバーに接続する（切断された場合は一定時間後に再接続する）
+ */
+const connectTelopRelay = () => {
+    clearTimeout(telopRelayReconnectTimerId);
+    try {
+        telopRelaySocket = new WebSocket(CONFIG.TELOP_RELAY_URL);
+    } catch (error) {
+        // URLの形式が不正な場合は再接続しても失敗するため、中継サーバーを使わずに動作する
+        console.error(`オーバーレイ中継サーバーに接続できませんでした: ${CONFIG.TELOP_RELAY_URL}`, error);
+        telopRelaySocket = null;
+        return;
+    }
+
+    telopRelaySocket.addEventListener('open', () => {
+        console.log(`オーバーレイ中継サーバーに接続しました: ${CONFIG.TELOP_RELAY_URL}`);
+        handleTelopRequest({ type: 'request-state' });
+    });
+    telopRelaySocket.addEventListener('message', (event) => {
+        try {
+            handleTelopRequest(JSON.parse(event.data));
+        } catch (error) {
+            console.error('オーバーレイ中継サーバーから不正なメッセージを受信しました:', error);
+        }
+    });
+    telopRelaySocket.addEventListener('close', () => {
+        telopRelaySocket = null;
+        telopRelayReconnectTimerId = setTimeout(connectTelopRelay, CONFIG.TELOP_RELAY_RECONNECT_MS);
+    });
+};
+
+/**
+ * オーバーレイへの送信経路を準備する
+ * - BroadcastChannel: 同じブラウザ内（OBSのカスタムブラウザドックで操作画面を開いた場合を含む）
+ * - 中継サーバー: URLパラメータ ?relay= を指定した場合のみ
+ */
+const setupTelopOutput = () => {
+    if (typeof BroadcastChannel !== 'undefined') {
+        telopChannel = new BroadcastChannel(TELOP_CHANNEL_NAME);
+        telopChannel.addEventListener('message', (event) => handleTelopRequest(event.data));
+    }
+    if (CONFIG.TELOP_RELAY_URL) {
+        connectTelopRelay();
+    }
+};
+
 /**
  * 手動ふりがな辞書リストをレンダリングする
  */
@@ -4295,6 +6830,120 @@ const setupKanaDbModal = () => {
     });
 };
 
+/**
+ * 地震履歴の検索結果をレンダリングする
+ * @param {Array} records - 履歴レコードの配列（発生日時の新しい順）
+ */
+const renderHistoryList = (records) => {
+    const listContainer = document.getElementById('history-list');
+    const countElement = document.getElementById('history-count');
+    const keyword = document.getElementById('history-search-input').value.trim();
+    const minScale = parseInt(document.getElementById('history-min-shindo-select').value, 10);
+
+    const matchedRecords = records.filter(record => {
+        const eq = record.earthquake;
+        if (!eq.isForeign && eq.maxScale < minScale) return false; // 遠地地震は国内の震度がないため、震度では絞り込まない
+        if (!keyword) return true;
+        return eq.epicenter.includes(keyword) || eq.time.includes(keyword);
+    });
+    const shownRecords = matchedRecords.slice(0, CONFIG.HISTORY_SEARCH_LIMIT);
+
+    countElement.textContent = matchedRecords.length > shownRecords.length
+        ? `${matchedRecords.length}件中 ${shownRecords.length}件を表示`
+        : `${matchedRecords.length}件`;
+
+    if (shownRecords.length === 0) {
+        listContainer.innerHTML = '<p class="text-gray-400 text-center">該当する地震はありません。</p>';
+        return;
+    }
+
+    listContainer.innerHTML = shownRecords.map(record => {
+        const eq = record.earthquake;
+        const revisionText = record.revisions.length > 1 ? `更新${record.revisions.length - 1}回・` : '';
+        return `
+            <div class="flex justify-between items-center p-2 hover:bg-gray-700 rounded-md">
+                <div class="flex items-center space-x-3 min-w-0">
+                    ${eq.isForeign
+                        ? `<span class="shindo-badge text-xs foreign-magnitude-badge">遠地地震</span>`
+                        : `<span class="shindo-badge text-xs ${eq.maxShindoClass}">${eq.maxShindoLabel}</span>`}
+                    <div class="min-w-0">
+                        <p class="text-sm font-medium text-gray-100 truncate">${eq.epicenter} (M${eq.magnitude})</p>
+                        <p class="text-xs text-gray-400">${eq.time}　<span class="text-gray-500">${revisionText}最終保存 ${formatCurrentTime(new Date(record.updatedAt))}</span></p>
+                    </div>
+                </div>
+                <div class="flex items-center space-x-2 flex-shrink-0">
+                    ${eq.tsunamiBadges.map(badge => `<span class="tsunami-badge list-tsunami-badge ${badge.class}">${badge.label}</span>`).join('')}
+                    <button class="history-reair-button bg-blue-600 hover:bg-blue-700 text-white text-xs font-semibold py-1 px-3 rounded-lg transition" data-history-id="${eq.id}" ${isAutoplaying ? 'disabled' : ''}>再放送</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+};
+
+/**
+ * 履歴の地震を一覧で選択し、情報表示バーで再放送（ループ再生）する
+ * 一覧にない古い地震の場合は、一覧に追加してから選択する
+ * @param {object} eq - 履歴に保存された地震情報
+ */
+const reairHistoryEarthquake = (eq) => {
+    if (isAutoplaying) return;
+
+    // EEWテロップ・津波情報テロップの表示中は地震情報の表示に戻してから再放送する
+    exitEewTelopMode();
+    exitTsunamiTelopMode();
+
+    if (!PROCESSED_EARTHQUAKES.some(item => item.id === eq.id)) {
+        PROCESSED_EARTHQUAKES = sortEarthquakesByOriginTime([...PROCESSED_EARTHQUAKES, eq]);
+        displayEarthquakes(PROCESSED_EARTHQUAKES);
+    }
+
+    const card = document.getElementById(`card-${eq.id}`);
+    if (!card) return;
+    card.click();
+    card.scrollIntoView({ block: 'nearest' });
+    startAutoplay();
+};
+
+/**
+ * 地震履歴モーダルのセットアップ
+ */
+const setupHistoryModal = () => {
+    const modal = document.getElementById('history-modal');
+    const openButton = document.getElementById('history-button');
+    const closeButton = document.getElementById('history-modal-close');
+    const searchInput = document.getElementById('history-search-input');
+    const minScaleSelect = document.getElementById('history-min-shindo-select');
+    const listContainer = document.getElementById('history-list');
+    let historyRecords = [];
+
+    openButton.addEventListener('click', async () => {
+        modal.classList.remove('hidden');
+        listContainer.innerHTML = '<p class="text-gray-400 text-center">履歴を読み込み中...</p>';
+        historyRecords = await loadHistoryRecords();
+        renderHistoryList(historyRecords);
+        searchInput.focus();
+    });
+
+    const closeModal = () => modal.classList.add('hidden');
+    closeButton.addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    searchInput.addEventListener('input', () => renderHistoryList(historyRecords));
+    minScaleSelect.addEventListener('change', () => renderHistoryList(historyRecords));
+
+    listContainer.addEventListener('click', (e) => {
+        const button = e.target.closest('.history-reair-button');
+        if (!button || button.disabled) return;
+
+        const record = historyRecords.find(item => item.id === button.dataset.historyId);
+        if (!record) return;
+        closeModal();
+        reairHistoryEarthquake(normalizeStoredEarthquake(record.earthquake));
+    });
+};
+
 /**
  * 表示リセットボタンのセットアップ
  */
@@ -4305,9 +6954,7 @@ const setupResetButton = () => {
         pauseAutoplay(true); // skipRedraw = true
 
         // 2. 表示エリアをクリア
-        document.getElementById('content-line-1').textContent = '';
-        document.getElementById('content-line-2').textContent = '';
-        document.getElementById('current-shindo-label').classList.add('hidden');
+        clearFixedBarContent();
 
         // 3. ページインデックスをリセット
         CURRENT_SHINDO_INDEX = 0;
@@ -4324,6 +6971,10 @@ const setupKeyboardShortcuts = () => {
     if (savedMinScale) {
         loopPlaybackMinScale = parseInt(savedMinScale, 10);
     }
+    const savedTelopDisplayMode = localStorage.getItem('telopDisplayMode');
+    if (DISPLAY_MODE_LABELS[savedTelopDisplayMode]) {
+        telopDisplayMode = savedTelopDisplayMode;
+    }
 
     // 保存された設定を読み込む
     const savedShortcut = localStorage.getItem('autoplayShortcut');
@@ -4343,6 +6994,20 @@ const setupKeyboardShortcuts = () => {
         playEewSound = true; // 保存された設定がなければデフォルトで有効
     }
 
+    // 保存されたEEWの種別ごとの通知設定を読み込む
+    const savedEewClassSettings = localStorage.getItem('eewClassSettings');
+    if (savedEewClassSettings) {
+        try {
+            const parsed = JSON.parse(savedEewClassSettings);
+            eewClassSettings = {
+                warning: { ...eewClassSettings.warning, ...parsed.warning },
+                forecast: { ...eewClassSettings.forecast, ...parsed.forecast }
+            };
+        } catch (e) {
+            console.error('EEWの種別ごとの通知設定の読み込みに失敗:', e);
+        }
+    }
+
     window.addEventListener('keydown', (event) => {
         // テキスト入力中などはショートカットを無効にする
         if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') {
@@ -4366,6 +7031,385 @@ const setupKeyboardShortcuts = () => {
     });
 };
 
+// --- 配色設定 ---
+
+// 配色を設定できる項目（キーは style.css のクラス名・CSS変数名に対応）
+const COLOR_SCHEME_ITEMS = [
+    { key: 'shindo-1', label: '震度1' },
+    { key: 'shindo-2', label: '震度2' },
+    { key: 'shindo-3', label: '震度3' },
+    { key: 'shindo-4', label: '震度4' },
+    { key: 'shindo-5-minus', label: '震度5弱' },
+    { key: 'shindo-5-plus', label: '震度5強' },
+    { key: 'shindo-6-minus', label: '震度6弱' },
+    { key: 'shindo-6-plus', label: '震度6強' },
+    { key: 'shindo-7', label: '震度7' },
+    { key: 'tsunami-advisory', label: '津波注意報' },
+    { key: 'tsunami-warning-detailed', label: '津波警報' },
+    { key: 'tsunami-major-warning', label: '大津波警報' }
+];
+
+// 配色のプリセット
+const COLOR_SCHEME_PRESETS = {
+    // これまで style.css に固定で定義していた配色
+    station: {
+        label: '局の配色',
+        colors: {
+            'shindo-1': { bg: '#c2e7ff', fg: '#000000' },
+            'shindo-2': { bg: '#009fdd', fg: '#ffffff' },
+            'shindo-3': { bg: '#2563eb', fg: '#ffffff' },
+            'shindo-4': { bg: '#e4d907', fg: '#000000' },
+            'shindo-5-minus': { bg: '#faa615', fg: '#000000' },
+            'shindo-5-plus': { bg: '#e36105', fg: '#ffffff' },
+            'shindo-6-minus': { bg: '#ef4444', fg: '#ffffff' },
+            'shindo-6-plus': { bg: '#cd1616', fg: '#ffffff' },
+            'shindo-7': { bg: '#6a0dad', fg: '#ffffff' },
+            'tsunami-advisory': { bg: '#eab308', fg: '#000000' },
+            'tsunami-warning-detailed': { bg: '#dc2626', fg: '#ffffff' },
+            'tsunami-major-warning': { bg: '#6a0dad', fg: '#ffffff' }
+        }
+    },
+    // 気象庁が震度分布図・津波警報等の図で使用している配色
+    jma: {
+        label: '気象庁標準',
+        colors: {
+            'shindo-1': { bg: '#f2f2ff', fg: '#000000' },
+            'shindo-2': { bg: '#00aaff', fg: '#000000' },
+            'shindo-3': { bg: '#0041ff', fg: '#ffffff' },
+            'shindo-4': { bg: '#fae696', fg: '#000000' },
+            'shindo-5-minus': { bg: '#ffe600', fg: '#000000' },
+            'shindo-5-plus': { bg: '#ff9900', fg: '#000000' },
+            'shindo-6-minus': { bg: '#ff2800', fg: '#ffffff' },
+            'shindo-6-plus': { bg: '#a50021', fg: '#ffffff' },
+            'shindo-7': { bg: '#b40068', fg: '#ffffff' },
+            'tsunami-advisory': { bg: '#faf500', fg: '#000000' },
+            'tsunami-warning-detailed': { bg: '#ff2800', fg: '#ffffff' },
+            'tsunami-major-warning': { bg: '#c800ff', fg: '#ffffff' }
+        }
+    },
+    // カラーユニバーサルデザイン推奨配色セットを基に、明るさの差で震度の大小が分かるようにした配色
+    colorblind: {
+        label: '色覚の多様性に配慮',
+        colors: {
+            'shindo-1': { bg: '#bfe4ff', fg: '#000000' },
+            'shindo-2': { bg: '#4dc4ff', fg: '#000000' },
+            'shindo-3': { bg: '#005aff', fg: '#ffffff' },
+            'shindo-4': { bg: '#fff100', fg: '#000000' },
+            'shindo-5-minus': { bg: '#f6aa00', fg: '#000000' },
+            'shindo-5-plus': { bg: '#ff4b00', fg: '#ffffff' },
+            'shindo-6-minus': { bg: '#804000', fg: '#ffffff' },
+            'shindo-6-plus': { bg: '#990099', fg: '#ffffff' },
+            'shindo-7': { bg: '#000000', fg: '#ffffff' },
+            'tsunami-advisory': { bg: '#fff100', fg: '#000000' },
+            'tsunami-warning-detailed': { bg: '#ff4b00', fg: '#ffffff' },
+            'tsunami-major-warning': { bg: '#990099', fg: '#ffffff' }
+        }
+    }
+};
+
+const DEFAULT_COLOR_PRESET = 'station';
+
+/**
+ * プリセットの配色を複製する
+ * @param {string} presetKey - プリセットのキー
+ * @returns {object} 配色 { preset, colors }
+ */
+const createColorSchemeFromPreset = (presetKey) => {
+    const preset = COLOR_SCHEME_PRESETS[presetKey] || COLOR_SCHEME_PRESETS[DEFAULT_COLOR_PRESET];
+    return { preset: presetKey in COLOR_SCHEME_PRESETS ? presetKey : DEFAULT_COLOR_PRESET, colors: JSON.parse(JSON.stringify(preset.colors)) };
+};
+
+/**
+ * 保存された配色をローカルストレージから読み込む
+ * 項目が足りない場合（項目の追加前に保存した配色など）は、既定のプリセットの色で補う
+ * @returns {object} 配色 { preset, colors }
+ */
+const loadColorScheme = () => {
+    const scheme = createColorSchemeFromPreset(DEFAULT_COLOR_PRESET);
+    try {
+        const saved = JSON.parse(localStorage.getItem('colorScheme'));
+        if (!saved || typeof saved.colors !== 'object') return scheme;
+
+        scheme.preset = saved.preset || 'custom';
+        COLOR_SCHEME_ITEMS.forEach(({ key }) => {
+            const color = saved.colors[key];
+            if (color?.bg && color?.fg) scheme.colors[key] = { bg: color.bg, fg: color.fg };
+        });
+    } catch (error) {
+        console.error('保存された配色を読み込めませんでした:', error);
+    }
+    return scheme;
+};
+
+/**
+ * 配色を画面（地震一覧・詳細パネル・情報表示バー）とオーバーレイに反映する
+ * @param {object} colors - 種別ごとの色 { 'shindo-1': { bg, fg }, ... }
+ */
+const applyColorScheme = (colors) => {
+    applyColorSchemeVariables(colors);
+    publishTelopFrame({ type: 'colors', colors });
+};
+
+/**
+ * 設定モーダルの配色の選択肢（プリセットと、項目ごとのカラーピッカー）を描画する
+ * @param {object} draftScheme - 編集中の配色 { preset, colors }
+ */
+const renderColorSchemeControls = (draftScheme) => {
+    const presetSelect = document.getElementById('color-preset-select');
+    const listContainer = document.getElementById('color-scheme-list');
+
+    const presetOptions = Object.entries(COLOR_SCHEME_PRESETS).map(([key, preset]) => `<option value="${key}">${preset.label}</option>`);
+    if (draftScheme.preset === 'custom') presetOptions.push('<option value="custom">カスタム</option>');
+    presetSelect.innerHTML = presetOptions.join('');
+    presetSelect.value = draftScheme.preset;
+
+    listContainer.innerHTML = COLOR_SCHEME_ITEMS.map(({ key, label }) => `
+        <div class="flex items-center justify-between">
+            <span class="shindo-badge text-sm ${key}">${label}</span>
+            <div class="flex items-center space-x-3 text-xs text-gray-400">
+                <label class="flex items-center space-x-1">
+                    <span>背景</span>
+                    <input type="color" class="color-scheme-input" data-color-key="${key}" data-color-part="bg" value="${draftScheme.colors[key].bg}">
+                </label>
+                <label class="flex items-center space-x-1">
+                    <span>文字</span>
+                    <input type="color" class="color-scheme-input" data-color-key="${key}" data-color-part="fg" value="${draftScheme.colors[key].fg}">
+                </label>
+            </div>
+        </div>
+    `).join('');
+};
+
+// --- テロップのテーマ ---
+
+// 組み込みのテーマ（情報表示バーのコンテンツ表示エリアの見た目）
+// フォント・文字の大きさ(px)・縁取り・バッジの形・帯の背景・レイアウト（バッジの位置、1行/2行表示）をまとめて定義する
+const TELOP_THEME_PRESETS = {
+    // これまでの情報表示バーの見た目
+    standard: {
+        name: '標準',
+        fontFamily: "'Inter', sans-serif",
+        fontSize: 36,
+        fontWeight: 700,
+        textColor: '#ffffff',
+        outline: 'edge',
+        outlineColor: '#000000',
+        badgeShape: 'pill',
+        badgeFontSize: 30,
+        barBackground: 'transparent',
+        badgePosition: 'left',
+        lines: 2
+    },
+    // ニュース番組の帯テロップ風。背景付きの帯に角形のバッジを載せる
+    news: {
+        name: 'ニュース帯',
+        fontFamily: "'BIZ UDPGothic', sans-serif",
+        fontSize: 34,
+        fontWeight: 700,
+        textColor: '#ffffff',
+        outline: 'shadow',
+        outlineColor: 'rgba(0, 0, 0, 0.8)',
+        badgeShape: 'rect',
+        badgeFontSize: 28,
+        barBackground: 'rgba(12, 35, 84, 0.9)',
+        badgePosition: 'left',
+        lines: 2
+    },
+    // 画面を覆う範囲を抑えた1行表示。ページ数は増える
+    compact: {
+        name: '1行表示',
+        fontFamily: "'BIZ UDPGothic', sans-serif",
+        fontSize: 40,
+        fontWeight: 700,
+        textColor: '#ffffff',
+        outline: 'edge',
+        outlineColor: '#000000',
+        badgeShape: 'rounded',
+        badgeFontSize: 30,
+        barBackground: 'transparent',
+        badgePosition: 'right',
+        lines: 1
+    }
+};
+
+const DEFAULT_TELOP_THEME = 'standard';
+
+// テーマの各項目で使える値
+const TELOP_THEME_LIMITS = {
+    fontSize: { min: 16, max: 48 }, // 2行表示で情報表示バーに収まる大きさまで
+    badgeFontSize: { min: 12, max: 40 },
+    fontWeight: { min: 100, max: 900 },
+    outline: ['edge', 'shadow', 'none'],
+    badgeShape: ['pill', 'rounded', 'rect'],
+    badgePosition: ['left', 'right'],
+    lines: [1, 2]
+};
+
+/**
+ * テーマの内容を検証し、足りない項目を「標準」テーマの値で補う
+ * @param {object} theme - 検証するテーマ（読み込んだJSONなど）
+ * @returns {object} 検証済みのテーマ
+ * @throws {Error} 項目の値が正しくない場合
+ */
+const normalizeTelopTheme = (theme) => {
+    if (typeof theme !== 'object' || theme === null || Array.isArray(theme)) {
+        throw new Error('テーマはオブジェクトで指定してください。');
+    }
+    if (typeof theme.name !== 'string' || !theme.name.trim()) {
+        throw new Error('テーマ名 (name) がありません。');
+    }
+
+    const normalized = { ...TELOP_THEME_PRESETS[DEFAULT_TELOP_THEME], id: theme.id, name: theme.name.trim() };
+    ['fontFamily', 'textColor', 'outlineColor', 'barBackground'].forEach(key => {
+        if (theme[key] === undefined) return;
+        if (typeof theme[key] !== 'string' || !theme[key].trim()) throw new Error(`${key} は文字列で指定してください。`);
+        normalized[key] = theme[key].trim();
+    });
+    ['fontSize', 'badgeFontSize', 'fontWeight'].forEach(key => {
+        if (theme[key] === undefined) return;
+        const { min, max } = TELOP_THEME_LIMITS[key];
+        if (typeof theme[key] !== 'number' || theme[key] < min || theme[key] > max) {
+            throw new Error(`${key} は ${min} から ${max} の数値で指定してください。`);
+        }
+        normalized[key] = theme[key];
+    });
+    ['outline', 'badgeShape', 'badgePosition', 'lines'].forEach(key => {
+        if (theme[key] === undefined) return;
+        if (!TELOP_THEME_LIMITS[key].includes(theme[key])) {
+            throw new Error(`${key} は ${TELOP_THEME_LIMITS[key].join(' / ')} のいずれかで指定してください。`);
+        }
+        normalized[key] = theme[key];
+    });
+    return normalized;
+};
+
+/**
+ * 選択できる全てのテーマ（組み込み + 読み込んだテーマ）を取得する
+ * @returns {Array} テーマの配列
+ */
+const getTelopThemes = () => [
+    ...Object.entries(TELOP_THEME_PRESETS).map(([id, theme]) => ({ ...theme, id })),
+    ...customTelopThemes
+];
+
+/**
+ * IDからテーマを探す（見つからない場合は「標準」テーマ）
+ * @param {string} themeId - テーマのID
+ * @returns {object} テーマ
+ */
+const findTelopTheme = (themeId) => {
+    const themes = getTelopThemes();
+    return themes.find(theme => theme.id === themeId) || themes.find(theme => theme.id === DEFAULT_TELOP_THEME);
+};
+
+/**
+ * 読み込んだテーマと、選択中のテーマをローカルストレージから読み込む
+ */
+const loadTelopThemes = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem('telopThemes'));
+        if (Array.isArray(saved)) {
+            customTelopThemes = saved.flatMap(theme => {
+                try {
+                    return [normalizeTelopTheme(theme)];
+                } catch (error) {
+                    console.warn('保存されたテロップのテーマを読み込めませんでした:', theme?.name, error.message);
+                    return [];
+                }
+            });
+        }
+    } catch (error) {
+        console.error('保存されたテロップのテーマを読み込めませんでした:', error);
+    }
+    activeTelopTheme = findTelopTheme(localStorage.getItem('telopThemeId'));
+};
+
+/**
+ * テーマを情報表示バーとオーバーレイに反映する
+ * ページ分割は反映後のテーマで測り直す必要があるため、呼び出し元で固定バーのビューを作り直すこと
+ * @param {object} theme - テーマ
+ */
+const applyActiveTelopTheme = (theme) => {
+    activeTelopTheme = theme;
+    applyTelopTheme(theme, document.getElementById('content-wrapper'));
+    publishTelopFrame({ type: 'theme', theme });
+};
+
+/**
+ * テーマをJSONファイルとしてエクスポートする
+ * @param {object} theme - エクスポートするテーマ
+ */
+const exportTelopThemeToFile = (theme) => {
+    const dataStr = JSON.stringify(theme, null, 2); // 読みやすいように整形
+    const blob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `telop_theme_${theme.id}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    console.log(`テロップのテーマ「${theme.name}」をエクスポートしました。`);
+};
+
+/**
+ * JSONファイルからテーマをインポートする
+ * 同じIDの読み込み済みテーマは上書きし、組み込みのテーマと同じID・IDなしの場合は新しいIDを付ける
+ * @param {File} file - インポートするファイルオブジェクト
+ * @param {Function} onImported - インポートしたテーマを受け取るコールバック
+ */
+const importTelopThemeFromFile = (file, onImported) => {
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        try {
+            const theme = normalizeTelopTheme(JSON.parse(event.target.result));
+            if (typeof theme.id !== 'string' || !theme.id || theme.id in TELOP_THEME_PRESETS) {
+                theme.id = `custom-${Date.now()}`;
+            }
+            customTelopThemes = [...customTelopThemes.filter(saved => saved.id !== theme.id), theme];
+            localStorage.setItem('telopThemes', JSON.stringify(customTelopThemes));
+            console.log(`テロップのテーマ「${theme.name}」をインポートしました。`);
+            onImported(theme);
+        } catch (e) {
+            console.error('テロップのテーマのインポートに失敗しました:', e);
+            alert(`テロップのテーマのインポートに失敗しました。\nエラー: ${e.message}`);
+        }
+    };
+    reader.onerror = () => {
+        console.error('ファイルの読み込み中にエラーが発生しました。');
+        alert('ファイルの読み込み中にエラーが発生しました。');
+    };
+    reader.readAsText(file);
+};
+
+/**
+ * 読み込んだテーマを削除する（組み込みのテーマは削除できない）
+ * @param {string} themeId - 削除するテーマのID
+ */
+const deleteTelopTheme = (themeId) => {
+    customTelopThemes = customTelopThemes.filter(theme => theme.id !== themeId);
+    localStorage.setItem('telopThemes', JSON.stringify(customTelopThemes));
+};
+
+/**
+ * 設定モーダルのテーマの選択肢を描画する
+ * @param {string} selectedId - 選択状態にするテーマのID
+ */
+const renderTelopThemeControls = (selectedId) => {
+    const themeSelect = document.getElementById('telop-theme-select');
+    // テーマ名は読み込んだファイル由来のため、textContent で設定する
+    themeSelect.innerHTML = '';
+    getTelopThemes().forEach(theme => {
+        const option = document.createElement('option');
+        option.value = theme.id;
+        option.textContent = theme.id in TELOP_THEME_PRESETS ? theme.name : `${theme.name}（読み込み）`;
+        themeSelect.appendChild(option);
+    });
+    themeSelect.value = findTelopTheme(selectedId).id;
+    document.getElementById('telop-theme-delete-button').disabled = themeSelect.value in TELOP_THEME_PRESETS;
+};
+
 /**
  * ショートカット設定モーダルのセットアップ
  */
@@ -4377,26 +7421,138 @@ const setupShortcutModal = () => {
     const input = document.getElementById('shortcut-modal-input');
     const saveButton = document.getElementById('shortcut-modal-save');
     const minScaleSelect = document.getElementById('loop-min-shindo-select');
+    const telopDisplayModeSelect = document.getElementById('telop-display-mode-select');
+    const pageDurationModeSelect = document.getElementById('page-duration-mode-select');
+    const pageDurationInputs = {
+        summary: document.getElementById('page-duration-summary'),
+        tsunami: document.getElementById('page-duration-tsunami'),
+        intensity: document.getElementById('page-duration-intensity'),
+        charsPerSecond: document.getElementById('page-duration-chars-per-second'),
+        minSeconds: document.getElementById('page-duration-min'),
+        maxSeconds: document.getElementById('page-duration-max')
+    };
+    // 表示時間の決め方に応じて、関係する入力欄だけを表示する
+    const updatePageDurationInputs = () => {
+        document.getElementById('page-duration-type-settings').classList.toggle('hidden', pageDurationModeSelect.value !== 'type');
+        document.getElementById('page-duration-reading-settings').classList.toggle('hidden', pageDurationModeSelect.value !== 'reading');
+    };
+    const transitionDurationInput = document.getElementById('transition-duration-input');
+    const transitionEasingSelect = document.getElementById('transition-easing-select');
+    const interruptMinScaleSelect = document.getElementById('interrupt-min-scale-select');
+    const interruptTsunamiGradeSelect = document.getElementById('interrupt-tsunami-grade-select');
+    const interruptEewWarningToggle = document.getElementById('interrupt-eew-warning-toggle');
     const listMinScaleSelect = document.getElementById('list-min-shindo-select');
+    const foreignMinMagnitudeSelect = document.getElementById('list-min-foreign-magnitude-select');
+    const historyRetentionSelect = document.getElementById('history-retention-select');
+    const colorPresetSelect = document.getElementById('color-preset-select');
+    const colorSchemeList = document.getElementById('color-scheme-list');
+    const telopThemeSelect = document.getElementById('telop-theme-select');
+    const telopThemeExportButton = document.getElementById('telop-theme-export-button');
+    const telopThemeImportButton = document.getElementById('telop-theme-import-button');
+    const telopThemeImportInput = document.getElementById('telop-theme-import-input');
+    const telopThemeDeleteButton = document.getElementById('telop-theme-delete-button');
     const eewSoundToggle = document.getElementById('eew-sound-toggle');
+    let draftColorScheme = null; // モーダルで編集中の配色（保存するまで colorScheme には反映しない）
+    const eewClassToggles = {
+        warning: {
+            alert: document.getElementById('eew-warning-alert-toggle'),
+            sound: document.getElementById('eew-warning-sound-toggle'),
+            telop: document.getElementById('eew-warning-telop-toggle')
+        },
+        forecast: {
+            alert: document.getElementById('eew-forecast-alert-toggle'),
+            sound: document.getElementById('eew-forecast-sound-toggle'),
+            telop: document.getElementById('eew-forecast-telop-toggle')
+        }
+    };
 
     openButton.addEventListener('click', () => {
         modal.classList.remove('hidden');
         // 現在の設定値をUIに反映
         input.value = formatShortcutText(shortcutSetting);
         listMinScaleSelect.value = CONFIG.MIN_LIST_SCALE;
+        foreignMinMagnitudeSelect.value = CONFIG.MIN_FOREIGN_MAGNITUDE;
+        historyRetentionSelect.value = CONFIG.HISTORY_RETENTION_DAYS;
         eewSoundToggle.checked = playEewSound;
+        Object.keys(eewClassToggles).forEach(eewClass => {
+            eewClassToggles[eewClass].alert.checked = eewClassSettings[eewClass].alert;
+            eewClassToggles[eewClass].sound.checked = eewClassSettings[eewClass].sound;
+            eewClassToggles[eewClass].telop.checked = eewClassSettings[eewClass].telop;
+        });
         minScaleSelect.value = loopPlaybackMinScale;
+        telopDisplayModeSelect.value = telopDisplayMode;
+        pageDurationModeSelect.value = pageDurationSetting.mode;
+        Object.entries(pageDurationInputs).forEach(([key, durationInput]) => {
+            durationInput.value = pageDurationSetting[key];
+        });
+        updatePageDurationInputs();
+        transitionDurationInput.value = telopTransitionSetting.duration;
+        transitionEasingSelect.value = telopTransitionSetting.easing;
+        interruptMinScaleSelect.value = interruptPolicy.minScale;
+        interruptTsunamiGradeSelect.value = interruptPolicy.tsunamiGrade;
+        interruptEewWarningToggle.checked = interruptPolicy.eewWarning;
+        draftColorScheme = JSON.parse(JSON.stringify(colorScheme));
+        renderColorSchemeControls(draftColorScheme);
+        renderTelopThemeControls(activeTelopTheme.id);
         input.focus();
     });
 
-    const closeModal = () => modal.classList.add('hidden');
+    // 保存せずに閉じた場合は、編集中の配色を破棄して保存済みの配色に戻す
+    const closeModal = () => {
+        modal.classList.add('hidden');
+        applyColorScheme(colorScheme.colors);
+    };
     closeButton.addEventListener('click', closeModal);
     closeXButton.addEventListener('click', closeModal);
     modal.addEventListener('click', (e) => {
         if (e.target === modal) closeModal();
     });
 
+    // 配色は編集中もすぐに画面へ反映する
+    colorPresetSelect.addEventListener('change', () => {
+        if (colorPresetSelect.value === 'custom') return;
+        draftColorScheme = createColorSchemeFromPreset(colorPresetSelect.value);
+        renderColorSchemeControls(draftColorScheme);
+        applyColorScheme(draftColorScheme.colors);
+    });
+    colorSchemeList.addEventListener('input', (e) => {
+        const { colorKey, colorPart } = e.target.dataset;
+        if (!colorKey || !colorPart) return;
+        draftColorScheme.colors[colorKey][colorPart] = e.target.value;
+        if (draftColorScheme.preset !== 'custom') {
+            // プリセットから変更した場合は「カスタム」に切り替える
+            draftColorScheme.preset = 'custom';
+            colorPresetSelect.insertAdjacentHTML('beforeend', '<option value="custom">カスタム</option>');
+            colorPresetSelect.value = 'custom';
+        }
+        applyColorScheme(draftColorScheme.colors);
+    });
+
+    pageDurationModeSelect.addEventListener('change', updatePageDurationInputs);
+
+    // テロップのテーマは保存時に反映する（ページ分割を新しいテーマで作り直すため）
+    telopThemeSelect.addEventListener('change', () => {
+        telopThemeDeleteButton.disabled = telopThemeSelect.value in TELOP_THEME_PRESETS;
+    });
+    telopThemeExportButton.addEventListener('click', () => {
+        exportTelopThemeToFile(findTelopTheme(telopThemeSelect.value));
+    });
+    telopThemeImportButton.addEventListener('click', () => {
+        telopThemeImportInput.click(); // 隠されたファイル入力要素をクリック
+    });
+    telopThemeImportInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (file) {
+            importTelopThemeFromFile(file, (theme) => renderTelopThemeControls(theme.id));
+        }
+        // ファイル選択ダイアログを再度開けるように、選択をクリア
+        event.target.value = '';
+    });
+    telopThemeDeleteButton.addEventListener('click', () => {
+        deleteTelopTheme(telopThemeSelect.value);
+        renderTelopThemeControls(DEFAULT_TELOP_THEME);
+    });
+
     input.addEventListener('keydown', (e) => {
         e.preventDefault();
         // 修飾キーのみの登録は許可しない
@@ -4416,12 +7572,56 @@ const setupShortcutModal = () => {
         localStorage.setItem('autoplayShortcut', JSON.stringify(shortcutSetting));
         loopPlaybackMinScale = parseInt(minScaleSelect.value, 10);
         localStorage.setItem('loopPlaybackMinScale', loopPlaybackMinScale);
+        telopDisplayMode = telopDisplayModeSelect.value;
+        localStorage.setItem('telopDisplayMode', telopDisplayMode);
+        pageDurationSetting.mode = pageDurationModeSelect.value;
+        Object.entries(pageDurationInputs).forEach(([key, durationInput]) => {
+            const value = parseFloat(durationInput.value);
+            if (value > 0) pageDurationSetting[key] = value; // 空欄・0以下の場合は元の値のまま
+        });
+        if (pageDurationSetting.minSeconds > pageDurationSetting.maxSeconds) {
+            pageDurationSetting.maxSeconds = pageDurationSetting.minSeconds;
+        }
+        localStorage.setItem('pageDurationSetting', JSON.stringify(pageDurationSetting));
+        const transitionDuration = parseInt(transitionDurationInput.value, 10);
+        if (transitionDuration > 0) telopTransitionSetting.duration = Math.min(transitionDuration, TELOP_TRANSITION_MAX_DURATION); // 空欄・0以下の場合は元の値のまま
+        telopTransitionSetting.easing = transitionEasingSelect.value;
+        localStorage.setItem('telopTransitionSetting', JSON.stringify(telopTransitionSetting));
+        interruptPolicy = {
+            minScale: parseInt(interruptMinScaleSelect.value, 10),
+            tsunamiGrade: interruptTsunamiGradeSelect.value,
+            eewWarning: interruptEewWarningToggle.checked
+        };
+        localStorage.setItem('interruptPolicy', JSON.stringify(interruptPolicy));
         CONFIG.MIN_LIST_SCALE = parseInt(listMinScaleSelect.value, 10);
         localStorage.setItem('listMinScale', CONFIG.MIN_LIST_SCALE);
+        CONFIG.MIN_FOREIGN_MAGNITUDE = parseFloat(foreignMinMagnitudeSelect.value);
+        localStorage.setItem('listMinForeignMagnitude', CONFIG.MIN_FOREIGN_MAGNITUDE);
+        CONFIG.HISTORY_RETENTION_DAYS = parseInt(historyRetentionSelect.value, 10);
+        localStorage.setItem('historyRetentionDays', CONFIG.HISTORY_RETENTION_DAYS);
         playEewSound = eewSoundToggle.checked;
         localStorage.setItem('playEewSound', playEewSound);
+        Object.keys(eewClassToggles).forEach(eewClass => {
+            eewClassSettings[eewClass] = {
+                alert: eewClassToggles[eewClass].alert.checked,
+                sound: eewClassToggles[eewClass].sound.checked,
+                telop: eewClassToggles[eewClass].telop.checked
+            };
+        });
+        localStorage.setItem('eewClassSettings', JSON.stringify(eewClassSettings));
+        colorScheme = draftColorScheme;
+        localStorage.setItem('colorScheme', JSON.stringify(colorScheme));
+        const selectedTelopTheme = findTelopTheme(telopThemeSelect.value);
+        localStorage.setItem('telopThemeId', selectedTelopTheme.id);
+        applyActiveTelopTheme(selectedTelopTheme);
 
         // 現在選択されている地震の表示を新しい設定で更新する
+        if (FIXED_BAR_MODE === 'eew') {
+            // EEWテロップのページ分割を新しいテーマで作り直す
+            updateFixedEewBar();
+        } else if (FIXED_BAR_MODE === 'tsunami') {
+            updateFixedTsunamiBar();
+        }
         if (selectedCardId) {
             const eventId = selectedCardId.substring(5); // "card-"を削除
             const eqData = PROCESSED_EARTHQUAKES.find(eq => eq.id === eventId);
@@ -4482,6 +7682,22 @@ const setupAutoplayControls = () => {
     loopsSelect.appendChild(infiniteOption);
     loopsSelect.value = '3'; // デフォルトを3回に変更
 
+    // ページの切り替え効果の選択肢は、telop.js の TELOP_TRANSITIONS から作る
+    const transitionSelect = document.getElementById('transition-effect');
+    Object.entries(TELOP_TRANSITIONS).forEach(([effect, definition]) => {
+        const option = document.createElement('option');
+        option.value = effect;
+        option.textContent = definition.label;
+        transitionSelect.appendChild(option);
+    });
+    transitionSelect.value = 'cut';
+
+    // 横流しの速さは、横流しを選んだときだけ表示する
+    const playbackModeSelect = document.getElementById('playback-mode');
+    playbackModeSelect.addEventListener('change', () => {
+        document.getElementById('ticker-speed-controls').classList.toggle('hidden', playbackModeSelect.value !== 'ticker');
+    });
+
     toggleButton.addEventListener('click', () => {
         if (isAutoplaying) {
             pauseAutoplay(true); // 動作を「停止してリセット」に変更
@@ -4491,25 +7707,24 @@ const setupAutoplayControls = () => {
     });
 };
 
-const startAutoplay = async () => {
+/**
+ * 情報表示バーのループ再生を開始する
+ * APIの定期取得・WebSocketの受信は再生中も続け、割り込み放送の条件を判定する
+ * @param {string|null} [breakInHeadline=null] - 割り込み放送の場合、開始ページの代わりに表示する速報の本文
+ */
+const startAutoplay = async (breakInHeadline = null) => {
     if (isAutoplaying || FIXED_BAR_VIEWS.length <= 1) return;
 
-    // APIの自動更新を一時停止
-    if (refreshIntervalId) {
-        clearInterval(refreshIntervalId);
-        refreshIntervalId = null;
-        console.log('ループ再生開始のため、API自動更新を一時停止します。');
-    }
-
     const durationInput = document.getElementById('autoplay-duration');
     const loopsSelect = document.getElementById('autoplay-loops');
+    const playbackModeSelect = document.getElementById('playback-mode');
+    const tickerSpeedInput = document.getElementById('ticker-speed');
     const playIcon = document.getElementById('play-icon');
     const pauseIcon = document.getElementById('pause-icon');
-    const toggleSwitch = document.getElementById('toggle-mode');
+    const displayModeSelect = document.getElementById('display-mode-select');
     const refreshButton = document.getElementById('refresh-button');
     const earthquakeList = document.getElementById('earthquake-list');
     const dummyDataButton = document.getElementById('toggle-dummy-data-button');
-    const toggleLabel = toggleSwitch.closest('label');
     const duration = (parseInt(durationInput.value, 10) || 10) * 1000;
     const totalLoops = loopsSelect.value === 'Infinity' ? Infinity : parseInt(loopsSelect.value, 10);
 
@@ -4518,17 +7733,18 @@ const startAutoplay = async () => {
     autoplayLoopCounter = 0;
     CURRENT_SHINDO_INDEX = 0; // 常に最初のページから開始
     // コントロールをロック
-    toggleSwitch.disabled = true;
+    displayModeSelect.disabled = true;
     refreshButton.disabled = true;
-    toggleLabel.classList.add('opacity-50', 'cursor-not-allowed');
+    displayModeSelect.classList.add('opacity-50', 'cursor-not-allowed');
     // earthquakeList.classList.add('opacity-50', 'pointer-events-none'); // この行を削除
     refreshButton.classList.add('opacity-50', 'cursor-not-allowed');
     dummyDataButton.disabled = true;
     dummyDataButton.classList.add('opacity-50', 'cursor-not-allowed');
 
-    // 選択されていないカードをグレーアウトし、クリックを無効化
+    // 選択されていないカード（プレイリスト再生時はプレイリストにないカード）をグレーアウトし、クリックを無効化
+    const onAirCardIds = playlistOnAirRanges.length > 0 ? playlistOnAirRanges.map(range => `card-${range.eq.id}`) : [selectedCardId];
     document.querySelectorAll('.earthquake-card').forEach(card => {
-        if (card.id !== selectedCardId) {
+        if (!onAirCardIds.includes(card.id)) {
             card.classList.add('grayed-out-card');
         }
     });
@@ -4537,28 +7753,44 @@ const startAutoplay = async () => {
     earthquakeList.classList.add('pointer-events-none');
 
     // ON AIRバッジを表示 (グレーアウト処理の後に実行)
-    if (selectedCardId) {
+    if (playlistOnAirRanges.length > 0) {
+        updatePlaylistOnAir();
+    } else if (selectedCardId) {
         document.getElementById(`on-air-${selectedCardId.substring(5)}`)?.classList.remove('hidden');
     }
 
     playIcon.classList.add('hidden');
     pauseIcon.classList.remove('hidden');
 
-    // 1. 開始ページ「地震情報」を表示
-    const startView = {
-        type: 'system', shindo: '情報', line1: '地震情報', line2: '',
+    // 1. 開始ページ「地震情報」（EEWテロップ時は「緊急地震速報」、津波情報テロップ時は「津波情報」）を表示
+    const isForeignOnly = playlistOnAirRanges.length > 0 ? playlistOnAirRanges.every(range => range.eq.isForeign) : fixedBarEarthquake?.isForeign;
+    const bookendTitle = { eew: '緊急地震速報', tsunami: '津波情報' }[FIXED_BAR_MODE] || (isForeignOnly ? '遠地地震情報' : '地震情報');
+    // 割り込み放送の場合は、開始ページの代わりに「速報」のページを表示する
+    const startView = breakInHeadline ? {
+        type: 'summary', shindo: '速報', line1: breakInHeadline, line2: '',
+        shindoClass: 'bg-red-600 text-white', pageCurrent: '速報', pageTotal: ''
+    } : {
+        type: 'system', shindo: '情報', line1: bookendTitle, line2: '',
         shindoClass: 'bg-blue-600 text-white', pageCurrent: '▶', pageTotal: ''
     };
     updateFixedBarDisplay(startView);
 
+    // 横流しの場合は、開始ページの表示後に全ページをつなげて流す
+    if (playbackModeSelect.value === 'ticker') {
+        const speed = Math.max(parseInt(tickerSpeedInput.value, 10) || 200, 20);
+        tickerPassTimerId = setTimeout(() => playTickerPass(speed, totalLoops, bookendTitle, duration), duration);
+        return;
+    }
+
     // 2. 最初の情報ページへの遷移を待つ
     // await new Promise(resolve => setTimeout(resolve, duration));
     // if (!isAutoplaying) return; // 待機中に停止された場合
 
     // 3. メインのページ送りを開始
-    // インデックスを-1にリセットし、最初のインターバルで0になるようにする
+    // インデックスを-1にリセットし、最初のページ送りで0になるようにする
+    // ページごとに表示時間が異なるため、ページを表示するたびに次のページ送りを予約する
     CURRENT_SHINDO_INDEX = -1; 
-    autoplayIntervalId = setInterval(() => {
+    const showNextPage = () => {
         if (!isAutoplaying) return;
 
         // ページを進める
@@ -4569,25 +7801,8 @@ const startAutoplay = async () => {
             autoplayLoopCounter++;
             if (totalLoops !== Infinity && autoplayLoopCounter >= totalLoops) {
                 // ループ終了処理
-                clearInterval(autoplayIntervalId);
-                autoplayIntervalId = null;
-
-                // 終了ページを表示
-                const endView = {
-                    type: 'system', shindo: '情報', line1: '地震情報　終', line2: '',
-                    shindoClass: 'bg-blue-600 text-white', pageCurrent: '■', pageTotal: ''
-                };
-                updateFixedBarDisplay(endView);
-
-                // 終了画面表示後、待機中のメッセージを表示
-                document.getElementById('shindo-page-info').textContent = '地震 待機中';
-
-                // 指定秒数後に表示をクリアする
-                setTimeout(() => {
-                    document.getElementById('content-line-1').textContent = '';
-                    document.getElementById('current-shindo-label').classList.add('hidden');
-                    pauseAutoplay(true); // 完全に停止状態に戻す
-                }, duration);
+                autoplayTimerId = null;
+                finishAutoplay(bookendTitle, duration);
                 return;
             }
             // 次のループの開始に戻る
@@ -4596,6 +7811,130 @@ const startAutoplay = async () => {
 
         // ページを表示
         updateFixedBarDisplay(null, 'next');
+        autoplayTimerId = setTimeout(showNextPage, getPageDuration(FIXED_BAR_VIEWS[CURRENT_SHINDO_INDEX], duration));
+    };
+    // 開始ページは秒数入力欄の時間だけ表示する
+    autoplayTimerId = setTimeout(showNextPage, duration);
+};
+
+/**
+ * ループ再生で、ページを表示する時間を求める
+ * 開始・終了ページ（システムメッセージ）は、設定に関わらず秒数入力欄の時間で表示する
+ * @param {object} view - 表示するビュー
+ * @param {number} defaultDuration - 秒数入力欄の表示時間（ミリ秒）
+ * @returns {number} 表示時間（ミリ秒）
+ */
+const getPageDuration = (view, defaultDuration) => {
+    if (!view || view.type === 'system') return defaultDuration;
+
+    if (pageDurationSetting.mode === 'type') {
+        return pageDurationSetting[view.category || 'summary'] * 1000;
+    }
+    if (pageDurationSetting.mode === 'reading') {
+        // タグと区切りの空白を除いた文字数を、読み上げ速度で割る
+        const charCount = view.line1.replace(/<[^>]*>/g, '').replace(/\s/g, '').length;
+        const seconds = charCount / pageDurationSetting.charsPerSecond;
+        return Math.min(Math.max(seconds, pageDurationSetting.minSeconds), pageDurationSetting.maxSeconds) * 1000;
+    }
+    return defaultDuration;
+};
+
+/**
+ * 保存されたループ再生の表示時間の設定を読み込む
+ * 項目が足りない・正しくない場合は初期値のままにする
+ */
+const loadPageDurationSetting = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem('pageDurationSetting'));
+        if (!saved || typeof saved !== 'object') return;
+        if (['fixed', 'type', 'reading'].includes(saved.mode)) pageDurationSetting.mode = saved.mode;
+        ['summary', 'tsunami', 'intensity', 'charsPerSecond', 'minSeconds', 'maxSeconds'].forEach(key => {
+            if (typeof saved[key] === 'number' && saved[key] > 0) pageDurationSetting[key] = saved[key];
+        });
+    } catch (error) {
+        console.error('保存されたループ再生の表示時間の設定を読み込めませんでした:', error);
+    }
+};
+
+/**
+ * 保存されたページの切り替え効果の時間と緩急を読み込む
+ * 項目が足りない・正しくない場合は初期値のままにする
+ */
+const loadTelopTransitionSetting = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem('telopTransitionSetting'));
+        if (!saved || typeof saved !== 'object') return;
+        if (typeof saved.duration === 'number' && saved.duration > 0) {
+            telopTransitionSetting.duration = Math.min(saved.duration, TELOP_TRANSITION_MAX_DURATION);
+        }
+        if (typeof saved.easing === 'string' && saved.easing) telopTransitionSetting.easing = saved.easing;
+    } catch (error) {
+        console.error('保存されたページの切り替え効果の設定を読み込めませんでした:', error);
+    }
+};
+
+/**
+ * 横流しで、全ページをつなげた文字列を1周流す
+ * 流し終わるたびにループ回数を数え、指定回数に達したら終了ページを表示する
+ * @param {number} speed - 流れる速さ（px/秒）
+ * @param {number} totalLoops - ループ回数（Infinity で無限）
+ * @param {string} bookendTitle - 開始・終了ページの見出し
+ * @param {number} duration - 終了ページの表示時間（ミリ秒）
+ */
+const playTickerPass = (speed, totalLoops, bookendTitle, duration) => {
+    if (!isAutoplaying) return;
+
+    isTickerPlaying = true;
+    const frameViews = FIXED_BAR_VIEWS.map(toTelopFrameView); // EEWの続報などでビューが変わった場合は次の周から反映される
+    renderTelopTicker(frameViews, getFixedBarContentElements());
+    const passDuration = playTelopTicker(document.getElementById('content-line-1'), speed);
+    publishTelopFrame({ type: 'ticker', views: frameViews, speed, layout: getTelopLayout() });
+    updateTickerPageInfo(totalLoops);
+    // プレイリストの横流しは全ての地震を続けて流すため、全てのカードに ON AIR を付ける
+    playlistOnAirRanges.forEach(range => document.getElementById(`on-air-${range.eq.id}`)?.classList.remove('hidden'));
+
+    tickerPassTimerId = setTimeout(() => {
+        autoplayLoopCounter++;
+        if (totalLoops !== Infinity && autoplayLoopCounter >= totalLoops) {
+            isTickerPlaying = false;
+            finishAutoplay(bookendTitle, duration);
+            return;
+        }
+        playTickerPass(speed, totalLoops, bookendTitle, duration);
+    }, passDuration);
+};
+
+/**
+ * 横流し再生中のページ情報（ループ回数）を表示する
+ * @param {number} totalLoops - ループ回数（Infinity で無限）
+ */
+const updateTickerPageInfo = (totalLoops) => {
+    const pageInfo = document.getElementById('shindo-page-info');
+    const totalText = totalLoops === Infinity ? '∞' : totalLoops;
+    pageInfo.innerHTML = `<span class="inline-block">横流し</span> <span class="inline-block">L:${autoplayLoopCounter + 1}/${totalText}</span>`;
+    pageInfo.classList.remove('hidden');
+};
+
+/**
+ * ループ再生の終了ページを表示し、指定時間後に表示をクリアして停止する
+ * @param {string} bookendTitle - 開始・終了ページの見出し
+ * @param {number} duration - 終了ページの表示時間（ミリ秒）
+ */
+const finishAutoplay = (bookendTitle, duration) => {
+    // 終了ページを表示
+    const endView = {
+        type: 'system', shindo: '情報', line1: `${bookendTitle}　終`, line2: '',
+        shindoClass: 'bg-blue-600 text-white', pageCurrent: '■', pageTotal: ''
+    };
+    updateFixedBarDisplay(endView);
+
+    // 終了画面表示後、待機中のメッセージを表示
+    document.getElementById('shindo-page-info').textContent = '地震 待機中';
+
+    // 指定秒数後に表示をクリアする
+    setTimeout(() => {
+        clearFixedBarContent();
+        pauseAutoplay(true); // 完全に停止状態に戻す
     }, duration);
 };
 
@@ -4605,23 +7944,24 @@ const pauseAutoplay = (skipRedraw = false) => {
 
     const playIcon = document.getElementById('play-icon');
     const pauseIcon = document.getElementById('pause-icon');
-    const toggleSwitch = document.getElementById('toggle-mode');
+    const displayModeSelect = document.getElementById('display-mode-select');
     const refreshButton = document.getElementById('refresh-button');
     const earthquakeList = document.getElementById('earthquake-list');
     const dummyDataButton = document.getElementById('toggle-dummy-data-button');
-    const toggleLabel = toggleSwitch.closest('label');
 
-    clearInterval(autoplayIntervalId);
-    autoplayIntervalId = null;
+    clearTimeout(autoplayTimerId);
+    autoplayTimerId = null;
+    clearTimeout(tickerPassTimerId);
+    tickerPassTimerId = null;
     isAutoplaying = false;
     isWaitingForAutoplay = false; // 停止したので待機フラグを解除
     playIcon.classList.remove('hidden');
     pauseIcon.classList.add('hidden');
 
     // コントロールのロックを解除
-    toggleSwitch.disabled = false;
+    displayModeSelect.disabled = false;
     refreshButton.disabled = false;
-    toggleLabel.classList.remove('opacity-50', 'cursor-not-allowed');
+    displayModeSelect.classList.remove('opacity-50', 'cursor-not-allowed');
     earthquakeList.classList.remove('pointer-events-none'); // 地震一覧のクリックを再度有効化
     refreshButton.classList.remove('opacity-50', 'cursor-not-allowed');
     dummyDataButton.disabled = false;
@@ -4637,13 +7977,27 @@ const pauseAutoplay = (skipRedraw = false) => {
         badge.classList.add('hidden');
     });
 
-    // アニメーションクラスが残っている場合があるので削除
-    document.getElementById('animation-wrapper').className = 'flex items-center w-full h-full';
+    // 切り替え効果の途中で止めた場合は、アニメーションを外す
+    cancelTelopTransition(getTelopTransitionTargets(getFixedBarContentElements()));
+
+    // 横流しの途中で止めた場合は、流れていた文字列を消す
+    if (isTickerPlaying) {
+        isTickerPlaying = false;
+        clearFixedBarContent();
+        document.getElementById('shindo-page-info').textContent = '';
+    }
+
+    // プレイリスト再生を終えたら、選択中の地震の表示に戻す
+    if (playlistOnAirRanges.length > 0) {
+        playlistOnAirRanges = [];
+        const selectedEq = selectedCardId ? PROCESSED_EARTHQUAKES.find(eq => eq.id === selectedCardId.substring(5)) : null;
+        updateFixedShindoBar(selectedEq || null);
+    }
 
-    // APIの自動更新を再開
-    if (!refreshIntervalId && CONFIG.REFRESH_INTERVAL_MS > 0 && !isAutoplaying) {
-        refreshIntervalId = setInterval(refreshData, CONFIG.REFRESH_INTERVAL_MS);
-        console.log('ループ再生終了のため、API自動更新を再開します。');
+    // ループ再生中に受信して保留していた情報を反映する
+    if (hasPendingStreamUpdate) {
+        hasPendingStreamUpdate = false;
+        refreshFromCache();
     }
 
     if (skipRedraw) return;
@@ -4656,43 +8010,337 @@ const pauseAutoplay = (skipRedraw = false) => {
     }
 };
 
+// --- プレイリスト再生 ---
+
+/**
+ * プレイリストの件数表示を更新する（一覧にない地震は数えない）
+ */
+const updatePlaylistSummary = () => {
+    const count = getPlaylistEarthquakes().length;
+    document.getElementById('playlist-count').textContent = `${count}件`;
+    document.getElementById('playlist-play-button').disabled = count === 0;
+};
+
+/**
+ * プレイリストに入っている地震を、放送する順に取得する
+ * @returns {Array} 地震情報の配列
+ */
+const getPlaylistEarthquakes = () => playlistEarthquakeIds
+    .map(id => PROCESSED_EARTHQUAKES.find(eq => eq.id === id))
+    .filter(eq => eq && eq.points);
+
+/**
+ * 地震をプレイリストの末尾に追加する（既に入っている地震は順番を変えない）
+ * @param {Array} earthquakes - 追加する地震情報の配列
+ */
+const addToPlaylist = (earthquakes) => {
+    earthquakes.forEach(eq => {
+        if (!playlistEarthquakeIds.includes(eq.id)) playlistEarthquakeIds.push(eq.id);
+    });
+    syncPlaylistCheckboxes();
+    updatePlaylistSummary();
+};
+
+/**
+ * 地震一覧のチェックボックスをプレイリストの内容に合わせる
+ */
+const syncPlaylistCheckboxes = () => {
+    document.querySelectorAll('.playlist-checkbox').forEach(checkbox => {
+        checkbox.checked = playlistEarthquakeIds.includes(checkbox.dataset.eventId);
+    });
+};
+
+/**
+ * 一覧の地震のうち、条件に合うものを発生時刻の古い順に取得する
+ * @param {Function} predicate - 条件
+ * @returns {Array} 地震情報の配列
+ */
+const findEarthquakesForPlaylist = (predicate) => PROCESSED_EARTHQUAKES
+    .filter(eq => eq.points && !eq.isCancelled && predicate(eq))
+    .sort((a, b) => new Date(a.originTime).getTime() - new Date(b.originTime).getTime());
+
+/**
+ * 指定時刻（HH:MM）以降に発生した地震を求める条件を作る
+ * 指定時刻が現在より後の場合は、前日のその時刻以降とみなす
+ * @param {string} timeText - 'HH:MM'
+ * @returns {Function} 条件
+ */
+const createSincePredicate = (timeText) => {
+    const [hours, minutes] = timeText.split(':').map(Number);
+    const since = new Date();
+    since.setHours(hours, minutes, 0, 0);
+    if (since.getTime() > Date.now()) since.setDate(since.getDate() - 1);
+    return (eq) => new Date(eq.originTime).getTime() >= since.getTime();
+};
+
+/**
+ * プレイリストの地震のビューを、区切りページを挟んで1つにつなげ、ループ再生を開始する
+ */
+const startPlaylistPlayback = () => {
+    if (isAutoplaying || FIXED_BAR_MODE !== 'earthquake') return;
+
+    const earthquakes = getPlaylistEarthquakes();
+    if (earthquakes.length === 0) {
+        alert('プレイリストに再生できる地震がありません。');
+        return;
+    }
+
+    const views = [];
+    playlistOnAirRanges = earthquakes.map((eq, index) => {
+        const start = views.length;
+        if (index > 0) {
+            // 地震と地震の間に区切りページを挟む
+            views.push({
+                type: 'system', shindo: '情報', line1: `次の地震の情報です（${index + 1}/${earthquakes.length}）`, line2: '',
+                shindoClass: 'bg-blue-600 text-white'
+            });
+        }
+        views.push(...buildEarthquakeViews(eq));
+        return { eq, start, end: views.length - 1 };
+    });
+
+    FIXED_BAR_VIEWS = views;
+    finalizeFixedBarViews();
+    fixedBarEarthquake = earthquakes[0];
+    onAirCorrectionNotice = null;
+    updateCorrectionIndicator();
+    publishQuakeMapFrame();
+    CURRENT_SHINDO_INDEX = 0;
+    clearFixedBarContent();
+    startAutoplay();
+    if (!isAutoplaying) playlistOnAirRanges = []; // ページが1つしかないなど、再生できなかった場合
+};
+
+/**
+ * プレイリスト再生中、表示しているページの地震のカードに ON AIR を表示する
+ * 訂正・取消の表示も、表示している地震に合わせて切り替える
+ */
+const updatePlaylistOnAir = () => {
+    const range = playlistOnAirRanges.find(r => CURRENT_SHINDO_INDEX >= r.start && CURRENT_SHINDO_INDEX <= r.end);
+    if (!range) return;
+
+    document.querySelectorAll('.on-air-badge').forEach(badge => {
+        badge.classList.toggle('hidden', badge.id !== `on-air-${range.eq.id}`);
+    });
+    if (fixedBarEarthquake?.id !== range.eq.id) {
+        fixedBarEarthquake = range.eq;
+        onAirCorrectionNotice = null;
+        updateCorrectionIndicator();
+        publishQuakeMapFrame();
+    }
+};
+
+/**
+ * プレイリストの操作パネルのセットアップ
+ */
+const setupPlaylistControls = () => {
+    const sinceInput = document.getElementById('playlist-since-input');
+    const minScaleSelect = document.getElementById('playlist-min-scale-select');
+
+    document.getElementById('earthquake-list').addEventListener('change', (e) => {
+        if (!e.target.classList.contains('playlist-checkbox')) return;
+        const eventId = e.target.dataset.eventId;
+        if (e.target.checked) {
+            if (!playlistEarthquakeIds.includes(eventId)) playlistEarthquakeIds.push(eventId);
+        } else {
+            playlistEarthquakeIds = playlistEarthquakeIds.filter(id => id !== eventId);
+        }
+        updatePlaylistSummary();
+    });
+
+    document.getElementById('playlist-add-since-button').addEventListener('click', () => {
+        if (!sinceInput.value) {
+            alert('時刻を入力してください。');
+            return;
+        }
+        addToPlaylist(findEarthquakesForPlaylist(createSincePredicate(sinceInput.value)));
+    });
+    document.getElementById('playlist-add-scale-button').addEventListener('click', () => {
+        const minScale = parseInt(minScaleSelect.value, 10);
+        addToPlaylist(findEarthquakesForPlaylist(eq => eq.maxScale >= minScale));
+    });
+    document.getElementById('playlist-clear-button').addEventListener('click', () => {
+        playlistEarthquakeIds = [];
+        syncPlaylistCheckboxes();
+        updatePlaylistSummary();
+    });
+    document.getElementById('playlist-play-button').addEventListener('click', startPlaylistPlayback);
+
+    updatePlaylistSummary();
+};
+
+// --- 割り込み放送 ---
+
+/**
+ * 地震に発表されている津波予報のうち、最も高い種別を取得する
+ * @param {object|undefined} eq - 地震情報オブジェクト
+ * @returns {string} 'MajorWarning' | 'Warning' | 'Advisory' | 'none'
+ */
+const getHighestTsunamiGrade = (eq) => {
+    const areas = eq?.tsunamiForecastAreas;
+    if (!areas) return 'none';
+    return ['MajorWarning', 'Warning', 'Advisory'].find(grade => areas[grade]?.length > 0) || 'none';
+};
+
+/**
+ * 更新された地震が割り込み放送の条件を満たすかを判定する
+ * 更新前から条件を満たしていた場合（同じ内容の続報など）は、改めて割り込まない
+ * @param {object} eq - 更新後の地震情報
+ * @param {object|undefined} previousEq - 更新前の地震情報（新しい地震の場合は undefined）
+ * @returns {string|null} 割り込みの「速報」ページの本文。割り込まない場合はnull
+ */
+const getInterruptHeadline = (eq, previousEq) => {
+    if (eq.isCancelled) return null;
+
+    const gradeRank = TSUNAMI_GRADE_RANK[getHighestTsunamiGrade(eq)];
+    const previousGradeRank = TSUNAMI_GRADE_RANK[getHighestTsunamiGrade(previousEq)];
+    if (interruptPolicy.tsunamiGrade !== 'none' && gradeRank >= TSUNAMI_GRADE_RANK[interruptPolicy.tsunamiGrade] && gradeRank > previousGradeRank) {
+        return `${TSUNAMI_GRADE_LABELS[getHighestTsunamiGrade(eq)]}が発表されました`;
+    }
+
+    const minScale = interruptPolicy.minScale;
+    if (minScale > 0 && eq.maxScale >= minScale && !(previousEq?.maxScale >= minScale)) {
+        return `最大${eq.maxShindoLabel}を観測する地震がありました`;
+    }
+    return null;
+};
+
+/**
+ * ループ再生中に地震一覧が更新されたときに、割り込むか再生終了後に反映するかを振り分ける
+ * PROCESSED_EARTHQUAKES は更新済みで、一覧の表示は更新していない状態で呼ばれる
+ * @param {Array} previousEarthquakes - 更新前の地震情報配列
+ */
+const handleUpdateDuringAutoplay = (previousEarthquakes) => {
+    // 一覧は再生終了後に、まとめて反映する
+    hasPendingStreamUpdate = true;
+
+    const previousById = new Map(previousEarthquakes.map(eq => [eq.id, eq]));
+    const updatedEarthquakes = PROCESSED_EARTHQUAKES.filter(eq => {
+        const previousEq = previousById.get(eq.id);
+        return !previousEq ||
+            (eq.revisions?.length || 0) !== (previousEq.revisions?.length || 0) ||
+            eq.maxScale !== previousEq.maxScale ||
+            getHighestTsunamiGrade(eq) !== getHighestTsunamiGrade(previousEq);
+    });
+    if (updatedEarthquakes.length === 0) return;
+
+    // EEWテロップ・津波情報テロップの再生中は地震情報で割り込まない（一覧は新しい順のため、最も新しい地震に割り込む）
+    const interrupt = FIXED_BAR_MODE !== 'earthquake' ? null : updatedEarthquakes
+        .map(eq => ({ eq, headline: getInterruptHeadline(eq, previousById.get(eq.id)) }))
+        .find(candidate => candidate.headline && candidate.eq.points);
+    if (interrupt) {
+        interruptAutoplay(interrupt.eq, interrupt.headline);
+        return;
+    }
+
+    updatedEarthquakes.forEach(eq => {
+        const text = `${eq.epicenter}${eq.maxScale > 0 ? ` ${eq.maxShindoLabel}` : ''}`;
+        queuedEarthquakeUpdates = [...queuedEarthquakeUpdates.filter(update => update.id !== eq.id), { id: eq.id, text }];
+    });
+    updateUpdateQueueStatus();
+    console.log(`ループ再生中のため、${updatedEarthquakes.length}件の地震の更新を再生終了後に反映します。`);
+};
+
+/**
+ * 再生中のループを止め、割り込む地震を一覧で選択して「速報」のページから再生し直す
+ * @param {object} eq - 割り込む地震
+ * @param {string} headline - 「速報」ページの本文
+ */
+const interruptAutoplay = (eq, headline) => {
+    console.log(`割り込み放送: ${eq.epicenter}（${headline}）`);
+
+    // 保留していた更新は、ここで一覧に反映する
+    hasPendingStreamUpdate = false;
+    pauseAutoplay(true);
+    displayEarthquakes(PROCESSED_EARTHQUAKES);
+    queuedEarthquakeUpdates = [];
+    updateUpdateQueueStatus();
+
+    const card = document.getElementById(`card-${eq.id}`);
+    if (card) {
+        card.click();
+        card.scrollIntoView({ block: 'nearest' });
+    } else {
+        // 一覧のフィルタで表示されない地震も、情報表示バーでは放送する
+        updateFixedShindoBar(eq);
+    }
+    startAutoplay(headline);
+};
+
+/**
+ * 緊急地震速報（警報）の受信時に、設定に従ってループ再生をEEWテロップに切り替える
+ */
+const interruptAutoplayWithEew = () => {
+    if (!isAutoplaying || !interruptPolicy.eewWarning || FIXED_BAR_MODE === 'eew') return;
+
+    console.log('割り込み放送: 緊急地震速報（警報）');
+    enterEewTelopMode(); // 再生中のループは停止される
+    startAutoplay('緊急地震速報（警報）が発表されました');
+};
+
+/**
+ * 再生終了後に反映する更新（保留中の更新）の件数を地震一覧の上に表示する
+ */
+const updateUpdateQueueStatus = () => {
+    const statusElement = document.getElementById('update-queue-status');
+    if (!statusElement) return;
+
+    statusElement.classList.toggle('hidden', queuedEarthquakeUpdates.length === 0);
+    if (queuedEarthquakeUpdates.length === 0) return;
+    const latest = queuedEarthquakeUpdates[queuedEarthquakeUpdates.length - 1];
+    const othersText = queuedEarthquakeUpdates.length > 1 ? ' ほか' : '';
+    statusElement.textContent = `再生終了後に反映: ${queuedEarthquakeUpdates.length}件（${latest.text}${othersText}）`;
+};
+
+/**
+ * 保存された割り込み放送の条件を読み込む
+ * 項目が足りない・正しくない場合は初期値のままにする
+ */
+const loadInterruptPolicy = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem('interruptPolicy'));
+        if (!saved || typeof saved !== 'object') return;
+        if (typeof saved.minScale === 'number' && saved.minScale >= 0) interruptPolicy.minScale = saved.minScale;
+        if (saved.tsunamiGrade in TSUNAMI_GRADE_RANK) interruptPolicy.tsunamiGrade = saved.tsunamiGrade;
+        if (typeof saved.eewWarning === 'boolean') interruptPolicy.eewWarning = saved.eewWarning;
+    } catch (error) {
+        console.error('保存された割り込み放送の条件を読み込めませんでした:', error);
+    }
+};
+
 // --- 固定フッターのロジック 終了 ---
 
 
-// --- トグルスイッチのロジック ---
-const setupToggle = () => {
-    const toggleSwitch = document.getElementById('toggle-mode');
-    // IDはそのまま、テキストが市区町村別と観測点別になっている
-    const labelPoint = document.getElementById('label-point'); // 右側（Checked側）
-    const labelMunicipality = document.getElementById('label-municipality'); // 左側（Unchecked側）
-    
+// --- 表示単位の切り替え ---
+/**
+ * 震度観測点表に地域の列がない場合は、表示単位「地域別」を選べないようにする
+ * 観測点と地域（震度速報の地域）の対応は震度観測点表にしかなく、表がなければ地域にまとめられないため
+ * 保存された設定が地域別の場合は、この起動中のみ都道府県別で表示する（保存された設定は変更しない）
+ */
+const applyRegionModeAvailability = () => {
+    const isAvailable = STATION_CITY_REGION.size > 0;
+    ['display-mode-select', 'telop-display-mode-select'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        const option = select?.querySelector('option[value="region"]');
+        if (!option) return;
+        option.disabled = !isAvailable;
+        option.title = isAvailable ? '' : '観測点の地域を含む震度観測点表 (data/jma-stations.json) を置くと選択できます';
+        if (!isAvailable && select.value === 'region') select.value = 'prefecture';
+    });
+    if (isAvailable) return;
+
+    if (DISPLAY_MODE === 'region') DISPLAY_MODE = 'prefecture';
+    if (telopDisplayMode === 'region') telopDisplayMode = 'prefecture';
+};
+
+/**
+ * 詳細パネルの表示単位（地域別・都道府県別・市区町村別・観測点別）の切り替えのセットアップ
+ */
+const setupDisplayModeSelect = () => {
+    const displayModeSelect = document.getElementById('display-mode-select');
+
     const updateDisplayMode = () => {
-        const isChecked = toggleSwitch.checked;
-        
-        // ロジック:
-        // isChecked (FALSE/左) = 市区町村別 ('municipality')
-        // isChecked (TRUE/右) = 観測点別 ('point')
-        DISPLAY_MODE = isChecked ? 'point' : 'municipality';
-
-        // ラベルのスタイルを更新
-        // ラベルのスタイルを更新 (ダークモード対応)
-        if (isChecked) { 
-            // TRUE: 観測点別(labelPoint)をアクティブにする
-            labelPoint.classList.add('font-bold', 'text-blue-400');
-            labelPoint.classList.remove('text-gray-400', 'font-medium');
-            
-            labelMunicipality.classList.remove('font-bold', 'text-blue-400');
-            labelMunicipality.classList.remove('font-bold', 'text-blue-400', 'transition-colors', 'duration-200');
-            labelMunicipality.classList.add('text-gray-400', 'font-medium');
-        } else { 
-            // FALSE: 市区町村別(labelMunicipality)をアクティブにする
-            labelPoint.classList.remove('font-bold', 'text-blue-400');
-            labelPoint.classList.add('text-gray-400', 'font-medium');
-            
-            labelMunicipality.classList.add('font-bold', 'text-blue-400');
-            labelMunicipality.classList.remove('text-gray-400', 'font-medium');
-            labelMunicipality.classList.remove('text-gray-400', 'font-medium', 'transition-colors', 'duration-200');
-        }
+        DISPLAY_MODE = displayModeSelect.value;
 
         // 現在選択されている地震の詳細を再描画
         if (selectedCardId) {
@@ -4704,10 +8352,10 @@ const setupToggle = () => {
         }
     };
 
-    toggleSwitch.addEventListener('change', updateDisplayMode);
-    
+    displayModeSelect.addEventListener('change', updateDisplayMode);
+
     // 初期モードの適用 (デフォルトは市区町村別 'municipality')
-    updateDisplayMode(); 
+    updateDisplayMode();
 };
 
 /**
@@ -4721,6 +8369,10 @@ const setupDummyDataToggle = () => {
     toggleButton.addEventListener('click', () => {
         USE_DUMMY_DATA = !USE_DUMMY_DATA; // モードを反転
 
+        // 訓練用と実際のEEWが混ざらないよう、表示中のEEWと処理済みの報数をリセット
+        stopEewDisplayCycle();
+        EEW_SEEN_SERIALS.clear();
+
         if (USE_DUMMY_DATA) {
             toggleButton.textContent = '通常モードへ';
             toggleButton.classList.remove('bg-yellow-600', 'hover:bg-yellow-700');
@@ -4761,6 +8413,13 @@ const preloadEewSound = () => {
     eewAudioObject = new Audio('https://github.com/AfterEffects-OK/EarthquakeEarlyWarning/raw/refs/heads/main/EEW_Woman_2.aac');
     eewAudioObject.preload = 'auto'; // ブラウザに音声のプリロードを指示
     eewAudioObject.load(); // 明示的にロードを開始
+
+    // 警報用の音声ファイルが設定されていればプリロードする（未設定の場合はチャイムを生成して再生）
+    if (CONFIG.EEW_WARNING_SOUND_URL) {
+        eewWarningAudioObject = new Audio(CONFIG.EEW_WARNING_SOUND_URL);
+        eewWarningAudioObject.preload = 'auto';
+        eewWarningAudioObject.load();
+    }
     console.log('EEW音声ファイルのプリロードを開始しました。');
 };
 
@@ -4795,7 +8454,7 @@ const generateAndShowBroadcastScript = (eq) => {
     });
 
     // 2. 震度別市町村リストを取得
-    const shindoGroups = groupPointsByShindoAndMode(eq.points, 'municipality', loopPlaybackMinScale);
+    const shindoGroups = groupPointsByShindoAndMode(eq.points, telopDisplayMode, loopPlaybackMinScale);
     const processedCities = new Set(); // 表示済みの市区町村を記録するSet
 
     shindoGroups.forEach(group => {
@@ -4862,6 +8521,11 @@ const generateAndShowBroadcastScript = (eq) => {
 
     const fullScript = scriptContent.join('\n').replace(/\n{2,}/g, '\n\n');
 
+    // 原稿作成時点で訂正・取消済みの場合のお知らせ
+    const correctionNoticeText = eq.isCancelled
+        ? '【取消】この地震の情報は取り消されました。原稿を使用しないでください。'
+        : (eq.hasCorrection ? '【訂正あり】この地震の情報は訂正されています。訂正後の内容で作成しています。' : '');
+
     // 新しいタブを開いて原稿を表示
     const newWindow = window.open('', '_blank');
     newWindow.document.write(`
@@ -4881,6 +8545,9 @@ const generateAndShowBroadcastScript = (eq) => {
                 ruby { ruby-position: over; }
                 rt { font-size: 0.7em; font-weight: normal; }
                 .city-name { display: inline-block; } /* 市町村名が途中で改行されるのを防ぐ */
+                .correction-notice { margin-bottom: 1.5rem; padding: 0.75rem 1rem; border-radius: 6px; font-size: 1.4rem; font-weight: bold; background-color: #fef3c7; color: #92400e; border: 2px solid #f59e0b; }
+                .correction-notice.cancel { background-color: #fee2e2; color: #991b1b; border-color: #ef4444; }
+                .correction-notice:empty { display: none; }
                 #back-to-top {
                     display: none; /* Initially hidden */
                     position: fixed; bottom: 2rem; right: 2rem; z-index: 100;
@@ -4923,6 +8590,7 @@ const generateAndShowBroadcastScript = (eq) => {
         <body>
             <div class="container">
                 <h1>放送原稿</h1>
+                <div id="correction-notice" class="correction-notice${eq.isCancelled ? ' cancel' : ''}">${correctionNoticeText}</div>
                 <div class="info">
                     <strong>地震:</strong> ${epicenterHtml}<br>
                     <strong>発生日時:</strong> ${eq.time}<br>
@@ -4961,6 +8629,9 @@ const generateAndShowBroadcastScript = (eq) => {
         </html>
     `);
     newWindow.document.close();
+
+    // 後から訂正・取消を受信した場合に原稿へ反映できるよう、開いた原稿を記録する
+    BROADCAST_SCRIPT_WINDOWS.set(eq.id, { window: newWindow, eventId: eq.eventId });
 };
 
 // --- 初期化 ---
@@ -4968,16 +8639,50 @@ const generateAndShowBroadcastScript = (eq) => {
 window.onload = async () => {
     // ★★★ 最初に読み仮名辞書を生成する ★★★
     await buildKanaDictionary();
+    await loadStationTable(); // 観測点を市区町村に振り分ける震度観測点表
     preloadEewSound(); // EEW音声ファイルをプリロード
 
+    // URLパラメータ ?ws= でWebSocketの接続先を上書きする（モックサーバーでの動作確認用）
+    const wsUrlParam = new URLSearchParams(window.location.search).get('ws');
+    if (wsUrlParam) {
+        CONFIG.WS_URL = wsUrlParam;
+    }
+
+    // URLパラメータ ?relay= でオーバーレイ中継サーバーの接続先を指定する
+    const relayUrlParam = new URLSearchParams(window.location.search).get('relay');
+    if (relayUrlParam) {
+        CONFIG.TELOP_RELAY_URL = relayUrlParam;
+    }
+
     // 保存された一覧フィルター設定を読み込む
     const savedListMinScale = localStorage.getItem('listMinScale');
     if (savedListMinScale) {
         CONFIG.MIN_LIST_SCALE = parseInt(savedListMinScale, 10);
     }
+    const savedListMinForeignMagnitude = localStorage.getItem('listMinForeignMagnitude');
+    if (savedListMinForeignMagnitude) {
+        CONFIG.MIN_FOREIGN_MAGNITUDE = parseFloat(savedListMinForeignMagnitude);
+    }
+
+    // 保存されたループ再生の表示時間・ページの切り替え効果の設定と割り込み放送の条件を読み込む
+    loadPageDurationSetting();
+    loadTelopTransitionSetting();
+    loadInterruptPolicy();
+
+    // 保存された配色とテロップのテーマを読み込んで反映する（後から開いたオーバーレイにも送れるよう保持される）
+    colorScheme = loadColorScheme();
+    applyColorScheme(colorScheme.colors);
+    loadTelopThemes();
+    applyActiveTelopTheme(activeTelopTheme);
+
+    // 保存された履歴の保存期間を読み込む
+    const savedHistoryRetentionDays = localStorage.getItem('historyRetentionDays');
+    if (savedHistoryRetentionDays !== null) {
+        CONFIG.HISTORY_RETENTION_DAYS = parseInt(savedHistoryRetentionDays, 10);
+    }
 
     // トグルスイッチの設定とイベントリスナーの設定
-    setupToggle(); 
+    setupDisplayModeSelect();
     
     // リフレッシュボタンのイベントリスナーを設定
     document.getElementById('refresh-button').addEventListener('click', refreshData);
@@ -4988,14 +8693,37 @@ window.onload = async () => {
     // 固定バーのナビゲーションイベントを設定
     setupFixedBarNavigation();
 
+    // OBS用オーバーレイへの送信を開始
+    setupTelopOutput();
+
     // リセットボタンのセットアップ
     setupResetButton();
 
+    // 地震履歴モーダルのセットアップ
+    setupHistoryModal();
+
+    // EEWテロップ切り替えボタンのセットアップ
+    document.getElementById('eew-telop-button').addEventListener('click', () => {
+        if (FIXED_BAR_MODE === 'eew') {
+            exitEewTelopMode();
+        } else {
+            enterEewTelopMode();
+        }
+    });
+    document.getElementById('tsunami-telop-button').addEventListener('click', () => {
+        if (FIXED_BAR_MODE === 'tsunami') {
+            exitTsunamiTelopMode();
+        } else {
+            enterTsunamiTelopMode();
+        }
+    });
+
     // トランジション設定コントロールを表示
     document.getElementById('transition-controls').style.display = 'flex';
 
     // 自動ページ送り機能のセットアップ
     setupAutoplayControls();
+    setupPlaylistControls();
     
     // キーボードショートカットのセットアップ
     setupKeyboardShortcuts();
@@ -5015,9 +8743,18 @@ window.onload = async () => {
     // 固定バーを初期状態に設定
     displayInitialFixedBarState();
 
+    // 震度観測点表に地域の列がなければ、表示単位「地域別」を選べないようにする
+    applyRegionModeAvailability();
+
     // 初回データ取得を refreshData() で実行
     await refreshData();
 
-    // 定期的な自動更新を設定
-    refreshIntervalId = setInterval(refreshData, CONFIG.REFRESH_INTERVAL_MS);
+    // 定期的な自動更新を設定（WebSocket接続後は停止し、切断中のみ動作する）
+    startRestPolling();
+
+    // リアルタイム受信を開始
+    connectEarthquakeStream();
+
+    // 保存期間を過ぎた地震履歴を定期的に削除する（起動時の削除は初回の同期で行う）
+    setInterval(purgeExpiredHistory, CONFIG.HISTORY_PURGE_INTERVAL_MS);
 };
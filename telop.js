@@ -0,0 +1,369 @@
+// --- 情報表示バーのテロップ描画 ---
+// 操作画面 (index.html) と OBS用オーバーレイ (overlay.html) の両方で読み込み、同じ見た目で描画する。
+
+// 操作画面からオーバーレイへ表示内容を送る BroadcastChannel の名前
+const TELOP_CHANNEL_NAME = 'earthquake-telop';
+
+let telopTickerFrameId = null; // 横流しのアニメーションの requestAnimationFrame ID
+
+/**
+ * ビューをオーバーレイへ送れる形（シリアライズ可能なプレーンオブジェクト）に変換する
+ * @param {object} view - FIXED_BAR_VIEWS のビュー、またはシステムメッセージのビュー
+ * @returns {object} 描画に必要な項目のみのビュー
+ */
+const toTelopFrameView = (view) => ({
+    type: view.type,
+    shindo: view.shindo,
+    line1: view.line1,
+    line2: view.line2 || '',
+    shindoClass: view.shindoClass || ''
+});
+
+/**
+ * ビューをコンテンツ表示エリアに描画する
+ * @param {object} view - 表示するビューオブジェクト
+ * @param {object} elements - 描画先の要素 { line1, line2, label }
+ */
+const renderTelopView = (view, elements) => {
+    const { line1, line2, label } = elements;
+    stopTelopTicker();
+
+    // 既存のスタイルをリセット
+    line1.className = 'text-edge telop-line';
+    line2.className = 'text-xs text-gray-400 hidden';
+
+    // 震度ラベルを更新（切り替え効果でバッジが変わったかを判定できるよう、バッジのキーを記録する）
+    label.dataset.badgeKey = getTelopBadgeKey(view);
+    if (view.type === 'system') {
+        label.classList.add('hidden');
+    } else {
+        label.classList.remove('hidden');
+        label.textContent = view.shindo;
+        label.className = 'shindo-badge telop-badge h-14 flex items-center justify-center flex-shrink-0 ml-1.5';
+        label.classList.add(...view.shindoClass.split(' ').filter(Boolean));
+    }
+
+    // コンテンツ行を更新
+    line1.innerHTML = view.line1;
+    line2.textContent = view.line2;
+
+    // line1は常に表示、line2は基本非表示
+    line1.classList.remove('hidden');
+    line2.classList.add('hidden');
+
+    // タイプに応じたスタイル適用（文字の大きさ・色はテロップのテーマで決まる）
+    if (view.type === 'summary') {
+        line2.classList.remove('hidden');
+        line2.textContent = view.line2;
+    } else if (view.type === 'system') {
+        line1.classList.add('text-center');
+    }
+};
+
+/**
+ * コンテンツ表示エリアを空にする
+ * @param {object} elements - 描画先の要素 { line1, line2, label }
+ */
+const clearTelopView = (elements) => {
+    stopTelopTicker();
+    cancelTelopTransition(getTelopTransitionTargets(elements));
+    elements.line1.textContent = '';
+    elements.line2.textContent = '';
+    elements.label.classList.add('hidden');
+    elements.label.dataset.badgeKey = '';
+};
+
+/**
+ * 複数のビューを1本の横流し（スーパー横流し）の文字列につなげる
+ * バッジ（震度・種別）が変わる位置にだけ、バッジを文中に挟む
+ * @param {Array} views - 表示するビューの配列
+ * @returns {string} 横流しのHTML
+ */
+const buildTelopTickerHtml = (views) => {
+    let previousBadge = null;
+    return views.map(view => {
+        const badgeKey = `${view.shindo}|${view.shindoClass}`;
+        const badgeHtml = badgeKey === previousBadge
+            ? ''
+            : `<span class="shindo-badge telop-badge telop-ticker-badge ${view.shindoClass}">${view.shindo}</span>`;
+        previousBadge = badgeKey;
+        return `${badgeHtml}<span class="telop-ticker-text">${view.line1}</span>`;
+    }).join('<span class="telop-ticker-gap"></span>');
+};
+
+/**
+ * 横流しをコンテンツ表示エリアに描画する（流し始めるには playTelopTicker を呼ぶ）
+ * バッジは文中に挟むため、左側の情報バッジは隠す
+ * @param {Array} views - 表示するビューの配列
+ * @param {object} elements - 描画先の要素 { line1, line2, label }
+ */
+const renderTelopTicker = (views, elements) => {
+    const { line1, line2, label } = elements;
+    stopTelopTicker();
+    cancelTelopTransition(getTelopTransitionTargets(elements));
+
+    label.classList.add('hidden');
+    label.dataset.badgeKey = '';
+    line2.classList.add('hidden');
+    line1.className = 'text-edge telop-line telop-ticker';
+    line1.innerHTML = `<div class="telop-ticker-track">${buildTelopTickerHtml(views)}</div>`;
+};
+
+/**
+ * 描画した横流しを、表示エリアの右端から左端へ一定の速さで1回流す
+ * @param {HTMLElement} line1 - 横流しを描画した要素
+ * @param {number} speed - 流れる速さ（px/秒、コンテンツ表示エリアの大きさ基準）
+ * @returns {number} 流し終わるまでの時間（ミリ秒）
+ */
+const playTelopTicker = (line1, speed) => {
+    stopTelopTicker();
+    const track = line1.querySelector('.telop-ticker-track');
+    const startX = line1.clientWidth;
+    const distance = startX + track.scrollWidth;
+    const duration = distance / speed * 1000;
+
+    track.style.transform = `translateX(${startX}px)`;
+    let startTime = null;
+    const step = (timestamp) => {
+        if (startTime === null) startTime = timestamp;
+        const progress = duration > 0 ? Math.min((timestamp - startTime) / duration, 1) : 1;
+        track.style.transform = `translateX(${startX - distance * progress}px)`;
+        telopTickerFrameId = progress < 1 ? requestAnimationFrame(step) : null;
+    };
+    telopTickerFrameId = requestAnimationFrame(step);
+    return duration;
+};
+
+/**
+ * 流れている横流しを止める
+ */
+const stopTelopTicker = () => {
+    if (telopTickerFrameId === null) return;
+    cancelAnimationFrame(telopTickerFrameId);
+    telopTickerFrameId = null;
+};
+
+// ページの切り替え効果
+// out / in は style.css の @keyframes 名。向きのある効果は、ページ送りの方向 ('next' | 'prev') ごとに指定する
+// reveal: true の効果は、本文を1文字ずつ表示する（バッジは in の効果で表示する）
+// 効果を追加する場合は、ここと style.css の @keyframes を追加する（操作画面の選択肢はこの一覧から作られる）
+const TELOP_TRANSITIONS = {
+    cut: { label: 'カット' },
+    slide: {
+        label: 'スライド',
+        out: { next: 'slide-out-to-left', prev: 'slide-out-to-right' },
+        in: { next: 'slide-in-from-right', prev: 'slide-in-from-left' }
+    },
+    fade: { label: 'フェード', out: 'telop-fade-out', in: 'telop-fade-in' },
+    push: {
+        label: 'プッシュ（縦）',
+        out: { next: 'telop-push-out-up', prev: 'telop-push-out-down' },
+        in: { next: 'telop-push-in-up', prev: 'telop-push-in-down' }
+    },
+    wipe: {
+        label: 'ワイプ',
+        out: { next: 'telop-wipe-out-left', prev: 'telop-wipe-out-right' },
+        in: { next: 'telop-wipe-in-right', prev: 'telop-wipe-in-left' }
+    },
+    typewriter: { label: 'タイプライター', out: 'telop-fade-out', in: 'telop-fade-in', reveal: true }
+};
+
+let telopTransitionTimerIds = []; // 切り替え効果の途中で描画・後片付けを行うタイマーID
+
+/**
+ * ビューのバッジを比較するためのキーを作る（バッジを表示しないビューは空文字）
+ * @param {object} view - ビュー
+ * @returns {string} バッジのキー
+ */
+const getTelopBadgeKey = (view) => (view.type === 'system' ? '' : `${view.shindo}|${view.shindoClass || ''}`);
+
+/**
+ * 切り替え効果の keyframes 名を、ページ送りの方向に応じて取得する
+ * @param {string|object|undefined} keyframes - keyframes 名、または方向ごとの keyframes 名
+ * @param {string} direction - ページ送りの方向 ('next' | 'prev')
+ * @returns {string|null} keyframes 名
+ */
+const resolveTelopKeyframes = (keyframes, direction) => {
+    if (!keyframes) return null;
+    return typeof keyframes === 'string' ? keyframes : keyframes[direction] || keyframes.next;
+};
+
+/**
+ * 要素にアニメーションを設定する（keyframes 名がない場合はアニメーションを外す）
+ * @param {HTMLElement} element - アニメーションさせる要素
+ * @param {string|null} keyframes - keyframes 名
+ * @param {object} transition - 切り替え効果 { duration, easing }
+ */
+const animateTelopElement = (element, keyframes, transition) => {
+    element.style.animation = keyframes ? `${keyframes} ${transition.duration}ms ${transition.easing} forwards` : '';
+};
+
+/**
+ * 本文の各行を1文字ずつ順に表示する（タグの構造は保ったまま、文字ごとに表示の遅れを設定する）
+ * @param {HTMLElement} element - 本文の表示エリア（子要素が各行）
+ * @param {number} duration - 全ての文字を表示し終えるまでの時間（ミリ秒）
+ */
+const revealTelopCharacters = (element, duration) => {
+    // 行と行の間の空白（HTMLの改行など）は対象にしない
+    const textNodes = [];
+    Array.from(element.children).forEach(line => {
+        const walker = document.createTreeWalker(line, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+    });
+
+    const totalChars = textNodes.reduce((sum, node) => sum + [...node.textContent].length, 0);
+    if (totalChars === 0) return;
+    const step = duration / totalChars;
+
+    let charIndex = 0;
+    textNodes.forEach(node => {
+        const fragment = document.createDocumentFragment();
+        [...node.textContent].forEach(char => {
+            const charSpan = document.createElement('span');
+            charSpan.className = 'telop-typewriter-char';
+            charSpan.style.animationDelay = `${Math.round(charIndex * step)}ms`;
+            charSpan.textContent = char;
+            fragment.appendChild(charSpan);
+            charIndex++;
+        });
+        node.replaceWith(fragment);
+    });
+};
+
+/**
+ * 描画先の要素から、切り替え効果で動かす要素を取得する
+ * @param {object} elements - 描画先の要素 { line1, line2, label }
+ * @returns {object} { badge（震度バッジ）, text（本文の表示エリア） }
+ */
+const getTelopTransitionTargets = (elements) => ({
+    badge: elements.label,
+    text: elements.line1.parentElement
+});
+
+/**
+ * 切り替え効果の途中であれば止め、アニメーションを外す
+ * @param {object} targets - アニメーションさせる要素 { badge, text }
+ */
+const cancelTelopTransition = (targets) => {
+    telopTransitionTimerIds.forEach(clearTimeout);
+    telopTransitionTimerIds = [];
+    animateTelopElement(targets.badge, null);
+    animateTelopElement(targets.text, null);
+};
+
+/**
+ * ページの切り替え効果を付けて描画する
+ * バッジと本文は別々に動かし、前のページとバッジが同じ場合はバッジを動かさない
+ * @param {object} targets - アニメーションさせる要素 { badge（震度バッジ）, text（本文の表示エリア） }
+ * @param {object} transition - 切り替え効果 { effect: TELOP_TRANSITIONS のキー, duration: 片側の時間（ミリ秒）, easing }
+ * @param {string} direction - ページ送りの方向 ('next' | 'prev' | 'none')
+ * @param {object} view - 表示するビュー
+ * @param {Function} render - 実際に描画する処理
+ */
+const playTelopTransition = (targets, transition, direction, view, render) => {
+    cancelTelopTransition(targets);
+
+    const definition = TELOP_TRANSITIONS[transition.effect];
+    if (!definition || !definition.out || direction === 'none') {
+        // カットチェンジ、または初回表示
+        render();
+        return;
+    }
+
+    const { badge, text } = targets;
+    const outKeyframes = resolveTelopKeyframes(definition.out, direction);
+    const inKeyframes = resolveTelopKeyframes(definition.in, direction);
+    // バッジが前のページと同じ場合は、バッジを動かさずに本文だけを切り替える
+    const keepBadge = badge.dataset.badgeKey === getTelopBadgeKey(view) && !badge.classList.contains('hidden');
+
+    // 1. 現在のコンテンツを消す
+    animateTelopElement(text, outKeyframes, transition);
+    if (!keepBadge) animateTelopElement(badge, outKeyframes, transition);
+
+    // 2. 消し終わったらコンテンツを更新して表示する
+    telopTransitionTimerIds.push(setTimeout(() => {
+        render();
+        if (definition.reveal) {
+            animateTelopElement(text, null);
+            revealTelopCharacters(text, transition.duration);
+        } else {
+            animateTelopElement(text, inKeyframes, transition);
+        }
+        animateTelopElement(badge, keepBadge ? null : inKeyframes, transition);
+
+        // 3. 表示し終わったらアニメーションを外す
+        telopTransitionTimerIds.push(setTimeout(() => {
+            animateTelopElement(text, null);
+            animateTelopElement(badge, null);
+            telopTransitionTimerIds = [];
+        }, transition.duration));
+    }, transition.duration));
+};
+
+/**
+ * 訂正・取消の表示を更新する
+ * @param {HTMLElement} indicator - 表示要素
+ * @param {string|null} kind - 'correction' | 'cancel' | null（非表示）
+ */
+const renderCorrectionIndicator = (indicator, kind) => {
+    indicator.classList.toggle('hidden', !kind);
+    indicator.classList.toggle('correction-indicator-cancel', kind === 'cancel');
+    indicator.textContent = kind === 'cancel' ? '取消' : '訂正あり';
+};
+
+/**
+ * 配色（震度・津波の種別ごとの背景色・文字色）をCSS変数に反映する
+ * @param {object} colors - 種別ごとの色 { 'shindo-1': { bg, fg }, ... }
+ */
+const applyColorSchemeVariables = (colors) => {
+    const rootStyle = document.documentElement.style;
+    Object.entries(colors).forEach(([key, color]) => {
+        rootStyle.setProperty(`--${key}-bg`, color.bg);
+        rootStyle.setProperty(`--${key}-fg`, color.fg);
+    });
+};
+
+/**
+ * 文字の縁取りの種類から text-shadow の値を作る
+ * @param {string} outline - 'edge'（縁取り＋影） | 'shadow'（影のみ） | 'none'
+ * @param {string} color - 縁取り・影の色
+ * @returns {string} text-shadow の値
+ */
+const buildTelopTextShadow = (outline, color) => {
+    if (outline === 'edge') {
+        // 影を複数重ねて、滑らかな縁取りとドロップシャドウを作成（style.css の .text-edge と同じ重ね方）
+        return [
+            '-2px -2px 5px', '2px -2px 5px', '-2px 2px 5px', '2px 2px 5px',
+            '-2px 0 3px', '2px 0 3px', '0 -2px 3px', '0 2px 3px',
+            '0 5px 4px'
+        ].map(offset => `${offset} ${color}`).join(', ');
+    }
+    if (outline === 'shadow') return `2px 3px 4px ${color}`;
+    return 'none';
+};
+
+// バッジの形ごとの角の丸み
+const TELOP_BADGE_RADIUS = {
+    pill: '9999px',
+    rounded: '0.5rem',
+    rect: '0'
+};
+
+/**
+ * テロップのテーマ（フォント・文字の大きさ・縁取り・バッジの形・帯の背景・レイアウト）をコンテンツ表示エリアに反映する
+ * @param {object} theme - テーマ (script.js の TELOP_THEME_PRESETS を参照)
+ * @param {HTMLElement} contentWrapper - コンテンツ表示エリアの要素
+ */
+const applyTelopTheme = (theme, contentWrapper) => {
+    const style = contentWrapper.style;
+    style.setProperty('--telop-font-family', theme.fontFamily);
+    style.setProperty('--telop-font-size', `${theme.fontSize}px`);
+    style.setProperty('--telop-font-weight', theme.fontWeight);
+    style.setProperty('--telop-text-color', theme.textColor);
+    style.setProperty('--telop-text-shadow', buildTelopTextShadow(theme.outline, theme.outlineColor));
+    style.setProperty('--telop-badge-radius', TELOP_BADGE_RADIUS[theme.badgeShape] || TELOP_BADGE_RADIUS.pill);
+    style.setProperty('--telop-badge-font-size', `${theme.badgeFontSize}px`);
+    style.setProperty('--telop-bar-bg', theme.barBackground);
+    style.setProperty('--telop-lines', theme.lines);
+    contentWrapper.classList.toggle('telop-badge-right', theme.badgePosition === 'right');
+};
@@ -0,0 +1,412 @@
+// --- 震度分布図の地図データ作成 ---
+// シェープファイル (.shp + .dbf) または GeoJSON の境界データを、震度分布図 (map.js) が読み込む
+// 軽量な GeoJSON に変換して data/map/ に書き出す。座標を間引き、必要な属性だけを残す。
+// 外部パッケージに依存せず、Node.js 標準モジュールのみで動作する。
+//
+// 使い方:
+//   node tools/build-map-data.js <種類> <入力ファイル> --name-field <属性名> [オプション]
+//
+//   種類        prefectures (都道府県) / municipalities (市区町村) / tsunami-areas (津波予報区の沿岸)
+//   入力ファイル .shp（同じ名前の .dbf が必要）または .geojson / .json
+//
+//   --name-field  名前に使う属性。カンマ区切りで複数指定すると連結する (例: N03_003,N03_004)
+//   --pref-field  都道府県名の属性 (municipalities のみ。例: N03_001)
+//   --encoding    .dbf の文字コード (デフォルト: 同じ名前の .cpg の指定、なければ shift_jis)
+//   --tolerance   座標を間引く許容誤差（度）(デフォルト: 0.003、約300m)
+//   --dissolve    同じ名前の地物を1つにまとめ、内側の境界線を取り除く
+//                 (例: 市区町村の境界データから都道府県の境界データを作る)
+//   --where       <属性名>=<値> の地物だけを使う (例: 世界のデータから日本の地物だけを取り出す iso_a2=JP)
+//
+// 例（国土数値情報「行政区域」から作る場合）:
+//   node tools/build-map-data.js municipalities N03-20240101.shp --name-field N03_003,N03_004 --pref-field N03_001
+//   node tools/build-map-data.js prefectures N03-20240101.shp --name-field N03_001 --dissolve --tolerance 0.005
+//
+// 例（Natural Earth「Admin 1 – States, Provinces」から都道府県を作る場合。同梱の data/map/prefectures.geojson）:
+//   node tools/build-map-data.js prefectures ne_10m_admin_1_states_provinces.shp --name-field name_ja --where iso_a2=JP --encoding utf-8
+
+const fs = require('fs');
+const path = require('path');
+
+// 出力先のファイル（map.js の MAP_DATA_FILES と合わせる）
+const OUTPUT_FILES = {
+    'prefectures': 'data/map/prefectures.geojson',
+    'municipalities': 'data/map/municipalities.geojson',
+    'tsunami-areas': 'data/map/tsunami-areas.geojson'
+};
+
+// 出力する座標の小数点以下の桁数（4桁で約10m）
+const COORDINATE_DIGITS = 4;
+
+/**
+ * コマンドライン引数を読み取る
+ * @param {string} name - 引数名 (例: '--name-field')
+ * @param {string} defaultValue - 指定がない場合の値
+ * @returns {string} 引数の値
+ */
+const readArg = (name, defaultValue) => {
+    const index = process.argv.indexOf(name);
+    if (index === -1 || index + 1 >= process.argv.length) return defaultValue;
+    return process.argv[index + 1];
+};
+
+// --- 入力ファイルの読み込み ---
+
+/**
+ * .dbf（属性テーブル）を読み込む
+ * @param {Buffer} buffer - .dbf の内容
+ * @param {string} encoding - 文字コード
+ * @returns {Array} レコードごとの属性オブジェクトの配列
+ */
+const readDbf = (buffer, encoding) => {
+    const decoder = new TextDecoder(encoding);
+    const recordCount = buffer.readUInt32LE(4);
+    const headerLength = buffer.readUInt16LE(8);
+    const recordLength = buffer.readUInt16LE(10);
+
+    // フィールド定義は32バイトずつ並び、0x0D で終わる
+    const fields = [];
+    let fieldOffset = 1; // レコード先頭の1バイトは削除フラグ
+    for (let offset = 32; buffer[offset] !== 0x0D && offset < headerLength; offset += 32) {
+        const name = buffer.toString('latin1', offset, offset + 11).replace(/\0.*$/, '');
+        const length = buffer[offset + 16];
+        fields.push({ name, type: String.fromCharCode(buffer[offset + 11]), offset: fieldOffset, length });
+        fieldOffset += length;
+    }
+
+    const records = [];
+    for (let index = 0; index < recordCount; index++) {
+        const start = headerLength + index * recordLength;
+        const record = {};
+        fields.forEach(field => {
+            const raw = buffer.subarray(start + field.offset, start + field.offset + field.length);
+            const text = decoder.decode(raw).replace(/\0/g, '').trim();
+            record[field.name] = (field.type === 'N' || field.type === 'F') && text !== '' ? Number(text) : text;
+        });
+        records.push(record);
+    }
+    return records;
+};
+
+/**
+ * リングの符号付き面積（経度・緯度のまま計算する。反時計回りが正）
+ * @param {Array} ring - [[経度, 緯度], ...]
+ * @returns {number} 符号付き面積
+ */
+const getSignedArea = (ring) => {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    return area / 2;
+};
+
+/**
+ * 点がリングの内側にあるか
+ */
+const isPointInRing = ([x, y], ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+};
+
+/**
+ * 向きの混ざったリングを、外周ごとに穴を振り分けたポリゴンの配列にまとめる
+ * @param {Array} rings - リングの配列
+ * @returns {Array} MultiPolygon の coordinates
+ */
+const groupRingsIntoPolygons = (rings) => {
+    // 面積の大きい順に並べ、他のどの外周にも含まれないリングを外周とする
+    const sorted = rings.map(ring => ({ ring, area: Math.abs(getSignedArea(ring)) })).sort((a, b) => b.area - a.area);
+    const polygons = [];
+    sorted.forEach(({ ring }) => {
+        const container = polygons.find(polygon => polygon.length === 1 && isPointInRing(ring[0], polygon[0]));
+        if (container) {
+            container.push(ring); // 外周の内側にあるリングは穴
+        } else {
+            polygons.push([ring]);
+        }
+    });
+    return polygons;
+};
+
+/**
+ * .shp（図形）を読み込む。ポリゴンとポリラインに対応する
+ * @param {Buffer} buffer - .shp の内容
+ * @returns {Array} レコードごとの GeoJSON ジオメトリ（図形がない場合は null）の配列
+ */
+const readShp = (buffer) => {
+    const geometries = [];
+    let offset = 100; // ファイルヘッダー
+    while (offset + 8 <= buffer.length) {
+        const contentLength = buffer.readInt32BE(offset + 4) * 2; // 16ビット単位
+        const start = offset + 8;
+        const shapeType = buffer.readInt32LE(start);
+        offset = start + contentLength;
+
+        // 3: ポリライン, 5: ポリゴン（Z付き・M付きも平面の座標のみ使う）
+        const baseType = shapeType % 10;
+        if (shapeType === 0 || (baseType !== 3 && baseType !== 5)) {
+            geometries.push(null);
+            continue;
+        }
+        const partCount = buffer.readInt32LE(start + 36);
+        const pointCount = buffer.readInt32LE(start + 40);
+        const partsStart = start + 44;
+        const pointsStart = partsStart + partCount * 4;
+        const parts = [];
+        for (let part = 0; part < partCount; part++) {
+            const first = buffer.readInt32LE(partsStart + part * 4);
+            const last = part + 1 < partCount ? buffer.readInt32LE(partsStart + (part + 1) * 4) : pointCount;
+            const points = [];
+            for (let index = first; index < last; index++) {
+                const pointOffset = pointsStart + index * 16;
+                points.push([buffer.readDoubleLE(pointOffset), buffer.readDoubleLE(pointOffset + 8)]);
+            }
+            parts.push(points);
+        }
+        geometries.push(baseType === 5
+            ? { type: 'MultiPolygon', coordinates: groupRingsIntoPolygons(parts) }
+            : { type: 'MultiLineString', coordinates: parts });
+    }
+    return geometries;
+};
+
+/**
+ * 入力ファイルを読み込み、GeoJSON の地物の配列にする
+ * @param {string} inputPath - 入力ファイル
+ * @param {string} encoding - .dbf の文字コード（未指定の場合は .cpg か shift_jis）
+ * @returns {Array} 地物の配列
+ */
+const readFeatures = (inputPath, encoding) => {
+    if (/\.(geo)?json$/i.test(inputPath)) {
+        return JSON.parse(fs.readFileSync(inputPath, 'utf8')).features;
+    }
+    const basePath = inputPath.replace(/\.shp$/i, '');
+    const cpgPath = `${basePath}.cpg`;
+    const dbfEncoding = encoding || (fs.existsSync(cpgPath) ? fs.readFileSync(cpgPath, 'utf8').trim() : 'shift_jis');
+    const geometries = readShp(fs.readFileSync(`${basePath}.shp`));
+    const records = readDbf(fs.readFileSync(`${basePath}.dbf`), dbfEncoding);
+    return geometries.map((geometry, index) => ({ type: 'Feature', properties: records[index] || {}, geometry }));
+};
+
+// --- 変換 ---
+
+/**
+ * ジオメトリをポリゴンの配列（MultiPolygon の coordinates）または線の配列に揃える
+ */
+const toPolygonList = (geometry) => {
+    switch (geometry?.type) {
+        case 'Polygon': return [geometry.coordinates];
+        case 'MultiPolygon': return geometry.coordinates;
+        default: return [];
+    }
+};
+const toLineList = (geometry) => {
+    switch (geometry?.type) {
+        case 'LineString': return [geometry.coordinates];
+        case 'MultiLineString': return geometry.coordinates;
+        case 'Polygon': return geometry.coordinates;
+        case 'MultiPolygon': return geometry.coordinates.flat();
+        default: return [];
+    }
+};
+
+/**
+ * 同じ名前の地物のポリゴンを1つにまとめ、2つの地物が共有する内側の境界線を取り除く
+ * 元データの隣り合う地物の境界の座標が一致している（国土数値情報などの）場合に使う
+ * @param {Array} polygons - まとめるポリゴンの配列
+ * @returns {Array} MultiPolygon の coordinates
+ */
+const dissolvePolygons = (polygons) => {
+    const keyOf = ([lon, lat]) => `${lon.toFixed(7)},${lat.toFixed(7)}`;
+    // 向きを揃えた辺を数え、逆向きの同じ辺があれば内側の境界として打ち消す
+    const edges = new Map();
+    polygons.forEach(polygon => polygon.forEach((ring, ringIndex) => {
+        const isOuter = ringIndex === 0;
+        const oriented = (getSignedArea(ring) > 0) === isOuter ? ring : [...ring].reverse();
+        for (let i = 0; i + 1 < oriented.length; i++) {
+            const from = oriented[i];
+            const to = oriented[i + 1];
+            const fromKey = keyOf(from);
+            const toKey = keyOf(to);
+            if (fromKey === toKey) continue;
+            const reverseKey = `${toKey}>${fromKey}`;
+            if (edges.has(reverseKey)) {
+                edges.delete(reverseKey);
+            } else {
+                edges.set(`${fromKey}>${toKey}`, { from, to, fromKey, toKey });
+            }
+        }
+    }));
+
+    // 残った辺を始点からたどってリングにつなぐ
+    const edgesByStart = new Map();
+    edges.forEach(edge => {
+        if (!edgesByStart.has(edge.fromKey)) edgesByStart.set(edge.fromKey, []);
+        edgesByStart.get(edge.fromKey).push(edge);
+    });
+    const rings = [];
+    edges.forEach(edge => {
+        if (edge.used) return;
+        const ring = [edge.from];
+        let current = edge;
+        while (current && !current.used) {
+            current.used = true;
+            ring.push(current.to);
+            current = (edgesByStart.get(current.toKey) || []).find(next => !next.used);
+        }
+        if (ring.length >= 4) rings.push(ring);
+    });
+    return groupRingsIntoPolygons(rings);
+};
+
+/**
+ * 点と線分の距離の2乗
+ */
+const getSegmentDistanceSquared = ([x, y], [x1, y1], [x2, y2]) => {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const t = dx === 0 && dy === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / (dx * dx + dy * dy)));
+    const px = x1 + t * dx - x;
+    const py = y1 + t * dy - y;
+    return px * px + py * py;
+};
+
+/**
+ * 座標を間引く (Douglas-Peucker法)
+ * @param {Array} points - [[経度, 緯度], ...]
+ * @param {number} tolerance - 許容誤差（度）
+ * @returns {Array} 間引いた座標
+ */
+const simplifyLine = (points, tolerance) => {
+    if (points.length <= 2) return points;
+    const keep = new Array(points.length).fill(false);
+    keep[0] = keep[points.length - 1] = true;
+    const toleranceSquared = tolerance * tolerance;
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let maxIndex = -1;
+        for (let index = first + 1; index < last; index++) {
+            const distance = getSegmentDistanceSquared(points[index], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                maxIndex = index;
+            }
+        }
+        if (maxIndex !== -1 && maxDistance > toleranceSquared) {
+            keep[maxIndex] = true;
+            stack.push([first, maxIndex], [maxIndex, last]);
+        }
+    }
+    return points.filter((_, index) => keep[index]);
+};
+
+/**
+ * 座標を丸める
+ */
+const roundPoint = ([lon, lat]) => {
+    const factor = 10 ** COORDINATE_DIGITS;
+    return [Math.round(lon * factor) / factor, Math.round(lat * factor) / factor];
+};
+
+/**
+ * リングを間引く。間引いて面積がなくなった小さな島や穴は取り除く
+ * @returns {Array|null} 間引いたリング（取り除く場合は null）
+ */
+const simplifyRing = (ring, tolerance) => {
+    // 閉じたリングは始点と終点が同じため、最も遠い点で2つに分けてから間引く
+    const farthest = ring.reduce((best, point, index) => {
+        const distance = (point[0] - ring[0][0]) ** 2 + (point[1] - ring[0][1]) ** 2;
+        return distance > best.distance ? { index, distance } : best;
+    }, { index: 0, distance: -1 }).index;
+    const simplified = [
+        ...simplifyLine(ring.slice(0, farthest + 1), tolerance).slice(0, -1),
+        ...simplifyLine(ring.slice(farthest), tolerance)
+    ].map(roundPoint);
+    if (simplified.length < 4 || Math.abs(getSignedArea(simplified)) < tolerance * tolerance) return null;
+    return simplified;
+};
+
+/**
+ * 地物を間引いて、必要な属性だけを持つ地物にする
+ * @param {string} kind - 地図データの種類
+ * @param {object} properties - 出力する属性
+ * @param {object} geometry - ジオメトリ
+ * @param {number} tolerance - 許容誤差（度）
+ * @returns {object|null} 地物（図形が残らない場合は null）
+ */
+const buildOutputFeature = (kind, properties, geometry, tolerance) => {
+    if (kind === 'tsunami-areas' && geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon') {
+        const lines = toLineList(geometry).map(line => simplifyLine(line, tolerance).map(roundPoint)).filter(line => line.length >= 2);
+        return lines.length > 0 ? { type: 'Feature', properties, geometry: { type: 'MultiLineString', coordinates: lines } } : null;
+    }
+    // 間引いた後に外周が残らないポリゴンは取り除き、残ったポリゴンの穴のみ残す
+    const polygons = toPolygonList(geometry)
+        .map(polygon => polygon.map(ring => simplifyRing(ring, tolerance)))
+        .filter(polygon => polygon[0])
+        .map(polygon => polygon.filter(Boolean));
+    return polygons.length > 0 ? { type: 'Feature', properties, geometry: { type: 'MultiPolygon', coordinates: polygons } } : null;
+};
+
+// --- メイン処理 ---
+
+const main = () => {
+    const [kind, inputPath] = process.argv.slice(2);
+    const nameFields = (readArg('--name-field', '') || '').split(',').filter(Boolean);
+    const prefField = readArg('--pref-field', '');
+    const tolerance = parseFloat(readArg('--tolerance', '0.003'));
+    const shouldDissolve = process.argv.includes('--dissolve');
+    const [whereField, whereValue] = (readArg('--where', '') || '').split('=');
+
+    if (!OUTPUT_FILES[kind] || !inputPath || nameFields.length === 0 || isNaN(tolerance)) {
+        console.error('使い方: node tools/build-map-data.js <prefectures|municipalities|tsunami-areas> <入力ファイル> --name-field <属性名> [--pref-field <属性名>] [--encoding <文字コード>] [--tolerance <度>] [--dissolve] [--where <属性名>=<値>]');
+        process.exit(1);
+    }
+    if (kind === 'municipalities' && !prefField) {
+        console.error('municipalities には --pref-field で都道府県名の属性を指定してください。');
+        process.exit(1);
+    }
+
+    const sourceFeatures = readFeatures(inputPath, readArg('--encoding', ''));
+    console.log(`${sourceFeatures.length} 件の地物を読み込みました: ${inputPath}`);
+
+    // 名前（市区町村は都道府県名も）ごとにジオメトリを集める。名前のない地物（所属未定地など）は除く
+    const groups = new Map();
+    sourceFeatures.forEach(feature => {
+        if (!feature.geometry) return;
+        const source = feature.properties || {};
+        if (whereField && String(source[whereField] ?? '') !== whereValue) return;
+        const name = nameFields.map(field => source[field] || '').join('');
+        if (!name) return;
+        const properties = kind === 'municipalities' ? { pref: source[prefField] || '', name } : { name };
+        const key = `${properties.pref || ''}_${name}`;
+        if (!groups.has(key)) groups.set(key, { properties, geometries: [] });
+        groups.get(key).geometries.push(feature.geometry);
+    });
+
+    const features = [];
+    groups.forEach(({ properties, geometries }) => {
+        let geometry;
+        if (kind === 'tsunami-areas' && geometries.every(item => !toPolygonList(item).length)) {
+            geometry = { type: 'MultiLineString', coordinates: geometries.flatMap(toLineList) };
+        } else {
+            const polygons = geometries.flatMap(toPolygonList);
+            geometry = { type: 'MultiPolygon', coordinates: shouldDissolve ? dissolvePolygons(polygons) : polygons };
+        }
+        const feature = buildOutputFeature(kind, properties, geometry, tolerance);
+        if (feature) features.push(feature);
+    });
+
+    const outputPath = path.join(__dirname, '..', OUTPUT_FILES[kind]);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify({ type: 'FeatureCollection', features }));
+    console.log(`${features.length} 件の地物を書き出しました: ${OUTPUT_FILES[kind]} (${Math.round(fs.statSync(outputPath).size / 1024)} KB)`);
+};
+
+main();
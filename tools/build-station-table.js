@@ -0,0 +1,174 @@
+// --- 震度観測点表の作成 ---
+// 気象庁の震度観測点の一覧（CSV）から、観測点を市区町村に振り分けるための震度観測点表
+// (data/jma-stations.json) を作成する。市区町村名・読み仮名は気象庁の area.json から補う。
+// 外部パッケージに依存せず、Node.js 標準モジュールのみで動作する。
+//
+// 使い方:
+//   node tools/build-station-table.js <観測点一覧のCSV> --code-column <列> --name-column <列> --city-code-column <列> [オプション]
+//
+//   列は、CSVの1行目の見出しの名前か、1から始まる列の番号で指定する
+//   --code-column       観測点コードの列
+//   --name-column       観測点名の列（P2P地震情報の観測点名 points[].addr と同じ名前）
+//   --city-code-column  観測点の所在する市区町村コードの列（5桁・6桁の全国地方公共団体コード、または7桁の気象庁の区域コード）
+//   --area-json         気象庁の area.json (https://www.jma.go.jp/bosai/common/const/area.json) を保存したファイル
+//                       指定すると、市区町村コードから市区町村名（政令指定都市は区まで）と読み仮名を補う
+//   --city-column       市区町村名の列（--area-json を指定しない場合は必須）
+//   --city-kana-column  市区町村名の読み仮名の列（--area-json を指定しない場合）
+//   --region-column     観測点の所在する地域の列（地震情報／細分区域の名前。例: 宮城県北部）
+//                       指定すると、操作画面の表示単位「地域別」で観測点を地域ごとにまとめられる
+//   --encoding          CSVの文字コード (デフォルト: shift_jis)
+
+const fs = require('fs');
+const path = require('path');
+
+// 出力先のファイル（script.js の CONFIG.STATION_TABLE_URL と合わせる）
+const OUTPUT_FILE = 'data/jma-stations.json';
+
+// 全国地方公共団体コードの上2桁（都道府県コード）の順の都道府県名
+const PREFECTURE_NAMES = [
+    '北海道', '青森県', '岩手県', '宮城県', '秋田県', '山形県', '福島県',
+    '茨城県', '栃木県', '群馬県', '埼玉県', '千葉県', '東京都', '神奈川県',
+    '新潟県', '富山県', '石川県', '福井県', '山梨県', '長野県', '岐阜県',
+    '静岡県', '愛知県', '三重県', '滋賀県', '京都府', '大阪府', '兵庫県',
+    '奈良県', '和歌山県', '鳥取県', '島根県', '岡山県', '広島県', '山口県',
+    '徳島県', '香川県', '愛媛県', '高知県', '福岡県', '佐賀県', '長崎県',
+    '熊本県', '大分県', '宮崎県', '鹿児島県', '沖縄県'
+];
+
+/**
+ * コマンドライン引数を読み取る
+ * @param {string} name - 引数名 (例: '--code-column')
+ * @param {string} defaultValue - 指定がない場合の値
+ * @returns {string} 引数の値
+ */
+const readArg = (name, defaultValue) => {
+    const index = process.argv.indexOf(name);
+    if (index === -1 || index + 1 >= process.argv.length) return defaultValue;
+    return process.argv[index + 1];
+};
+
+/**
+ * CSVを行ごとの列の配列に分ける（ダブルクォートで囲んだ列の中のカンマ・改行に対応する）
+ * @param {string} text - CSVの内容
+ * @returns {Array} 行の配列
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (inQuotes) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * 列の指定（見出しの名前か1から始まる番号）を列の位置にする
+ * @param {Array} header - 1行目の見出し
+ * @param {string} column - 列の指定
+ * @returns {number} 列の位置（指定がない場合は -1）
+ */
+const resolveColumn = (header, column) => {
+    if (!column) return -1;
+    if (/^\d+$/.test(column)) return parseInt(column, 10) - 1;
+    const index = header.findIndex(name => name.trim() === column);
+    if (index === -1) {
+        console.error(`列「${column}」が見つかりません。見出し: ${header.join(', ')}`);
+        process.exit(1);
+    }
+    return index;
+};
+
+/**
+ * 市区町村コードを気象庁の区域コード（7桁。area.json の class20s のキー）にそろえる
+ * @param {string} code - 5桁・6桁（検査数字付き）の全国地方公共団体コード、または7桁の区域コード
+ * @returns {string} 7桁の区域コード（そろえられない場合は空文字列）
+ */
+const toAreaCode = (code) => {
+    const digits = (code || '').replace(/\D/g, '');
+    if (digits.length === 7) return digits;
+    if (digits.length === 5 || digits.length === 6) return `${digits.slice(0, 5)}00`;
+    return '';
+};
+
+const main = () => {
+    const inputPath = process.argv[2];
+    const areaJsonPath = readArg('--area-json', '');
+    if (!inputPath || inputPath.startsWith('--') || !readArg('--code-column', '') || !readArg('--name-column', '') || !readArg('--city-code-column', '')) {
+        console.error('使い方: node tools/build-station-table.js <観測点一覧のCSV> --code-column <列> --name-column <列> --city-code-column <列> [--area-json <area.json>] [--city-column <列>] [--city-kana-column <列>] [--region-column <列>] [--encoding <文字コード>]');
+        process.exit(1);
+    }
+    if (!areaJsonPath && !readArg('--city-column', '')) {
+        console.error('--area-json を指定しない場合は、--city-column で市区町村名の列を指定してください。');
+        process.exit(1);
+    }
+
+    const text = new TextDecoder(readArg('--encoding', 'shift_jis')).decode(fs.readFileSync(inputPath));
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    const columns = {
+        code: resolveColumn(header, readArg('--code-column', '')),
+        name: resolveColumn(header, readArg('--name-column', '')),
+        cityCode: resolveColumn(header, readArg('--city-code-column', '')),
+        city: resolveColumn(header, readArg('--city-column', '')),
+        cityKana: resolveColumn(header, readArg('--city-kana-column', '')),
+        region: resolveColumn(header, readArg('--region-column', ''))
+    };
+    const areas = areaJsonPath ? JSON.parse(fs.readFileSync(areaJsonPath, 'utf8')).class20s : {};
+
+    const stations = [];
+    const skipped = [];
+    rows.forEach(cells => {
+        const cell = (index) => (index >= 0 ? (cells[index] || '').trim() : '');
+        const name = cell(columns.name);
+        const cityCode = toAreaCode(cell(columns.cityCode));
+        const area = areas[cityCode];
+        const pref = PREFECTURE_NAMES[parseInt(cityCode.slice(0, 2), 10) - 1];
+        const city = area?.name || cell(columns.city);
+        if (!name || !pref || !city) {
+            skipped.push(name || cells.join(','));
+            return;
+        }
+        const station = { code: cell(columns.code), name, pref, city, cityCode, cityKana: area?.kana || cell(columns.cityKana) };
+        if (cell(columns.region)) station.region = cell(columns.region);
+        stations.push(station);
+    });
+
+    if (skipped.length > 0) {
+        console.warn(`市区町村・都道府県を特定できない ${skipped.length} 件の観測点を除きました: ${skipped.slice(0, 10).join('、')}${skipped.length > 10 ? ' ほか' : ''}`);
+    }
+
+    const outputPath = path.join(__dirname, '..', OUTPUT_FILE);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify({ source: path.basename(inputPath), stations }, null, 1));
+    console.log(`${stations.length} 件の観測点を書き出しました: ${OUTPUT_FILE}`);
+};
+
+main();
@@ -0,0 +1,219 @@
+// --- P2P地震情報 WebSocket API のモックサーバー ---
+// 本番の wss://api.p2pquake.net/v2/ws の代わりに、訓練用の情報を一定間隔で配信する。
+// 外部パッケージに依存せず、Node.js 標準モジュールのみで動作する。
+//
+// 使い方:
+//   node tools/mock-ws-server.js [--port 8787] [--interval 5000] [--drop 0]
+//   ブラウザで index.html?ws=ws://localhost:8787 を開く
+//
+//   --port     待ち受けポート (デフォルト: 8787)
+//   --interval 情報を配信する間隔（ミリ秒） (デフォルト: 5000)
+//   --drop     指定ミリ秒ごとに全接続を強制切断し、再接続・ポーリング補完の動作を確認する (0で無効)
+
+const http = require('http');
+const crypto = require('crypto');
+
+// WebSocketハンドシェイク用の固定GUID (RFC 6455)
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * コマンドライン引数を読み取る
+ * @param {string} name - 引数名 (例: '--port')
+ * @param {number} defaultValue - 指定がない場合の値
+ * @returns {number} 引数の値
+ */
+const readArg = (name, defaultValue) => {
+    const index = process.argv.indexOf(name);
+    if (index === -1 || index + 1 >= process.argv.length) return defaultValue;
+    const value = parseInt(process.argv[index + 1], 10);
+    return isNaN(value) ? defaultValue : value;
+};
+
+const PORT = readArg('--port', 8787);
+const INTERVAL_MS = readArg('--interval', 5000);
+const DROP_MS = readArg('--drop', 0);
+
+/**
+ * Dateを P2P地震情報の発表時刻形式 (YYYY/MM/DD HH:mm:ss) に整形する
+ * @param {Date} date - Dateオブジェクト
+ * @returns {string} 整形済みの時刻
+ */
+const formatIssueTime = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+/**
+ * 1つの地震イベントとして配信する情報の並びを生成する
+ * 緊急地震速報 → 震度速報 → 津波予報 → 震源・震度情報 の順に配信される
+ * @param {number} sequence - 何番目のイベントか
+ * @returns {Array<object>} 配信する情報の配列
+ */
+const buildEventMessages = (sequence) => {
+    const originTime = new Date();
+    const eventId = `${formatIssueTime(originTime).replace(/\D/g, '')}`;
+    const issue = (type) => ({
+        source: '気象庁',
+        time: formatIssueTime(new Date()),
+        type,
+        correct: 'None',
+        event_id: eventId
+    });
+    const hypocenter = {
+        name: sequence % 2 === 0 ? '宮城県沖' : '千葉県東方沖',
+        latitude: sequence % 2 === 0 ? 38.3 : 35.7,
+        longitude: sequence % 2 === 0 ? 142.0 : 140.9,
+        depth: 40,
+        magnitude: 6.1 + (sequence % 3) * 0.4
+    };
+    const points = sequence % 2 === 0 ? [
+        { pref: '宮城県', addr: '石巻市大瓜', scale: 50, isArea: false },
+        { pref: '宮城県', addr: '仙台市宮城野区五輪', scale: 45, isArea: false },
+        { pref: '岩手県', addr: '大船渡市大船渡町', scale: 40, isArea: false },
+        { pref: '福島県', addr: '相馬市中村', scale: 40, isArea: false },
+        { pref: '山形県', addr: '山形市緑町', scale: 30, isArea: false }
+    ] : [
+        { pref: '千葉県', addr: '銚子市川口町', scale: 45, isArea: false },
+        { pref: '千葉県', addr: '旭市ニ', scale: 40, isArea: false },
+        { pref: '茨城県', addr: '神栖市溝口', scale: 40, isArea: false },
+        { pref: '東京都', addr: '千代田区大手町', scale: 30, isArea: false }
+    ];
+    // 震度速報は市町村ではなく地域単位 (isArea: true) で発表される
+    const areaPoints = sequence % 2 === 0 ? [
+        { pref: '宮城県', addr: '宮城県東部', scale: 50, isArea: true },
+        { pref: '宮城県', addr: '宮城県中部', scale: 45, isArea: true },
+        { pref: '岩手県', addr: '岩手県沿岸南部', scale: 40, isArea: true },
+        { pref: '福島県', addr: '福島県浜通り', scale: 40, isArea: true }
+    ] : [
+        { pref: '千葉県', addr: '千葉県東部', scale: 45, isArea: true },
+        { pref: '茨城県', addr: '茨城県南部', scale: 40, isArea: true }
+    ];
+    const maxScale = Math.max(...points.map(p => p.scale));
+
+    return [
+        {
+            code: 554,
+            id: `mock-${eventId}-554`,
+            issue: issue('ScalePrompt'),
+            earthquake: { time: originTime.toISOString(), hypocenter, maxScale, domesticTsunami: 'Checking' }
+        },
+        {
+            code: 551,
+            id: `mock-${eventId}-551-1`,
+            issue: issue('ScalePrompt'),
+            earthquake: { time: originTime.toISOString(), hypocenter: { ...hypocenter, name: '', magnitude: -1 }, maxScale, domesticTsunami: 'Checking' },
+            points: areaPoints
+        },
+        {
+            code: 552,
+            id: `mock-${eventId}-552`,
+            issue: issue('Focus'),
+            cancelled: false,
+            tsunami: {
+                forecasts: sequence % 2 === 0
+                    ? [{ grade: 'Advisory', immediate: false, area: { name: '宮城県' } }]
+                    : []
+            }
+        },
+        {
+            code: 551,
+            id: `mock-${eventId}-551-2`,
+            issue: issue('DetailScale'),
+            earthquake: { time: originTime.toISOString(), hypocenter, maxScale, domesticTsunami: sequence % 2 === 0 ? 'Warning' : 'None' },
+            points
+        }
+    ];
+};
+
+/**
+ * テキストをWebSocketフレーム（サーバー→クライアント、マスクなし）に変換する
+ * @param {string} text - 送信するテキスト
+ * @returns {Buffer} フレーム
+ */
+const encodeTextFrame = (text) => {
+    const payload = Buffer.from(text, 'utf8');
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+};
+
+const clients = new Set();
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('WebSocketで接続してください。\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    clients.add(socket);
+    console.log(`クライアントが接続しました (接続数: ${clients.size})`);
+
+    socket.on('data', (buffer) => {
+        // クライアントからのクローズフレーム(opcode 0x8)にのみ応答する
+        const opcode = buffer[0] & 0x0f;
+        if (opcode === 0x8) {
+            socket.end(Buffer.from([0x88, 0x00]));
+        }
+    });
+    socket.on('close', () => {
+        clients.delete(socket);
+        console.log(`クライアントが切断しました (接続数: ${clients.size})`);
+    });
+    socket.on('error', () => clients.delete(socket));
+});
+
+/**
+ * 接続中の全クライアントに情報を配信する
+ * @param {object} message - 配信する情報
+ */
+const broadcast = (message) => {
+    const frame = encodeTextFrame(JSON.stringify(message));
+    clients.forEach(socket => socket.write(frame));
+    console.log(`配信: code ${message.code} (${message.issue?.type || '-'}) → ${clients.size}件`);
+};
+
+let sequence = 0;
+let queue = [];
+setInterval(() => {
+    if (queue.length === 0) {
+        queue = buildEventMessages(sequence++);
+    }
+    broadcast(queue.shift());
+}, INTERVAL_MS);
+
+if (DROP_MS > 0) {
+    setInterval(() => {
+        console.log('全接続を強制切断します。');
+        clients.forEach(socket => socket.destroy());
+    }, DROP_MS);
+}
+
+server.listen(PORT, () => {
+    console.log(`モックWebSocketサーバーを起動しました: ws://localhost:${PORT}`);
+});
@@ -0,0 +1,158 @@
+// --- OBS用オーバーレイの中継サーバー ---
+// 操作画面 (index.html) とオーバーレイ (overlay.html) を別のブラウザで開く場合に、
+// 表示内容を中継する。OBSのブラウザソースは操作画面と別のブラウザで動作するため、BroadcastChannel が届かない。
+// 外部パッケージに依存せず、Node.js 標準モジュールのみで動作する。
+//
+// 使い方:
+//   node tools/telop-relay-server.js [--port 8788]
+//   操作画面: index.html?relay=ws://localhost:8788
+//   OBSのブラウザソース: overlay.html?relay=ws://localhost:8788
+//
+//   --port 待ち受けポート (デフォルト: 8788)
+//
+// 受信したテキストメッセージを、送信元以外の全接続にそのまま配信する。
+
+const http = require('http');
+const crypto = require('crypto');
+
+// WebSocketハンドシェイク用の固定GUID (RFC 6455)
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * コマンドライン引数を読み取る
+ * @param {string} name - 引数名 (例: '--port')
+ * @param {number} defaultValue - 指定がない場合の値
+ * @returns {number} 引数の値
+ */
+const readArg = (name, defaultValue) => {
+    const index = process.argv.indexOf(name);
+    if (index === -1 || index + 1 >= process.argv.length) return defaultValue;
+    const value = parseInt(process.argv[index + 1], 10);
+    return isNaN(value) ? defaultValue : value;
+};
+
+const PORT = readArg('--port', 8788);
+
+/**
+ * テキストをWebSocketフレーム（サーバー→クライアント、マスクなし）に変換する
+ * @param {string} text - 送信するテキスト
+ * @returns {Buffer} フレーム
+ */
+const encodeTextFrame = (text) => {
+    const payload = Buffer.from(text, 'utf8');
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+};
+
+/**
+ * 受信バッファの先頭から1つのフレーム（クライアント→サーバー、マスクあり）を取り出す
+ * @param {Buffer} buffer - 受信済みのデータ
+ * @returns {object|null} { opcode, payload, length }。フレームが揃っていない場合はnull
+ */
+const decodeFrame = (buffer) => {
+    if (buffer.length < 2) return null;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (payloadLength === 126) {
+        if (buffer.length < offset + 2) return null;
+        payloadLength = buffer.readUInt16BE(offset);
+        offset += 2;
+    } else if (payloadLength === 127) {
+        if (buffer.length < offset + 8) return null;
+        payloadLength = Number(buffer.readBigUInt64BE(offset));
+        offset += 8;
+    }
+
+    const maskKey = masked ? buffer.subarray(offset, offset + 4) : null;
+    if (masked) offset += 4;
+    if (buffer.length < offset + payloadLength) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+    if (maskKey) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= maskKey[i % 4];
+        }
+    }
+    return { opcode, payload, length: offset + payloadLength };
+};
+
+const clients = new Set();
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('WebSocketで接続してください。\n');
+});
+
+/**
+ * 送信元以外の全クライアントにテキストを配信する
+ * @param {object} sender - 送信元のソケット
+ * @param {string} text - 配信するテキスト
+ */
+const relay = (sender, text) => {
+    const frame = encodeTextFrame(text);
+    clients.forEach(socket => {
+        if (socket !== sender) socket.write(frame);
+    });
+};
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    clients.add(socket);
+    console.log(`クライアントが接続しました (接続数: ${clients.size})`);
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+        let frame;
+        while ((frame = decodeFrame(pending))) {
+            pending = pending.subarray(frame.length);
+            if (frame.opcode === 0x1) {
+                relay(socket, frame.payload.toString('utf8'));
+            } else if (frame.opcode === 0x8) {
+                socket.end(Buffer.from([0x88, 0x00]));
+                return;
+            } else if (frame.opcode === 0x9) {
+                // Ping には Pong で応答する
+                socket.write(Buffer.concat([Buffer.from([0x8a, frame.payload.length]), frame.payload]));
+            }
+        }
+    });
+    socket.on('close', () => {
+        clients.delete(socket);
+        console.log(`クライアントが切断しました (接続数: ${clients.size})`);
+    });
+    socket.on('error', () => clients.delete(socket));
+});
+
+server.listen(PORT, () => {
+    console.log(`オーバーレイ中継サーバーを起動しました: ws://localhost:${PORT}`);
+});